@@ -0,0 +1,115 @@
+/**
+ * AudioGraph - Web Audio processing between the song's <audio> element and the speakers
+ * Minus-one (karaoke) mode removes the center channel, where the lead vocal usually sits:
+ * the mid signal (L+R)/2, band-limited so the bass and the top end stay, is subtracted
+ * from both channels. Only the sound is processed; the element's clock (and with it
+ * AudioSyncEngine) runs exactly as before.
+ */
+
+export const DEFAULT_STRENGTH = 1;  // 0 = untouched, 1 = vocal band fully removed
+export const DEFAULT_BASS = 150;    // Hz; the center below this is kept (kick, bass)
+const TREBLE = 8000;                // Hz; the center above this is kept (cymbals, air)
+const SMOOTHING = 0.05;             // seconds for gain changes, avoiding clicks
+
+export class AudioGraph {
+    /**
+     * Nothing is built until minus-one is first needed in a user gesture (see resume())
+     * @param {HTMLMediaElement} audio - Song audio (must be same-origin, or CORS-enabled)
+     * @param {Object} options - Saved { minusOne, strength, bass }
+     */
+    constructor(audio, { minusOne = false, strength = DEFAULT_STRENGTH, bass = DEFAULT_BASS } = {}) {
+        this.audio = audio;
+        this.context = null;
+        this.nodes = null;
+        this.minusOne = minusOne;
+        this.strength = strength;
+        this.bass = bass;
+    }
+
+    /**
+     * Route the element through the graph (once: an element can only have one source node)
+     *
+     *   source ─ splitter ─┬─ L ────────────────────────────┬─ merger ─ speakers
+     *                      ├─ R ────────────────────────────┤
+     *                      └─ (L+R)/2 ─ highpass ─ lowpass ─ −strength ─┘ (into L and R)
+     */
+    build() {
+        if (this.nodes) return;
+        const context = new AudioContext();
+        const source = context.createMediaElementSource(this.audio);
+        const splitter = context.createChannelSplitter(2);
+        const merger = context.createChannelMerger(2);
+        const mid = context.createGain();
+        const highpass = context.createBiquadFilter();
+        const lowpass = context.createBiquadFilter();
+        const cancel = context.createGain();
+
+        // A mono file would land in L only ('discrete'); upmix so R carries it too
+        splitter.channelInterpretation = 'speakers';
+
+        mid.gain.value = 0.5;
+        highpass.type = 'highpass';
+        highpass.frequency.value = this.bass;
+        lowpass.type = 'lowpass';
+        lowpass.frequency.value = TREBLE;
+        cancel.gain.value = this.minusOne ? -this.strength : 0;
+
+        source.connect(splitter);
+        splitter.connect(merger, 0, 0);
+        splitter.connect(merger, 1, 1);
+        splitter.connect(mid, 0);
+        splitter.connect(mid, 1);
+        mid.connect(highpass);
+        highpass.connect(lowpass);
+        lowpass.connect(cancel);
+        cancel.connect(merger, 0, 0);
+        cancel.connect(merger, 0, 1);
+        merger.connect(context.destination);
+
+        this.context = context;
+        this.nodes = { source, highpass, cancel };
+        console.log('AudioGraph: Built');
+    }
+
+    /**
+     * Build the graph if minus-one is on and resume the context; call from a user gesture,
+     * since a context created or resumed outside one stays suspended (autoplay policy)
+     */
+    resume() {
+        if (this.minusOne) this.build();
+        return this.context?.state === 'suspended' ? this.context.resume() : Promise.resolve();
+    }
+
+    /**
+     * Turn minus-one mode on or off (the graph is built the first time it is turned on)
+     */
+    setMinusOne(enabled) {
+        this.minusOne = enabled;
+        if (enabled) this.build();
+        this.apply();
+        console.log(`AudioGraph: Minus-one ${enabled ? 'on' : 'off'}`);
+    }
+
+    /**
+     * @param {number} strength - 0–1, how much of the vocal band to remove
+     */
+    setStrength(strength) {
+        this.strength = Math.max(0, Math.min(1, strength));
+        this.apply();
+    }
+
+    /**
+     * @param {number} hz - Keep the center below this frequency
+     */
+    setBass(hz) {
+        this.bass = Math.max(20, Math.min(1000, hz));
+        if (this.nodes) this.nodes.highpass.frequency.setTargetAtTime(this.bass, this.context.currentTime, SMOOTHING);
+    }
+
+    apply() {
+        if (!this.nodes) return;
+        const gain = this.minusOne ? -this.strength : 0;
+        this.nodes.cancel.gain.setTargetAtTime(gain, this.context.currentTime, SMOOTHING);
+        this.resume();
+    }
+}
@@ -1,28 +1,62 @@
 /**
  * AudioSyncEngine - Master clock that drives all timing
- * Simple forward-only algorithm (no binary search needed)
+ * Interval index over character start/end times, binary-searched every frame
  */
 
+// Media time may differ from the predicted time by this much (seconds) before it counts as a jump
+const DISCONTINUITY_THRESHOLD = 0.75;
+
+/**
+ * Default clock: wall time from performance.now(), frames from requestAnimationFrame
+ * Anything with the same shape can be injected (tests use a fake clock).
+ */
+export const animationFrameClock = {
+    now: () => performance.now(),
+    requestFrame: (callback) => requestAnimationFrame(callback),
+    cancelFrame: (id) => cancelAnimationFrame(id)
+};
+
 export class AudioSyncEngine {
-    constructor(audioElement, songData, stateManager) {
+    /**
+     * @param {HTMLAudioElement} audioElement - Media element (anything with currentTime, duration, paused, add/removeEventListener)
+     * @param {Object} songData - Timed song
+     * @param {StateManager} stateManager - Fallback for the duration
+     * @param {Object} options - { clock: { now(), requestFrame(cb), cancelFrame(id) } }
+     */
+    constructor(audioElement, songData, stateManager, { clock = animationFrameClock } = {}) {
         this.audio = audioElement;
         this.stateManager = stateManager;
+        this.clock = clock;
+        this.songData = songData;
         this.characters = this.flattenCharacters(songData);
-        this.currentIndex = 0;
+        this.currentIndex = -1;       // active character, -1 in a gap or before the first one
+        this.currentVerseIdx = null;  // verse last reported with verse-change
         this.isRunning = false;
         this.syncLoop = null;
         
+        // Last frame, for discontinuity detection
+        this.lastTime = null;
+        this.lastFrameAt = null;
+        
         // Event handlers
         this.handlers = {
             'character-change': new Set(),
+            'character-clear': new Set(),
             'verse-change': new Set(),
-            'time-update': new Set()
+            'time-update': new Set(),
+            'discontinuity': new Set()
+        };
+        
+        // Seeks made while stopped (e.g. the <audio> element's own controls)
+        this.onSeeked = () => {
+            if (!this.isRunning) this.syncTo(this.audio.currentTime || 0);
         };
+        this.audio.addEventListener('seeked', this.onSeeked);
     }
     
     /**
-     * Flatten all verses into a single array of characters with timing
-     * Pre-sorted by time for efficient forward-only scanning
+     * Flatten all verses into one interval index sorted by start time
+     * Each entry gets `end`: its own `end`, else `time + duration`, else the next character's time
      */
     flattenCharacters(songData) {
         const chars = [];
@@ -41,10 +75,86 @@ export class AudioSyncEngine {
         // Ensure sorted by time
         chars.sort((a, b) => a.time - b.time);
         
+        chars.forEach((charData, idx) => {
+            const next = chars[idx + 1];
+            if (typeof charData.end === 'number') return;
+            if (typeof charData.duration === 'number') {
+                charData.end = charData.time + charData.duration;
+            } else {
+                charData.end = next ? next.time : Infinity;
+            }
+        });
+        
         console.log(`AudioSync: Loaded ${chars.length} characters across ${songData.verses.length} verses`);
         return chars;
     }
     
+    /**
+     * Index of the last character that has started by `time` (-1 before the first)
+     * Binary search: O(log n)
+     */
+    indexAt(time) {
+        let low = 0;
+        let high = this.characters.length - 1;
+        let found = -1;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (this.characters[mid].time <= time) {
+                found = mid;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return found;
+    }
+    
+    /**
+     * Index of the character sounding at `time`, or -1 in a gap
+     */
+    activeIndexAt(time) {
+        const idx = this.indexAt(time);
+        return idx >= 0 && time < this.characters[idx].end ? idx : -1;
+    }
+    
+    /**
+     * Verse to show at `time`: the last verse sung, or the first verse before singing starts
+     */
+    verseIdxAt(time) {
+        const idx = this.indexAt(time);
+        const charData = this.characters[Math.max(0, idx)];
+        return charData ? charData.verseIdx : null;
+    }
+    
+    /**
+     * Bring highlight and verse in line with `time`
+     * @param {number} time - Media time in seconds
+     * @param {Object} options - { force: re-emit even when nothing changed (seeks, jumps) }
+     */
+    syncTo(time, { force = false } = {}) {
+        const verseIdx = this.verseIdxAt(time);
+        const index = this.activeIndexAt(time);
+        
+        if (verseIdx !== null && (force || verseIdx !== this.currentVerseIdx)) {
+            this.currentVerseIdx = verseIdx;
+            this.emit('verse-change', {
+                verseIdx,
+                character: this.characters[index] || this.characters[Math.max(0, this.indexAt(time))]
+            });
+        }
+        
+        if (!force && index === this.currentIndex) return;
+        this.currentIndex = index;
+        
+        if (index >= 0) {
+            const currentChar = this.characters[index];
+            this.emit('character-change', currentChar);
+            console.log(`AudioSync: Character ${currentChar.char} at ${time.toFixed(2)}s`);
+        } else {
+            this.emit('character-clear', { time });
+        }
+    }
+    
     /**
      * Start synchronization loop
      */
@@ -53,15 +163,10 @@ export class AudioSyncEngine {
         
         this.isRunning = true;
         
-        // Emit initial verse and character (ensures first verse is visible)
-        if (this.characters.length > 0) {
-            const firstChar = this.characters[this.currentIndex];
-            this.emit('verse-change', {
-                verseIdx: firstChar.verseIdx,
-                character: firstChar
-            });
-            this.emit('character-change', firstChar);
-        }
+        // Emit the verse and character for the current time (ensures a verse is visible)
+        this.syncTo(this.audio.currentTime || 0, { force: true });
+        this.lastTime = null;
+        this.lastFrameAt = null;
         
         this.update();
         console.log('AudioSync: Started');
@@ -73,7 +178,7 @@ export class AudioSyncEngine {
     stopSync() {
         this.isRunning = false;
         if (this.syncLoop) {
-            cancelAnimationFrame(this.syncLoop);
+            this.clock.cancelFrame(this.syncLoop);
             this.syncLoop = null;
         }
         console.log('AudioSync: Stopped');
@@ -86,83 +191,81 @@ export class AudioSyncEngine {
         if (!this.isRunning) return;
         
         const currentTime = this.audio.currentTime;
+        const now = this.clock.now();
         
         // Emit time update for timeline (guard duration)
+        // Times are media time; playbackRate lets listeners convert to wall-clock time
         const duration = this.audio.duration || this.stateManager.state.duration || 0;
-        this.emit('time-update', { currentTime, duration });
-        
-        // Check if we should advance to next character
-        // Simple forward-only check - no binary search complexity
-        while (this.currentIndex < this.characters.length - 1) {
-            const nextChar = this.characters[this.currentIndex + 1];
-            
-            if (currentTime >= nextChar.time) {
-                // Advance to next character
-                this.currentIndex++;
-                const currentChar = this.characters[this.currentIndex];
-                
-                // Check if verse changed
-                const prevChar = this.characters[this.currentIndex - 1];
-                if (!prevChar || prevChar.verseIdx !== currentChar.verseIdx) {
-                    this.emit('verse-change', {
-                        verseIdx: currentChar.verseIdx,
-                        character: currentChar
-                    });
-                }
-                
-                // Emit character change
-                this.emit('character-change', currentChar);
-                
-                console.log(`AudioSync: Character ${currentChar.char} at ${currentTime.toFixed(2)}s`);
-            } else {
-                // No more characters to process at current time
-                break;
-            }
+        const playbackRate = this.audio.playbackRate || 1;
+        this.emit('time-update', { currentTime, duration, playbackRate });
+        
+        // A jump nobody told us about (media keys, native controls, stalls): resync fully
+        if (this.isDiscontinuity(currentTime, now, playbackRate)) {
+            console.log(`AudioSync: Discontinuity ${this.lastTime.toFixed(2)}s → ${currentTime.toFixed(2)}s`);
+            this.emit('discontinuity', { from: this.lastTime, to: currentTime });
+            this.syncTo(currentTime, { force: true });
+        } else {
+            this.syncTo(currentTime);
         }
         
+        this.lastTime = currentTime;
+        this.lastFrameAt = now;
+        
         // Schedule next frame
-        this.syncLoop = requestAnimationFrame(() => this.update());
+        this.syncLoop = this.clock.requestFrame(() => this.update());
+    }
+    
+    /**
+     * Compare media time with where it should be after the elapsed wall time
+     */
+    isDiscontinuity(currentTime, now, playbackRate) {
+        if (this.lastTime === null || this.lastFrameAt === null) return false;
+        const elapsed = this.audio.paused ? 0 : ((now - this.lastFrameAt) / 1000) * playbackRate;
+        return Math.abs(currentTime - (this.lastTime + elapsed)) > DISCONTINUITY_THRESHOLD;
     }
     
     /**
      * Seek to a specific time in the audio
-     * Resets character index to match the time
+     * Re-emits verse and character state for the new position
      */
     seekTo(time) {
-        // Audio currentTime is already set by main.js, just update our state
-        
-        // Find the character index for this time
-        // Simple linear scan from beginning (only happens on seek)
-        let newIndex = 0;
-        for (let i = 0; i < this.characters.length; i++) {
-            if (this.characters[i].time <= time) {
-                newIndex = i;
-            } else {
-                break;
-            }
-        }
+        // Audio currentTime is already set by the caller, just update our state
+        this.syncTo(time, { force: true });
+        this.lastTime = time;
+        this.lastFrameAt = this.clock.now();
         
-        this.currentIndex = newIndex;
         const currentChar = this.characters[this.currentIndex];
-        
-        // Emit events for immediate update
-        if (currentChar) {
-            this.emit('verse-change', {
-                verseIdx: currentChar.verseIdx,
-                character: currentChar
-            });
-            this.emit('character-change', currentChar);
-        }
-        
-        console.log(`AudioSync: Seeked to ${time.toFixed(2)}s, character index ${newIndex} (${currentChar?.char})`);
+        console.log(`AudioSync: Seeked to ${time.toFixed(2)}s, character index ${this.currentIndex} (${currentChar?.char ?? 'gap'})`);
+    }
+    
+    /**
+     * Rebuild the character index after timestamps were edited
+     * Re-seeks to the current audio time so highlights follow the new timing
+     */
+    reindex() {
+        this.characters = this.flattenCharacters(this.songData);
+        this.seekTo(this.audio.currentTime || 0);
     }
     
     /**
      * Reset to beginning
      */
     reset() {
-        this.currentIndex = 0;
+        this.currentIndex = -1;
+        this.currentVerseIdx = null;
+        this.stopSync();
+    }
+    
+    /**
+     * Tear down: stop the loop and drop all subscribers
+     */
+    destroy() {
         this.stopSync();
+        this.audio.removeEventListener('seeked', this.onSeeked);
+        Object.values(this.handlers).forEach(set => set.clear());
+        this.characters = [];
+        this.currentIndex = -1;
+        this.currentVerseIdx = null;
     }
     
     /**
@@ -188,4 +291,3 @@ export class AudioSyncEngine {
         }
     }
 }
-
@@ -0,0 +1,80 @@
+/**
+ * CharacterDictionary - Character details for the stone popover
+ * Radicals, components and stroke order come from the bundled data/characters.json;
+ * readings and meanings are gathered from every loaded song.
+ */
+
+/**
+ * Every use of a character across songs, one entry per song
+ * @param {string} char - Character to look up
+ * @param {Array<{ id: string, title: string, song: Object }>} songs - Loaded songs
+ * @returns {Array<{ songId: string, title: string, count: number, readings: string[], meanings: string[] }>}
+ */
+export function findCharacterUses(char, songs) {
+    return songs
+        .map(({ id, title, song }) => {
+            const matches = (song?.verses || []).flatMap(verse => verse.characters.filter(c => c.char === char));
+            const unique = (values) => [...new Set(values.filter(Boolean))];
+            return {
+                songId: id,
+                title,
+                count: matches.length,
+                readings: unique(matches.map(c => c.pinyin)),
+                meanings: unique(matches.map(c => c.meaning))
+            };
+        })
+        .filter(use => use.count > 0);
+}
+
+export class CharacterDictionary {
+    constructor(url = './data/characters.json') {
+        this.url = url;
+        this.data = null;
+        this.loading = null;
+    }
+
+    /**
+     * Fetch the dataset once; later calls share the same request
+     */
+    load() {
+        if (!this.loading) {
+            this.loading = fetch(this.url)
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.json();
+                })
+                .then(data => {
+                    this.data = data;
+                    console.log(`CharacterDictionary: Loaded ${Object.keys(data.characters || {}).length} characters`);
+                    return data;
+                })
+                .catch(err => {
+                    console.warn('CharacterDictionary: Could not load character data', err);
+                    this.loading = null;
+                    return null;
+                });
+        }
+        return this.loading;
+    }
+
+    /**
+     * Details of one character, or null when it isn't in the dataset
+     * @returns {Promise<{ radical: Object|null, components: string[], strokeCount: number|null, strokes: Array|null, grid: number }|null>}
+     */
+    async lookup(char) {
+        const data = await this.load();
+        const entry = data?.characters?.[char];
+        if (!entry) return null;
+
+        const radical = entry.radical
+            ? { char: entry.radical, ...(data.radicals?.[entry.radical] || {}) }
+            : null;
+        return {
+            radical,
+            components: entry.components || [],
+            strokeCount: entry.strokes ? entry.strokes.length : entry.strokeCount ?? null,
+            strokes: entry.strokes || null,
+            grid: data.grid || 100
+        };
+    }
+}
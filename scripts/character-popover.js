@@ -0,0 +1,232 @@
+/**
+ * CharacterPopover - Details for one stone (long-press or Alt/Ctrl/Cmd-click)
+ * Readings, meanings in every song, radical and components, animated stroke order.
+ * Purely a view: playback and sync carry on while it is open.
+ */
+
+import { pinyinToZhuyin } from './romanization.js';
+import { toSimplified } from './hanzi-script.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const STROKE_STEP = 0.6; // seconds between strokes in the animation
+
+/**
+ * Append an SVG element with the given attributes
+ */
+export function svgElement(parent, tag, attrs = {}) {
+    const el = document.createElementNS(SVG_NS, tag);
+    Object.entries(attrs).forEach(([key, value]) => el.setAttribute(key, value));
+    parent.appendChild(el);
+    return el;
+}
+
+/**
+ * Points attribute for a stroke polyline
+ */
+export function strokePoints(stroke) {
+    return stroke.map(([x, y]) => `${x},${y}`).join(' ');
+}
+
+/**
+ * Dashed 米-shaped practice grid
+ */
+export function drawGuides(svg, grid = 100) {
+    const mid = grid / 2;
+    [[0, mid, grid, mid], [mid, 0, mid, grid], [0, 0, grid, grid], [grid, 0, 0, grid]].forEach(([x1, y1, x2, y2]) => {
+        svgElement(svg, 'line', { class: 'stroke-guide', x1, y1, x2, y2 });
+    });
+}
+
+/**
+ * Draw a stroke-order diagram: a faint full character with each stroke drawn over it in order
+ * @param {SVGElement} svg - Target <svg>; its content is replaced
+ * @param {Array<Array<[number, number]>>} strokes - Stroke centerlines, in writing order
+ * @param {number} grid - Size of the coordinate grid the strokes use
+ */
+export function renderStrokeDiagram(svg, strokes, grid = 100) {
+    svg.innerHTML = '';
+    svg.setAttribute('viewBox', `0 0 ${grid} ${grid}`);
+    drawGuides(svg, grid);
+
+    strokes.forEach(stroke => svgElement(svg, 'polyline', { class: 'stroke-shadow', points: strokePoints(stroke) }));
+    strokes.forEach((stroke, idx) => {
+        const line = svgElement(svg, 'polyline', { class: 'stroke', points: strokePoints(stroke), pathLength: 1 });
+        line.style.animationDelay = `${idx * STROKE_STEP}s`;
+    });
+}
+
+export class CharacterPopover {
+    /**
+     * @param {HTMLElement} panel - #char-popover
+     * @param {CharacterDictionary} dictionary - Radicals, components, strokes
+     */
+    constructor(panel, dictionary) {
+        this.panel = panel;
+        this.dictionary = dictionary;
+        this.anchor = null;
+        this.strokes = null;
+        this.request = 0; // ignore lookups that finish after another stone was opened
+
+        this.hanzi = panel.querySelector('.char-popover-hanzi');
+        this.readings = panel.querySelector('.char-popover-readings');
+        this.diagram = panel.querySelector('.stroke-diagram');
+        this.strokeInfo = panel.querySelector('.char-popover-stroke-count');
+        this.replayBtn = panel.querySelector('[data-action="replay"]');
+        this.parts = panel.querySelector('.char-popover-parts');
+        this.songs = panel.querySelector('.char-popover-songs');
+
+        this.onKeyDown = this.onKeyDown.bind(this);
+        this.onPointerDown = this.onPointerDown.bind(this);
+
+        panel.querySelector('.settings-close').addEventListener('click', () => this.close());
+        this.replayBtn.addEventListener('click', () => this.replay());
+    }
+
+    get isOpen() {
+        return !this.panel.hidden;
+    }
+
+    /**
+     * Show a character next to its stone
+     * @param {Object} charData - The stone's character ({ char, pinyin, jyutping, meaning })
+     * @param {Array} uses - findCharacterUses() result for the character
+     * @param {HTMLElement} anchor - Stone element to sit next to
+     */
+    async open(charData, uses, anchor) {
+        const request = ++this.request;
+        this.anchor = anchor;
+        this.renderHeader(charData, uses);
+        this.renderSongs(uses);
+        this.parts.textContent = '';
+        this.strokeInfo.textContent = '';
+        this.diagram.innerHTML = '';
+        this.replayBtn.hidden = true;
+
+        if (!this.isOpen) {
+            this.panel.hidden = false;
+            document.addEventListener('keydown', this.onKeyDown, true);
+            document.addEventListener('pointerdown', this.onPointerDown, true);
+        }
+        this.position();
+
+        const entry = await this.dictionary.lookup(charData.char);
+        if (request !== this.request || !this.isOpen) return;
+        this.renderEntry(entry);
+        this.position();
+    }
+
+    close() {
+        if (!this.isOpen) return;
+        this.request++;
+        this.panel.hidden = true;
+        this.anchor = null;
+        document.removeEventListener('keydown', this.onKeyDown, true);
+        document.removeEventListener('pointerdown', this.onPointerDown, true);
+    }
+
+    renderHeader(charData, uses) {
+        const { char, pinyin, jyutping } = charData;
+        this.hanzi.textContent = char;
+
+        // Every pinyin the character is sung with, this stone's first
+        const pinyins = [...new Set([pinyin, ...uses.flatMap(use => use.readings)].filter(Boolean))];
+        const rows = [
+            ['Pinyin', pinyins.join(' · ')],
+            ['Zhuyin', pinyins.map(pinyinToZhuyin).join(' · ')],
+            ['Jyutping', jyutping],
+            ['Simplified', toSimplified(char) !== char ? toSimplified(char) : '']
+        ];
+
+        this.readings.innerHTML = '';
+        rows.filter(([, value]) => value).forEach(([label, value]) => {
+            const dt = document.createElement('dt');
+            dt.textContent = label;
+            const dd = document.createElement('dd');
+            dd.textContent = value;
+            this.readings.append(dt, dd);
+        });
+    }
+
+    renderSongs(uses) {
+        this.songs.innerHTML = '';
+        uses.forEach(use => {
+            const row = document.createElement('div');
+            row.className = 'char-popover-song';
+            const title = document.createElement('span');
+            title.className = 'char-popover-song-title';
+            title.textContent = use.title;
+            row.appendChild(title);
+            row.appendChild(document.createTextNode(
+                ` ${use.meanings.join(' · ') || '—'}${use.count > 1 ? ` (×${use.count})` : ''}`
+            ));
+            this.songs.appendChild(row);
+        });
+    }
+
+    renderEntry(entry) {
+        this.strokes = entry?.strokes ? entry : null;
+        if (!entry) {
+            this.parts.textContent = 'Not in the bundled character data.';
+            return;
+        }
+
+        const { radical, components } = entry;
+        const radicalText = radical
+            ? `${radical.char}${radical.variant ? ` (${radical.variant})` : ''}${radical.meaning ? ` ${radical.meaning}` : ''}`
+            : '';
+        this.parts.textContent = [
+            radicalText && `Radical ${radicalText}`,
+            components.length > 0 && `Parts ${components.join(' + ')}`
+        ].filter(Boolean).join(' · ');
+
+        if (entry.strokeCount) {
+            this.strokeInfo.textContent = `${entry.strokeCount} stroke${entry.strokeCount === 1 ? '' : 's'}`;
+        }
+        if (this.strokes) {
+            this.replay();
+        } else {
+            this.strokeInfo.textContent += `${entry.strokeCount ? ' · ' : ''}no stroke order`;
+        }
+    }
+
+    /**
+     * Restart the stroke animation
+     */
+    replay() {
+        if (!this.strokes) return;
+        renderStrokeDiagram(this.diagram, this.strokes.strokes, this.strokes.grid);
+        this.replayBtn.hidden = false;
+    }
+
+    /**
+     * Place the panel under the stone (above it when there is no room), inside the viewport
+     */
+    position() {
+        if (!this.anchor) return;
+        const margin = 8;
+        const rect = this.anchor.getBoundingClientRect();
+        const width = this.panel.offsetWidth;
+        const height = this.panel.offsetHeight;
+        const left = Math.min(Math.max(margin, rect.left + rect.width / 2 - width / 2), window.innerWidth - width - margin);
+        let top = rect.bottom + margin;
+        if (top + height > window.innerHeight - margin) {
+            top = Math.max(margin, rect.top - height - margin);
+        }
+        this.panel.style.left = `${Math.max(margin, left)}px`;
+        this.panel.style.top = `${top}px`;
+    }
+
+    /**
+     * Escape closes the popover without reaching the player's shortcuts
+     */
+    onKeyDown(e) {
+        if (e.key !== 'Escape') return;
+        e.preventDefault();
+        e.stopPropagation();
+        this.close();
+    }
+
+    onPointerDown(e) {
+        if (!this.panel.contains(e.target)) this.close();
+    }
+}
@@ -1,6 +1,7 @@
 /**
  * FireflyController - Manages ambient particle effects
  * Modular system for showing fireflies during intro and interludes
+ * With prefers-reduced-motion no particles are made (and any are removed if it turns on)
  */
 
 export class FireflyController {
@@ -11,6 +12,13 @@ export class FireflyController {
         this.sunriseParticles = [];
         this.sunriseParticleCount = 120; // Dramatic increase for interlude contrast
         this.isActive = false;
+        this.motionQuery = window.matchMedia?.('(prefers-reduced-motion: reduce)') || null;
+        this.motionQuery?.addEventListener?.('change', () => {
+            if (!this.isActive) return;
+            const withSunrise = this.sunriseParticles.length > 0;
+            this.init();
+            if (withSunrise) this.initSunrise();
+        });
         
         // Wind field parameters (inspired by wind-js)
         this.windField = {
@@ -20,6 +28,10 @@ export class FireflyController {
         };
     }
     
+    get reducedMotion() {
+        return Boolean(this.motionQuery?.matches);
+    }
+    
     /**
      * Sample wind vector at a given position using Perlin-like noise
      * Inspired by wind-js vector field interpolation
@@ -41,6 +53,8 @@ export class FireflyController {
     init() {
         this.container.innerHTML = '';
         this.particles = [];
+        this.sunriseParticles = [];
+        if (this.reducedMotion) return;
         
         for (let i = 0; i < this.particleCount; i++) {
             const firefly = this.createFirefly();
@@ -55,6 +69,7 @@ export class FireflyController {
     initSunrise() {
         // Keep existing particles, add sunrise ones
         this.sunriseParticles = [];
+        if (this.reducedMotion) return;
         
         for (let i = 0; i < this.sunriseParticleCount; i++) {
             const particle = this.createFirefly('sunrise');
@@ -0,0 +1,445 @@
+/**
+ * HandwritingPractice - Trace the golden-active character over a ghost of it
+ * Each traced stroke is graded against data/characters.json (shape, direction, order)
+ * with feedback per stroke. Loop mode stops at the end of every verse until all of
+ * its characters have been written.
+ */
+
+import { CharacterTrace, verseHoldTime } from './handwriting.js';
+import { svgElement, strokePoints, drawGuides } from './character-popover.js';
+
+const HINT_AFTER = 2;     // mistakes on one stroke before its hint is shown
+const REJECT_MS = 700;    // how long a rejected stroke stays visible
+const RESUME_DELAY = 800; // ms between the last character of a held verse and playback resuming
+const MAX_STEP = 0.5;     // seconds between time updates that still count as playing through
+
+const FEEDBACK = {
+    ok: (n) => `Stroke ${n} ✓`,
+    unchecked: (n, total) => `Stroke ${n}${total ? ` of ${total}` : ''}`,
+    direction: (n) => `Stroke ${n} goes the other way — start from the other end`,
+    order: (n, _total, drawn) => `That is stroke ${drawn}; stroke ${n} comes first`,
+    shape: (n) => `Stroke ${n} doesn't match — try again`
+};
+
+const isHan = (char) => /\p{Script=Han}/u.test(char);
+
+export class HandwritingPractice {
+    /**
+     * @param {Object} songData - Timed song
+     * @param {AudioSyncEngine} audioSync - Source of character-change / verse-change / time-update
+     * @param {VerseRenderer} verseRenderer - Stone elements
+     * @param {CharacterDictionary} dictionary - Stroke data
+     * @param {HTMLElement} panel - #handwriting-panel
+     */
+    constructor(songData, audioSync, verseRenderer, dictionary, panel) {
+        this.songData = songData;
+        this.audioSync = audioSync;
+        this.verseRenderer = verseRenderer;
+        this.dictionary = dictionary;
+        this.panel = panel;
+
+        this.isActive = false;
+        this.loop = false;
+        this.target = null;      // { verseIdx, charIdx, charData }
+        this.trace = null;       // CharacterTrace for the target
+        this.grid = 100;
+        this.request = 0;        // ignore lookups that finish after the target moved on
+        this.points = null;      // stroke being drawn
+        this.written = new Map(); // verseIdx -> Set of charIdx written (or skipped)
+        this.verseIdx = null;
+        this.holding = null;     // verse loop mode stopped on
+        this.lastTime = null;
+        this.timers = new Set();
+
+        this.handlers = {
+            'verse-hold': new Set(),
+            'verse-done': new Set()
+        };
+
+        this.status = panel.querySelector('.handwriting-status');
+        this.ghost = panel.querySelector('.handwriting-ghost');
+        this.canvas = panel.querySelector('.handwriting-canvas');
+        this.chips = panel.querySelector('.handwriting-strokes');
+        this.message = panel.querySelector('.handwriting-message');
+
+        this.onCharacterChange = this.onCharacterChange.bind(this);
+        this.onVerseChange = this.onVerseChange.bind(this);
+        this.onTimeUpdate = this.onTimeUpdate.bind(this);
+        this.onPointerDown = this.onPointerDown.bind(this);
+        this.onPointerMove = this.onPointerMove.bind(this);
+        this.onPointerUp = this.onPointerUp.bind(this);
+        this.onPointerCancel = () => this.endStroke(false);
+        this.onAction = (e) => {
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            if (action === 'clear') this.restart();
+            if (action === 'hint') this.showHint();
+            if (action === 'next') this.skip();
+        };
+    }
+
+    /**
+     * Show or hide the panel (it follows the golden-active character while shown)
+     */
+    setActive(active) {
+        if (active === this.isActive) return;
+        this.isActive = active;
+
+        const method = active ? 'on' : 'off';
+        this.audioSync[method]('character-change', this.onCharacterChange);
+        this.audioSync[method]('verse-change', this.onVerseChange);
+        this.audioSync[method]('time-update', this.onTimeUpdate);
+        const listen = active ? 'addEventListener' : 'removeEventListener';
+        this.canvas[listen]('pointerdown', this.onPointerDown);
+        this.canvas[listen]('pointermove', this.onPointerMove);
+        this.canvas[listen]('pointerup', this.onPointerUp);
+        this.canvas[listen]('pointercancel', this.onPointerCancel);
+        this.panel[listen]('click', this.onAction);
+
+        this.panel.hidden = !active;
+        document.body.classList.toggle('handwriting-mode', active);
+        console.log(`Handwriting: ${active ? 'On' : 'Off'}`);
+
+        if (active) {
+            const verseIdx = this.audioSync.currentVerseIdx ?? 0;
+            this.verseIdx = verseIdx;
+            const current = this.audioSync.characters[this.audioSync.currentIndex];
+            if (current) {
+                this.setTarget(current.verseIdx, current.charIdx);
+            } else {
+                this.setTarget(verseIdx, this.nextUnwritten(verseIdx) ?? 0);
+            }
+        } else {
+            this.holding = null;
+            this.clearTimers();
+            this.setTarget(null);
+        }
+    }
+
+    toggle() {
+        this.setActive(!this.isActive);
+    }
+
+    /**
+     * Loop mode: stop after each verse until all of its characters are written
+     */
+    setLoop(loop) {
+        this.loop = Boolean(loop);
+        if (!this.loop) this.holding = null;
+        this.updateStatus();
+    }
+
+    /* ---------- Following playback ---------- */
+
+    onCharacterChange(charData) {
+        if (this.holding !== null || !isHan(charData.char)) return;
+        // Keep a character that is half written; move on once it's done or untouched
+        if (this.trace && this.trace.drawn > 0 && !this.trace.done) return;
+        this.setTarget(charData.verseIdx, charData.charIdx);
+    }
+
+    onVerseChange({ verseIdx }) {
+        if (verseIdx === this.verseIdx) return;
+        this.verseIdx = verseIdx;
+        this.holding = null;
+        this.updateStatus();
+    }
+
+    /**
+     * Loop mode: stop when playback crosses the end of a verse that isn't fully written
+     */
+    onTimeUpdate({ currentTime }) {
+        const lastTime = this.lastTime;
+        this.lastTime = currentTime;
+        if (!this.loop || this.holding !== null || this.verseIdx === null || lastTime === null) return;
+        // Only stop during normal playback, not on a jump past the end of the verse
+        if (currentTime - lastTime > MAX_STEP) return;
+
+        const holdAt = verseHoldTime(this.songData, this.verseIdx);
+        if (lastTime >= holdAt || currentTime < holdAt) return;
+        const next = this.nextUnwritten(this.verseIdx);
+        if (next === null) return;
+
+        this.holding = this.verseIdx;
+        console.log(`Handwriting: Holding verse ${this.verseIdx}`);
+        this.emit('verse-hold', { verseIdx: this.verseIdx });
+        this.setTarget(this.verseIdx, next);
+    }
+
+    /**
+     * First Han character of a verse that hasn't been written yet
+     */
+    nextUnwritten(verseIdx) {
+        const written = this.written.get(verseIdx) || new Set();
+        const idx = this.songData.verses[verseIdx]?.characters
+            .findIndex((c, charIdx) => isHan(c.char) && !written.has(charIdx));
+        return idx >= 0 ? idx : null;
+    }
+
+    /* ---------- Target character ---------- */
+
+    /**
+     * Practice a character (null clears the pad)
+     */
+    async setTarget(verseIdx, charIdx) {
+        const request = ++this.request;
+        this.endStroke(false);
+        this.getStone(this.target)?.classList.remove('handwriting-target');
+
+        const charData = verseIdx === null ? null : this.songData.verses[verseIdx]?.characters[charIdx];
+        this.target = charData ? { verseIdx, charIdx, charData } : null;
+        this.trace = null;
+        this.getStone(this.target)?.classList.add('handwriting-target');
+        this.ghost.textContent = charData?.char || '';
+        this.message.textContent = '';
+        this.redraw();
+        this.updateStatus();
+        if (!charData) return;
+
+        const entry = await this.dictionary.lookup(charData.char);
+        if (request !== this.request) return;
+        this.grid = entry?.grid || 100;
+        this.trace = new CharacterTrace(entry);
+        this.redraw();
+        this.updateStatus();
+        if (!entry) {
+            this.message.textContent = `${charData.char} isn't in the character data — write it, then press Next`;
+        } else if (!this.trace.checked) {
+            this.message.textContent = `No stroke order for ${charData.char}; strokes are only counted`;
+        }
+    }
+
+    /**
+     * Start the current character over
+     */
+    restart() {
+        if (!this.target) return;
+        this.setTarget(this.target.verseIdx, this.target.charIdx);
+    }
+
+    /**
+     * Move on without finishing the character (counts as done for loop mode)
+     */
+    skip() {
+        if (!this.target) return;
+        this.finish(false);
+    }
+
+    getStone(target) {
+        return target ? this.verseRenderer.getCharacterElement(target.verseIdx, target.charIdx) : null;
+    }
+
+    /* ---------- Drawing ---------- */
+
+    /**
+     * Pointer position in grid units
+     */
+    toGrid(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const scale = (value, size) => Math.round(((value / (size || 1)) * this.grid) * 10) / 10;
+        return [scale(e.clientX - rect.left, rect.width), scale(e.clientY - rect.top, rect.height)];
+    }
+
+    onPointerDown(e) {
+        if (e.button !== 0 || !this.trace || this.trace.done) return;
+        e.preventDefault();
+        this.canvas.setPointerCapture?.(e.pointerId);
+        this.points = [this.toGrid(e)];
+        this.currentLine = svgElement(this.canvas, 'polyline', { class: 'handwriting-current', points: strokePoints(this.points) });
+    }
+
+    onPointerMove(e) {
+        if (!this.points) return;
+        this.points.push(this.toGrid(e));
+        this.currentLine.setAttribute('points', strokePoints(this.points));
+    }
+
+    onPointerUp() {
+        this.endStroke(true);
+    }
+
+    /**
+     * Finish the stroke being drawn (grade it, or drop it when cancelled)
+     */
+    endStroke(submit) {
+        const points = this.points;
+        this.points = null;
+        this.currentLine?.remove();
+        this.currentLine = null;
+        if (submit && points) this.submitStroke(points);
+    }
+
+    submitStroke(points) {
+        const grade = this.trace?.addStroke(points);
+        if (!grade) return;
+        const n = grade.strokeIdx + 1;
+        const total = this.trace.expected;
+
+        if (grade.result === 'ok' || grade.result === 'unchecked') {
+            this.message.textContent = FEEDBACK[grade.result](n, total);
+            this.redraw();
+        } else {
+            const expected = this.trace.next + 1;
+            this.message.textContent = FEEDBACK[grade.result](expected, total, n);
+            this.flashRejected(points);
+            this.updateChips();
+            if (this.trace.mistakes[this.trace.next] >= HINT_AFTER) this.showHint();
+        }
+        this.updateStatus();
+
+        if (this.trace.done) this.finish(true);
+    }
+
+    /**
+     * Briefly show a stroke that wasn't accepted
+     */
+    flashRejected(points) {
+        const line = svgElement(this.canvas, 'polyline', { class: 'handwriting-rejected', points: strokePoints(points) });
+        this.later(() => line.remove(), REJECT_MS);
+    }
+
+    /**
+     * Animate the stroke that is due
+     */
+    showHint() {
+        const stroke = this.trace?.strokes?.[this.trace.next];
+        if (!stroke) return;
+        this.canvas.querySelectorAll('.handwriting-hint').forEach(el => el.remove());
+        svgElement(this.canvas, 'polyline', { class: 'stroke handwriting-hint', points: strokePoints(stroke), pathLength: 1 });
+        const [x, y] = stroke[0];
+        svgElement(this.canvas, 'circle', { class: 'handwriting-hint handwriting-hint-start', cx: x, cy: y, r: 3.5 });
+    }
+
+    /**
+     * Guides plus the strokes written so far
+     */
+    redraw() {
+        this.canvas.innerHTML = '';
+        this.canvas.setAttribute('viewBox', `0 0 ${this.grid} ${this.grid}`);
+        drawGuides(this.canvas, this.grid);
+        (this.trace?.accepted || []).forEach(stroke => {
+            svgElement(this.canvas, 'polyline', { class: 'handwriting-stroke', points: strokePoints(stroke) });
+        });
+        this.updateChips();
+    }
+
+    /**
+     * One chip per stroke: written, written after mistakes, or still to come
+     */
+    updateChips() {
+        this.chips.innerHTML = '';
+        const trace = this.trace;
+        if (!trace?.expected) return;
+        for (let idx = 0; idx < trace.expected; idx++) {
+            const chip = document.createElement('span');
+            chip.className = 'handwriting-chip';
+            chip.textContent = idx + 1;
+            if (idx < trace.accepted.length) chip.classList.add(trace.mistakes[idx] ? 'corrected' : 'written');
+            if (idx === trace.next) chip.classList.add('due');
+            if (trace.mistakes[idx]) chip.title = `${trace.mistakes[idx]} mistake${trace.mistakes[idx] === 1 ? '' : 's'}`;
+            this.chips.appendChild(chip);
+        }
+    }
+
+    updateStatus() {
+        if (!this.target) {
+            this.status.textContent = 'Play the song to trace its characters';
+            return;
+        }
+        const { char, pinyin } = this.target.charData;
+        const parts = [`${char} ${pinyin || ''}`.trim()];
+        if (this.trace?.expected) {
+            parts.push(`${Math.min(this.trace.next + 1, this.trace.expected)} / ${this.trace.expected}`);
+        }
+        if (this.holding !== null) {
+            const hanzi = this.songData.verses[this.holding].characters.filter(c => isHan(c.char)).length;
+            const written = this.written.get(this.holding)?.size || 0;
+            parts.push(`verse ${written}/${hanzi} written`);
+        }
+        this.status.textContent = parts.join(' · ');
+    }
+
+    /* ---------- Finishing ---------- */
+
+    /**
+     * Record the target as written and, while holding a verse, go to the next one
+     * @param {boolean} completed - false when skipped
+     */
+    finish(completed) {
+        const { verseIdx, charIdx, charData } = this.target;
+        if (!this.written.has(verseIdx)) this.written.set(verseIdx, new Set());
+        this.written.get(verseIdx).add(charIdx);
+        this.getStone(this.target)?.classList.add('handwriting-written');
+
+        if (completed) {
+            const { expected, drawn } = this.trace;
+            const mistakes = this.trace.mistakeCount;
+            this.message.textContent = `${charData.char} written — ${expected} stroke${expected === 1 ? '' : 's'}`
+                + (drawn > expected ? ` (${drawn} drawn, ${mistakes} corrected)` : ', no corrections');
+            console.log(`Handwriting: Wrote ${charData.char} (${drawn}/${expected} strokes)`);
+        }
+        this.updateStatus();
+
+        if (this.holding === null) {
+            if (!completed) this.setTarget(null);
+            return;
+        }
+        if (this.nextUnwritten(this.holding) !== null) {
+            this.later(() => {
+                const next = this.holding === null ? null : this.nextUnwritten(this.holding);
+                if (next !== null) this.setTarget(this.holding, next);
+            }, completed ? RESUME_DELAY : 0);
+            return;
+        }
+        const held = this.holding;
+        this.holding = null;
+        console.log(`Handwriting: Verse ${held} written`);
+        this.later(() => this.emit('verse-done', { verseIdx: held }), RESUME_DELAY);
+    }
+
+    later(callback, ms) {
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            callback();
+        }, ms);
+        this.timers.add(timer);
+    }
+
+    clearTimers() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+    }
+
+    /**
+     * Tear down (song switch)
+     */
+    destroy() {
+        this.setActive(false);
+        this.verseRenderer.container
+            .querySelectorAll('.handwriting-written')
+            .forEach(stone => stone.classList.remove('handwriting-written'));
+        Object.values(this.handlers).forEach(set => set.clear());
+    }
+
+    /**
+     * Event emitter
+     */
+    on(event, callback) {
+        if (this.handlers[event]) {
+            this.handlers[event].add(callback);
+        }
+    }
+
+    off(event, callback) {
+        if (this.handlers[event]) {
+            this.handlers[event].delete(callback);
+        }
+    }
+
+    emit(event, data) {
+        if (this.handlers[event]) {
+            this.handlers[event].forEach(callback => {
+                callback(data);
+            });
+        }
+    }
+}
@@ -0,0 +1,145 @@
+/**
+ * Handwriting - Grades traced strokes against the bundled stroke data
+ * Strokes are point lists on the dataset's grid (0–100, y down). A drawn stroke is
+ * compared with the expected one after resampling both to the same number of points.
+ */
+
+import { verseTimeRange } from './practice-loop.js';
+
+export const STROKE_TOLERANCE = 15; // mean point distance (grid units) that still counts as a match
+const SAMPLES = 24;
+const MIN_LENGTH = 1.5;             // shorter strokes are taps, not strokes
+const HOLD_LEAD = 0.15;             // seconds before the next verse at which loop mode stops
+
+const distance = ([x1, y1], [x2, y2]) => Math.hypot(x2 - x1, y2 - y1);
+
+/**
+ * Total length of a polyline
+ */
+export function strokeLength(points) {
+    return points.slice(1).reduce((sum, point, idx) => sum + distance(points[idx], point), 0);
+}
+
+/**
+ * `count` points spread evenly along a polyline
+ */
+export function resampleStroke(points, count = SAMPLES) {
+    const total = strokeLength(points);
+    if (points.length < 2 || total === 0) return Array.from({ length: count }, () => points[0]);
+
+    const step = total / (count - 1);
+    const result = [points[0]];
+    let segment = 0;
+    let walked = 0; // length up to the start of `segment`
+    for (let i = 1; i < count - 1; i++) {
+        const target = i * step;
+        while (segment < points.length - 2 && walked + distance(points[segment], points[segment + 1]) < target) {
+            walked += distance(points[segment], points[segment + 1]);
+            segment++;
+        }
+        const [x1, y1] = points[segment];
+        const [x2, y2] = points[segment + 1];
+        const t = (target - walked) / (distance(points[segment], points[segment + 1]) || 1);
+        result.push([x1 + (x2 - x1) * t, y1 + (y2 - y1) * t]);
+    }
+    result.push(points[points.length - 1]);
+    return result;
+}
+
+/**
+ * Mean distance between two strokes, point by point in writing direction
+ */
+export function strokeDistance(a, b) {
+    const ra = resampleStroke(a);
+    const rb = resampleStroke(b);
+    return ra.reduce((sum, point, idx) => sum + distance(point, rb[idx]), 0) / ra.length;
+}
+
+/**
+ * Grade a drawn stroke when stroke `expected` is due
+ * @param {Array<[number, number]>} drawn - Traced points (grid coordinates)
+ * @param {Array<Array<[number, number]>>} strokes - The character's strokes, in order
+ * @param {number} expected - Index of the stroke that should come next
+ * @returns {{ result: 'ok'|'direction'|'order'|'shape', strokeIdx: number }}
+ *          direction: the expected stroke drawn backwards; order: a later stroke drawn early
+ */
+export function gradeStroke(drawn, strokes, expected, { tolerance = STROKE_TOLERANCE } = {}) {
+    const wanted = strokes[expected];
+    if (strokeDistance(drawn, wanted) <= tolerance) return { result: 'ok', strokeIdx: expected };
+    if (strokeDistance([...drawn].reverse(), wanted) <= tolerance) return { result: 'direction', strokeIdx: expected };
+
+    const later = strokes.slice(expected + 1).findIndex(stroke => strokeDistance(drawn, stroke) <= tolerance);
+    if (later >= 0) return { result: 'order', strokeIdx: expected + 1 + later };
+    return { result: 'shape', strokeIdx: expected };
+}
+
+/**
+ * One attempt at writing a character
+ * With stroke data every stroke is graded; with only a stroke count strokes are
+ * counted; without either the character is never done by itself (skip it).
+ */
+export class CharacterTrace {
+    /**
+     * @param {Object|null} entry - CharacterDictionary.lookup() result
+     */
+    constructor(entry) {
+        this.strokes = entry?.strokes || null;
+        this.expected = this.strokes ? this.strokes.length : entry?.strokeCount ?? null;
+        this.accepted = [];  // points kept for each written stroke
+        this.mistakes = [];  // mistakes per stroke index
+        this.drawn = 0;      // every stroke traced, rejected ones included
+    }
+
+    get checked() {
+        return Boolean(this.strokes);
+    }
+
+    get next() {
+        return this.accepted.length;
+    }
+
+    get done() {
+        return this.expected !== null && this.accepted.length >= this.expected;
+    }
+
+    get mistakeCount() {
+        return this.mistakes.reduce((sum, count) => sum + (count || 0), 0);
+    }
+
+    /**
+     * Add a traced stroke
+     * @returns {{ result: string, strokeIdx: number, points: Array }|null} null for taps and
+     *          strokes after the character is done; result 'unchecked' without stroke data
+     */
+    addStroke(points) {
+        if (this.done || points.length < 2 || strokeLength(points) < MIN_LENGTH) return null;
+        this.drawn++;
+        const strokeIdx = this.next;
+
+        if (!this.checked) {
+            this.accepted.push(points);
+            return { result: 'unchecked', strokeIdx, points };
+        }
+
+        const grade = gradeStroke(points, this.strokes, strokeIdx);
+        if (grade.result === 'ok') {
+            this.accepted.push(this.strokes[strokeIdx]);
+            return { ...grade, points: this.strokes[strokeIdx] };
+        }
+        this.mistakes[strokeIdx] = (this.mistakes[strokeIdx] || 0) + 1;
+        return { ...grade, points };
+    }
+}
+
+/**
+ * Time at which loop mode stops a verse: when its last character ends, or just
+ * before the next verse starts when the last character runs into it
+ */
+export function verseHoldTime(songData, verseIdx) {
+    const last = songData.verses[verseIdx].characters.reduce((a, b) => (b.time > a.time ? b : a));
+    const explicitEnd = typeof last.end === 'number'
+        ? last.end
+        : typeof last.duration === 'number' ? last.time + last.duration : Infinity;
+    const { end } = verseTimeRange(songData, verseIdx, 0);
+    return Math.min(explicitEnd, end - HOLD_LEAD);
+}
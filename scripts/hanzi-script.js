@@ -0,0 +1,73 @@
+/**
+ * HanziScript - Traditional / Simplified display of Chinese text
+ * The data is written in Traditional; Simplified is looked up in the bundled
+ * table. "both" stacks the Simplified form under the Traditional one.
+ * Shared by the player, lyrics-viewer.html and vocab-learner.html.
+ */
+
+import { TRAD_SIMP_PAIRS } from './trad-simp-table.js';
+
+export const SCRIPT_MODES = {
+    traditional: { label: 'Traditional', short: '繁' },
+    simplified: { label: 'Simplified', short: '简' },
+    both: { label: 'Both', short: '繁/简' }
+};
+
+export const DEFAULT_SCRIPT_MODE = 'traditional';
+
+const STORAGE_KEY = 'hanziScript';
+
+const TRAD_TO_SIMP = new Map(TRAD_SIMP_PAIRS.trim().split(/\s+/).map(pair => [...pair]));
+
+/**
+ * Simplified form of a Traditional string (characters without a Simplified form are kept)
+ */
+export function toSimplified(text) {
+    return [...String(text ?? '')].map(char => TRAD_TO_SIMP.get(char) ?? char).join('');
+}
+
+/**
+ * Saved script mode (localStorage "hanziScript")
+ */
+export function loadScriptMode() {
+    const saved = typeof localStorage === 'undefined' ? null : localStorage.getItem(STORAGE_KEY);
+    return SCRIPT_MODES[saved] ? saved : DEFAULT_SCRIPT_MODE;
+}
+
+export function saveScriptMode(mode) {
+    if (typeof localStorage === 'undefined') return;
+    localStorage.setItem(STORAGE_KEY, SCRIPT_MODES[mode] ? mode : DEFAULT_SCRIPT_MODE);
+}
+
+/**
+ * The mode after `mode` (for keys that cycle through them)
+ */
+export function nextScriptMode(mode) {
+    const modes = Object.keys(SCRIPT_MODES);
+    return modes[(modes.indexOf(mode) + 1) % modes.length];
+}
+
+/**
+ * Fill an element with text in the given script
+ * In "both" mode text that differs gets a .script-trad line over a .script-simp line.
+ */
+export function renderHanzi(el, text, mode = DEFAULT_SCRIPT_MODE) {
+    const traditional = String(text ?? '');
+    const simplified = toSimplified(traditional);
+    el.textContent = '';
+    el.classList.toggle('script-both', mode === 'both' && simplified !== traditional);
+
+    if (mode === 'simplified') {
+        el.textContent = simplified;
+    } else if (mode === 'both' && simplified !== traditional) {
+        const trad = document.createElement('span');
+        trad.className = 'script-trad';
+        trad.textContent = traditional;
+        const simp = document.createElement('span');
+        simp.className = 'script-simp';
+        simp.textContent = simplified;
+        el.append(trad, simp);
+    } else {
+        el.textContent = traditional;
+    }
+}
@@ -0,0 +1,89 @@
+/**
+ * IdbStore - Promise wrapper around one IndexedDB object store
+ * Falls back to an in-memory map where IndexedDB is unavailable (private windows, Node)
+ */
+
+const DB_NAME = 'kaixin';
+const DB_VERSION = 2; // bump when a store is added so onupgradeneeded creates it
+
+// Every object store the app uses; all are keyed by `id`
+const STORES = ['cards', 'recordings'];
+
+let dbPromise = null;
+
+/**
+ * Open (or create) the app database once
+ * @returns {Promise<IDBDatabase|null>} null when IndexedDB is unavailable
+ */
+function openDatabase() {
+    if (dbPromise) return dbPromise;
+    if (typeof indexedDB === 'undefined') {
+        dbPromise = Promise.resolve(null);
+        return dbPromise;
+    }
+
+    dbPromise = new Promise((resolve) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            STORES.forEach(name => {
+                if (!request.result.objectStoreNames.contains(name)) {
+                    request.result.createObjectStore(name, { keyPath: 'id' });
+                }
+            });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            console.warn('IdbStore: IndexedDB unavailable, keeping data in memory', request.error);
+            resolve(null);
+        };
+    });
+    return dbPromise;
+}
+
+/**
+ * Resolve an IDBRequest as a promise
+ */
+function done(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+export class IdbStore {
+    /**
+     * @param {string} storeName - One of STORES
+     */
+    constructor(storeName) {
+        this.storeName = storeName;
+        this.memory = new Map(); // used when IndexedDB is unavailable
+    }
+
+    async transaction(mode) {
+        const db = await openDatabase();
+        return db ? db.transaction(this.storeName, mode).objectStore(this.storeName) : null;
+    }
+
+    async get(id) {
+        const store = await this.transaction('readonly');
+        return store ? done(store.get(id)) : this.memory.get(id);
+    }
+
+    async getAll() {
+        const store = await this.transaction('readonly');
+        return store ? done(store.getAll()) : [...this.memory.values()];
+    }
+
+    async put(record) {
+        const store = await this.transaction('readwrite');
+        if (store) return done(store.put(record));
+        this.memory.set(record.id, record);
+        return record.id;
+    }
+
+    async delete(id) {
+        const store = await this.transaction('readwrite');
+        if (store) return done(store.delete(id));
+        this.memory.delete(id);
+    }
+}
@@ -0,0 +1,239 @@
+/**
+ * Keymap - Keyboard bindings and stone navigation
+ * Every shortcut is an action with one or more key combos; combos can be remapped
+ * (a combo belongs to one action at a time) and only the changes are saved.
+ * Navigation is the lyrics viewer's caret model over verses (lines) and characters.
+ */
+
+export const PAGE_LINES = 3; // PageUp/PageDown move this many verses
+
+/**
+ * Actions in help-overlay order; `keys` are the default combos (see comboFromEvent)
+ */
+export const ACTIONS = [
+    { id: 'play', label: 'Play / pause', group: 'Playback', keys: ['Space'] },
+    { id: 'stop', label: 'Stop', group: 'Playback', keys: ['Escape'] },
+    { id: 'prev-verse', label: 'Previous verse', group: 'Playback', keys: ['['] },
+    { id: 'next-verse', label: 'Next verse', group: 'Playback', keys: [']'] },
+    { id: 'seek-focused', label: 'Play from the focused stone', group: 'Playback', keys: ['Enter'] },
+    { id: 'loop-a', label: 'Set loop start (A)', group: 'Playback', keys: ['a'] },
+    { id: 'loop-b', label: 'Set loop end (B)', group: 'Playback', keys: ['b'] },
+    { id: 'loop-verse', label: 'Loop the current verse', group: 'Playback', keys: ['l'] },
+
+    { id: 'left', label: 'Previous character', group: 'Navigate the stones', keys: ['ArrowLeft'] },
+    { id: 'right', label: 'Next character', group: 'Navigate the stones', keys: ['ArrowRight'] },
+    { id: 'up', label: 'Verse above', group: 'Navigate the stones', keys: ['ArrowUp'] },
+    { id: 'down', label: 'Verse below', group: 'Navigate the stones', keys: ['ArrowDown'] },
+    { id: 'line-start', label: 'Beginning of verse', group: 'Navigate the stones', keys: ['Home'] },
+    { id: 'line-end', label: 'End of verse', group: 'Navigate the stones', keys: ['End'] },
+    { id: 'first', label: 'First character', group: 'Navigate the stones', keys: ['Ctrl+Home'] },
+    { id: 'last', label: 'Last character', group: 'Navigate the stones', keys: ['Ctrl+End'] },
+    { id: 'next-line', label: 'Start of next verse', group: 'Navigate the stones', keys: ['Shift+ArrowDown'] },
+    { id: 'prev-line', label: 'Start of previous verse', group: 'Navigate the stones', keys: ['Shift+ArrowUp'] },
+    { id: 'page-up', label: `${PAGE_LINES} verses up`, group: 'Navigate the stones', keys: ['PageUp'] },
+    { id: 'page-down', label: `${PAGE_LINES} verses down`, group: 'Navigate the stones', keys: ['PageDown'] },
+    { id: 'add-to-deck', label: 'Add the focused stone to the review deck', group: 'Navigate the stones', keys: ['+'] },
+
+    { id: 'editor', label: 'Timing editor', group: 'Modes', keys: ['e'] },
+    { id: 'quiz', label: 'Cycle quiz modes', group: 'Modes', keys: ['q'] },
+    { id: 'handwriting', label: 'Handwriting practice', group: 'Modes', keys: ['w'] },
+    { id: 'sing-along', label: 'Sing along', group: 'Modes', keys: ['k'] },
+    { id: 'record-compare', label: 'Record & compare', group: 'Modes', keys: ['c'] },
+    { id: 'help', label: 'Show / hide this help', group: 'Modes', keys: ['?'] }
+];
+
+/** Action ids that move the focus ring, handled by navigate() */
+export const NAV_MOVES = [
+    'left', 'right', 'up', 'down', 'line-start', 'line-end',
+    'first', 'last', 'next-line', 'prev-line', 'page-up', 'page-down'
+];
+
+const KEY_NAMES = {
+    ' ': 'Space',
+    Spacebar: 'Space',
+    Esc: 'Escape',
+    Left: 'ArrowLeft',
+    Right: 'ArrowRight',
+    Up: 'ArrowUp',
+    Down: 'ArrowDown'
+};
+
+const KEY_LABELS = {
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    Escape: 'Esc',
+    PageUp: 'PgUp',
+    PageDown: 'PgDn'
+};
+
+/**
+ * Combo string for a keydown, e.g. "q", "?", "Space", "Shift+ArrowDown", "Ctrl+Home"
+ * Printable keys are lower-cased and never carry Shift (it is already in the character);
+ * Cmd counts as Ctrl.
+ * @param {KeyboardEvent} e
+ * @returns {string|null} null for a bare modifier press
+ */
+export function comboFromEvent(e) {
+    const key = KEY_NAMES[e.key] || e.key;
+    if (!key || ['Control', 'Shift', 'Alt', 'Meta', 'Dead', 'Unidentified'].includes(key)) return null;
+    const printable = key.length === 1;
+    const parts = [];
+    if (e.ctrlKey || e.metaKey) parts.push('Ctrl');
+    if (e.altKey) parts.push('Alt');
+    if (e.shiftKey && !printable) parts.push('Shift');
+    parts.push(printable ? key.toLowerCase() : key);
+    return parts.join('+');
+}
+
+/**
+ * Combo as shown to people ("Shift+↓", "←", "Q")
+ */
+export function describeCombo(combo) {
+    const parts = combo.split('+');
+    // "+" itself is a key: "Ctrl++" splits into ['Ctrl', '', '']
+    const key = combo.endsWith('+') && parts.length > 1 ? '+' : parts.pop();
+    const mods = parts.filter(Boolean);
+    const label = KEY_LABELS[key] || (key.length === 1 ? key.toUpperCase() : key);
+    return [...mods, label].join('+');
+}
+
+/**
+ * Whether the player takes a key press, given the action it is bound to and where focus is
+ * Open dialogs keep every key, fields keep all but Stop, Enter presses a focused control,
+ * and the stone moves only run from a stone or with nothing focused, so Tab and the arrow
+ * keys keep working everywhere else.
+ * @param {string|null} action - Action bound to the combo (Keymap.actionFor)
+ * @param {Element|null} target - The keydown's target
+ * @returns {boolean}
+ */
+export function takesKey(action, target) {
+    if (!action) return false;
+    const within = (selector) => Boolean(target?.closest?.(selector));
+    if (within('[aria-modal="true"]')) return false;
+    if (within('input, textarea, select')) return action === 'stop';
+    if (action === 'seek-focused' && within('button, a, label')) return false;
+    if (NAV_MOVES.includes(action)) {
+        return !target?.closest || within('.stone') || target === target.ownerDocument?.body;
+    }
+    return true;
+}
+
+export class Keymap {
+    /**
+     * @param {Object} [overrides] - { actionId: [combos] } as returned by `overrides`
+     */
+    constructor(overrides = {}) {
+        this.bindings = new Map(); // actionId -> combos
+        this.reset();
+        Object.entries(overrides || {}).forEach(([action, keys]) => {
+            if (this.bindings.has(action) && Array.isArray(keys)) this.bind(action, keys);
+        });
+    }
+
+    /**
+     * Back to the default keys
+     */
+    reset() {
+        ACTIONS.forEach(action => this.bindings.set(action.id, [...action.keys]));
+    }
+
+    keysFor(action) {
+        return this.bindings.get(action) || [];
+    }
+
+    /**
+     * @returns {string|null} Action bound to a combo
+     */
+    actionFor(combo) {
+        for (const [action, keys] of this.bindings) {
+            if (keys.includes(combo)) return action;
+        }
+        return null;
+    }
+
+    /**
+     * Give an action new keys, taking them away from any action that had them
+     * @param {string} action - Action id
+     * @param {string[]} combos - Combo strings (comboFromEvent)
+     */
+    bind(action, combos) {
+        if (!this.bindings.has(action)) throw new Error(`Unknown action: ${action}`);
+        const keys = [...new Set(combos.filter(Boolean))];
+        this.bindings.forEach((bound, other) => {
+            if (other !== action) this.bindings.set(other, bound.filter(combo => !keys.includes(combo)));
+        });
+        this.bindings.set(action, keys);
+    }
+
+    /**
+     * Actions whose keys differ from the defaults (what needs saving)
+     */
+    get overrides() {
+        const changed = {};
+        ACTIONS.forEach(({ id, keys }) => {
+            const bound = this.keysFor(id);
+            if (bound.length !== keys.length || bound.some((combo, i) => combo !== keys[i])) {
+                changed[id] = [...bound];
+            }
+        });
+        return changed;
+    }
+}
+
+/**
+ * Move a caret over the stones the way the lyrics viewer does
+ * Left/right wrap across verses, up/down keep the column (clamped to the verse length),
+ * Home/End and the verse jumps stay put at the ends of the song.
+ * @param {number[]} lengths - Characters per verse
+ * @param {{ verseIdx: number, charIdx: number }} pos - Current position
+ * @param {string} move - One of NAV_MOVES
+ * @returns {{ verseIdx: number, charIdx: number }}
+ */
+export function navigate(lengths, { verseIdx, charIdx }, move) {
+    const lastLine = lengths.length - 1;
+    const lastChar = (line) => Math.max(0, lengths[line] - 1);
+    const vertical = (line) => ({ verseIdx: line, charIdx: Math.min(charIdx, lastChar(line)) });
+
+    switch (move) {
+        case 'right':
+            if (charIdx < lastChar(verseIdx)) return { verseIdx, charIdx: charIdx + 1 };
+            if (verseIdx < lastLine) return { verseIdx: verseIdx + 1, charIdx: 0 };
+            break;
+        case 'left':
+            if (charIdx > 0) return { verseIdx, charIdx: charIdx - 1 };
+            if (verseIdx > 0) return { verseIdx: verseIdx - 1, charIdx: lastChar(verseIdx - 1) };
+            break;
+        case 'down':
+            if (verseIdx < lastLine) return vertical(verseIdx + 1);
+            break;
+        case 'up':
+            if (verseIdx > 0) return vertical(verseIdx - 1);
+            break;
+        case 'page-down':
+        case 'page-up': {
+            // Stepped one verse at a time, so a short verse on the way clamps the column
+            let pos = { verseIdx, charIdx };
+            for (let i = 0; i < PAGE_LINES; i++) {
+                pos = navigate(lengths, pos, move === 'page-down' ? 'down' : 'up');
+            }
+            return pos;
+        }
+        case 'line-start':
+            return { verseIdx, charIdx: 0 };
+        case 'line-end':
+            return { verseIdx, charIdx: lastChar(verseIdx) };
+        case 'first':
+            return { verseIdx: 0, charIdx: 0 };
+        case 'last':
+            return { verseIdx: lastLine, charIdx: lastChar(lastLine) };
+        case 'next-line':
+            if (verseIdx < lastLine) return { verseIdx: verseIdx + 1, charIdx: 0 };
+            break;
+        case 'prev-line':
+            if (verseIdx > 0) return { verseIdx: verseIdx - 1, charIdx: 0 };
+            break;
+    }
+    return { verseIdx, charIdx };
+}
@@ -0,0 +1,276 @@
+/**
+ * Lyric Formats - Import/export of LRC, Enhanced LRC and WebVTT timings
+ * Converts to and from the verses[].characters[] structure used by AudioSyncEngine
+ */
+
+const MAX_CHAR_SPAN = 0.8;    // seconds per character when spreading a line without word tags
+const LAST_LINE_SPAN = 3;     // seconds assumed for a final line with no following timestamp
+
+/**
+ * Split lyric text into stones: one per CJK character, one per run of other letters/digits
+ * Punctuation and whitespace are dropped.
+ */
+export function tokenize(text) {
+    return text.match(/[\p{Script=Han}々〇]|[\p{L}\p{N}'’]+/gu) || [];
+}
+
+/**
+ * Spread tokens evenly between two times
+ */
+function spread(tokens, start, end) {
+    const step = tokens.length > 0 ? Math.min(MAX_CHAR_SPAN, (end - start) / tokens.length) : 0;
+    return tokens.map((char, idx) => ({ char, time: round(start + idx * step) }));
+}
+
+function round(time) {
+    return Math.round(time * 1000) / 1000;
+}
+
+/* ---------- LRC / Enhanced LRC ---------- */
+
+const LRC_TIME = /\[(\d+):(\d{1,2}(?:[.:]\d{1,3})?)\]/g;
+const LRC_WORD_TIME = /<(\d+):(\d{1,2}(?:[.:]\d{1,3})?)>/g;
+const LRC_TAG = /^\[(ti|ar|al|by|au|length|offset|re|ve):(.*)\]\s*$/i;
+
+function parseLrcTime(minutes, seconds) {
+    return Number(minutes) * 60 + Number(seconds.replace(':', '.'));
+}
+
+/**
+ * Parse LRC, including Enhanced LRC word tags (`<mm:ss.xx>`)
+ * @param {string} text - File contents
+ * @returns {Object} Song data ({ metadata, verses })
+ */
+export function parseLrc(text) {
+    const tags = {};
+    const lines = []; // { time, body }
+
+    text.split(/\r?\n/).forEach(raw => {
+        const line = raw.trim();
+        if (!line) return;
+
+        const tag = line.match(LRC_TAG);
+        if (tag) {
+            tags[tag[1].toLowerCase()] = tag[2].trim();
+            return;
+        }
+
+        // A line may carry several timestamps when it repeats
+        const times = [...line.matchAll(LRC_TIME)].map(m => parseLrcTime(m[1], m[2]));
+        const body = line.replace(LRC_TIME, '');
+        times.forEach(time => lines.push({ time, body }));
+    });
+
+    const offset = (Number(tags.offset) || 0) / 1000; // positive offset = lyrics earlier
+    lines.sort((a, b) => a.time - b.time);
+
+    const verses = [];
+    lines.forEach((line, idx) => {
+        const start = Math.max(0, line.time - offset);
+        const next = lines[idx + 1] ? Math.max(0, lines[idx + 1].time - offset) : start + LAST_LINE_SPAN;
+        const characters = parseLrcLine(line.body, start, next, offset);
+        if (characters.length > 0) verses.push({ characters });
+    });
+
+    const metadata = {};
+    if (tags.ti) metadata.title = tags.ti;
+    if (tags.ar) metadata.artist = tags.ar;
+    if (tags.al) metadata.album = tags.al;
+    return { metadata, verses };
+}
+
+/**
+ * Characters of one LRC line; word tags time each segment, otherwise the line is spread evenly
+ */
+function parseLrcLine(body, start, next, offset) {
+    const marks = [...body.matchAll(LRC_WORD_TIME)];
+    if (marks.length === 0) {
+        return spread(tokenize(body), start, next);
+    }
+
+    const characters = [];
+    const lead = tokenize(body.slice(0, marks[0].index));
+    const firstTime = Math.max(0, parseLrcTime(marks[0][1], marks[0][2]) - offset);
+    characters.push(...spread(lead, start, firstTime));
+
+    marks.forEach((mark, idx) => {
+        const time = Math.max(0, parseLrcTime(mark[1], mark[2]) - offset);
+        const segmentEnd = marks[idx + 1] ? marks[idx + 1].index : body.length;
+        const tokens = tokenize(body.slice(mark.index + mark[0].length, segmentEnd));
+        const until = marks[idx + 1] ? Math.max(0, parseLrcTime(marks[idx + 1][1], marks[idx + 1][2]) - offset) : next;
+        characters.push(...spread(tokens, time, until));
+    });
+    return characters;
+}
+
+function formatLrcTime(time) {
+    const minutes = Math.floor(time / 60);
+    const seconds = time - minutes * 60;
+    return `${String(minutes).padStart(2, '0')}:${seconds.toFixed(2).padStart(5, '0')}`;
+}
+
+function lrcHeader(song) {
+    const { title, artist } = song.metadata || {};
+    const header = [];
+    if (title) header.push(`[ti:${title}]`);
+    if (artist) header.push(`[ar:${artist}]`);
+    return header;
+}
+
+/**
+ * Write plain LRC (one timestamp per verse)
+ */
+export function toLrc(song) {
+    const lines = lrcHeader(song);
+    song.verses.forEach(verse => {
+        const first = verse.characters[0];
+        lines.push(`[${formatLrcTime(first.time)}]${verse.characters.map(c => c.char).join('')}`);
+    });
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Write Enhanced LRC (a word tag before every character)
+ */
+export function toEnhancedLrc(song) {
+    const lines = lrcHeader(song);
+    song.verses.forEach(verse => {
+        const first = verse.characters[0];
+        const words = verse.characters.map(c => `<${formatLrcTime(c.time)}>${c.char}`).join('');
+        lines.push(`[${formatLrcTime(first.time)}]${words}`);
+    });
+    return lines.join('\n') + '\n';
+}
+
+/* ---------- WebVTT ---------- */
+
+const VTT_TIME = '(?:(\\d+):)?(\\d{2}):(\\d{2}(?:\\.\\d{1,3})?)';
+const VTT_CUE = new RegExp(`^${VTT_TIME}\\s+-->\\s+${VTT_TIME}`);
+const VTT_INLINE = new RegExp(`<${VTT_TIME}>`, 'g');
+
+function parseVttTime(hours, minutes, seconds) {
+    return Number(hours || 0) * 3600 + Number(minutes) * 60 + Number(seconds);
+}
+
+/**
+ * Parse WebVTT; karaoke-style inline timestamps (`<00:00:12.500>`) time individual characters
+ * @param {string} text - File contents
+ * @returns {Object} Song data ({ metadata, verses })
+ */
+export function parseVtt(text) {
+    const blocks = text.replace(/\r/g, '').split(/\n{2,}/);
+    if (!/^\uFEFF?WEBVTT/.test(blocks[0] || '')) {
+        throw new Error('Not a WebVTT file (missing WEBVTT header)');
+    }
+
+    const verses = [];
+    blocks.slice(1).forEach(block => {
+        const lines = block.split('\n').filter(Boolean);
+        const timingIdx = lines.findIndex(line => VTT_CUE.test(line));
+        if (timingIdx < 0) return; // NOTE, STYLE, REGION blocks
+
+        const m = lines[timingIdx].match(VTT_CUE);
+        const start = parseVttTime(m[1], m[2], m[3]);
+        const end = parseVttTime(m[4], m[5], m[6]);
+
+        // First payload line is the lyric; further lines (e.g. a translation) become the translation
+        const [lyric = '', ...rest] = lines.slice(timingIdx + 1);
+        const characters = parseVttPayload(lyric, start, end);
+        if (characters.length === 0) return;
+
+        const verse = { characters };
+        const translation = rest.map(stripVttTags).join(' ').trim();
+        if (translation) verse.translation = translation;
+        verses.push(verse);
+    });
+
+    return { metadata: {}, verses };
+}
+
+function stripVttTags(text) {
+    return text.replace(/<[^>]*>/g, '').replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>');
+}
+
+function parseVttPayload(payload, start, end) {
+    const marks = [...payload.matchAll(VTT_INLINE)];
+    if (marks.length === 0) {
+        return spread(tokenize(stripVttTags(payload)), start, end);
+    }
+
+    const characters = spread(tokenize(stripVttTags(payload.slice(0, marks[0].index))), start, parseVttTime(marks[0][1], marks[0][2], marks[0][3]));
+    marks.forEach((mark, idx) => {
+        const time = parseVttTime(mark[1], mark[2], mark[3]);
+        const next = marks[idx + 1];
+        const segment = payload.slice(mark.index + mark[0].length, next ? next.index : payload.length);
+        const until = next ? parseVttTime(next[1], next[2], next[3]) : end;
+        characters.push(...spread(tokenize(stripVttTags(segment)), time, until));
+    });
+    return characters;
+}
+
+function formatVttTime(time) {
+    const hours = Math.floor(time / 3600);
+    const minutes = Math.floor((time % 3600) / 60);
+    const seconds = time - hours * 3600 - minutes * 60;
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${seconds.toFixed(3).padStart(6, '0')}`;
+}
+
+/**
+ * Write WebVTT, one cue per verse
+ * @param {Object} song - Timed song
+ * @param {Object} options - { karaoke: inline timestamps per character, translation: add translation line }
+ */
+export function toVtt(song, { karaoke = true, translation = false } = {}) {
+    const cues = ['WEBVTT'];
+    song.verses.forEach((verse, verseIdx) => {
+        const chars = verse.characters;
+        const start = chars[0].time;
+        const nextStart = song.verses[verseIdx + 1]?.characters[0]?.time;
+        const end = typeof nextStart === 'number' ? nextStart : chars[chars.length - 1].time + LAST_LINE_SPAN;
+
+        const text = karaoke
+            ? chars.map((c, idx) => (idx === 0 ? c.char : `<${formatVttTime(c.time)}>${c.char}`)).join('')
+            : chars.map(c => c.char).join('');
+        const lines = [`${verseIdx + 1}`, `${formatVttTime(start)} --> ${formatVttTime(end)}`, text];
+        if (translation && verse.translation) lines.push(verse.translation);
+        cues.push(lines.join('\n'));
+    });
+    return cues.join('\n\n') + '\n';
+}
+
+/* ---------- Dispatch & captions ---------- */
+
+/**
+ * Parse a lyric file by content (WEBVTT header) or extension
+ * @param {string} text - File contents
+ * @param {string} filename - Used for the extension and a fallback title
+ */
+export function parseLyricFile(text, filename = '') {
+    const isVtt = /^\uFEFF?WEBVTT/.test(text) || /\.vtt$/i.test(filename);
+    const song = isVtt ? parseVtt(text) : parseLrc(text);
+    if (!song.metadata.title) {
+        song.metadata.title = filename.replace(/\.[^.]+$/, '') || 'Imported lyrics';
+    }
+    return song;
+}
+
+/**
+ * Attach the song's timings to a media element as a captions <track>
+ * Replaces a track added by a previous call.
+ * @returns {HTMLTrackElement}
+ */
+export function attachCaptionTrack(mediaElement, song) {
+    mediaElement.querySelectorAll('track[data-kaixin]').forEach(track => {
+        URL.revokeObjectURL(track.src);
+        track.remove();
+    });
+
+    const track = document.createElement('track');
+    track.kind = 'captions';
+    track.label = song.metadata?.title || 'Lyrics';
+    track.srclang = 'zh';
+    track.dataset.kaixin = 'true';
+    track.src = URL.createObjectURL(new Blob([toVtt(song, { translation: true })], { type: 'text/vtt' }));
+    mediaElement.appendChild(track);
+    return track;
+}
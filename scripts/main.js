@@ -8,6 +8,30 @@ import { AudioSyncEngine } from './audio-sync.js';
 import { VerseRenderer } from './verse-renderer.js';
 import { AnimationController } from './animation-controller.js';
 import { FireflyController } from './firefly-controller.js';
+import { SongLibrary } from './song-library.js';
+import { TimingEditor } from './timing-editor.js';
+import { SectionEngine, resolveTreatment } from './section-engine.js';
+import { PracticeLoop } from './practice-loop.js';
+import { FlashcardStore, MY_DECK, VOCAB_DECK, itemsFromSong, itemsFromVocab } from './srs.js';
+import { ReviewSession } from './review-session.js';
+import { QuizController, QUIZ_MODES } from './quiz.js';
+import { parseLyricFile, attachCaptionTrack } from './lyric-formats.js';
+import { loadScriptMode, saveScriptMode, renderHanzi } from './hanzi-script.js';
+import { CharacterDictionary, findCharacterUses } from './character-dictionary.js';
+import { CharacterPopover } from './character-popover.js';
+import { HandwritingPractice } from './handwriting-practice.js';
+import { SingAlong } from './sing-along.js';
+import { RecordCompare } from './record-compare.js';
+import { AudioGraph, DEFAULT_STRENGTH, DEFAULT_BASS } from './audio-graph.js';
+import { createLayout, LAYOUTS } from './verse-layouts.js';
+import { Keymap, NAV_MOVES, comboFromEvent, navigate, takesKey } from './keymap.js';
+import { ShortcutHelp } from './shortcut-help.js';
+import { ModalDialog } from './modal-dialog.js';
+
+const NARROW_VIEWPORT = '(max-width: 600px)'; // the automatic layout is the carousel below this
+const REDUCED_MOTION = '(prefers-reduced-motion: reduce)';
+const SLIDER_STEP = 5;       // seconds per arrow key on the timeline
+const SLIDER_PAGE_STEP = 30; // seconds per PageUp/PageDown
 
 class KaixinApp {
     constructor() {
@@ -16,20 +40,36 @@ class KaixinApp {
         this.verseRenderer = null;
         this.animator = null;
         this.fireflies = null;
+        this.library = new SongLibrary();
+        this.songId = null;
+        this.editor = null;
+        this.sections = null;
+        this.practiceLoop = null;
+        this.flashcards = new FlashcardStore();
+        this.review = null;
+        this.quiz = null;
+        this.dictionary = new CharacterDictionary();
+        this.charPopover = null;
+        this.handwriting = null;
+        this.singAlong = null;
+        this.recordCompare = null;
+        this.audioGraph = null;   // created in setupSettings (needs the audio element)
+        this.keymap = null;
+        this.shortcutHelp = null;
+        this.keyFocus = null;     // { verseIdx, charIdx } under the keyboard focus ring
+        this.narrowViewport = null; // MediaQueryList for NARROW_VIEWPORT
         
         // DOM elements
         this.audio = null;
         this.flower = null;
         this.verseContainer = null;
         this.translationDisplay = null;
+        this.verseAnnouncer = null;
         this.timeline = null;
+        this.timelineTrack = null;
         this.timelineProgress = null;
         this.timelineHandle = null;
         this.timelineTimeDisplay = null;
-        
-        // Interlude timing (1:56 to 2:20)
-        this.interludeStart = 116; // 1:56
-        this.interludeEnd = 140; // 2:20
     }
     
     /**
@@ -46,7 +86,9 @@ class KaixinApp {
         this.flower = document.getElementById('flower');
         this.verseContainer = document.getElementById('verse-container');
         this.translationDisplay = document.getElementById('translation-display');
+        this.verseAnnouncer = document.getElementById('verse-announcer');
         this.timeline = document.getElementById('timeline');
+        this.timelineTrack = document.getElementById('timeline-track');
         this.timelineProgress = document.getElementById('timeline-progress');
         this.timelineHandle = document.getElementById('timeline-handle');
         this.timelineTimeDisplay = document.getElementById('timeline-time-display');
@@ -57,6 +99,8 @@ class KaixinApp {
         this.ctrlSkipForward = document.getElementById('ctrl-skip-forward');
         this.timeCurrent = document.getElementById('time-current');
         this.timeDuration = document.getElementById('time-duration');
+        this.timeRemaining = document.getElementById('time-remaining');
+        this.ctrlRate = document.getElementById('ctrl-rate');
         this.settingsBtn = document.getElementById('settings-flower');
         this.settingsOverlay = document.getElementById('settings-overlay');
         this.settingsClose = document.getElementById('settings-close');
@@ -65,6 +109,39 @@ class KaixinApp {
         this.settingsList = document.getElementById('settings-list');
         this.darkModeToggle = document.getElementById('dark-mode-toggle');
         this.englishToggle = document.getElementById('english-toggle');
+        this.libraryBtn = document.getElementById('library-btn');
+        this.libraryOverlay = document.getElementById('library-overlay');
+        this.libraryList = document.getElementById('library-list');
+        this.libraryClose = document.getElementById('library-close');
+        this.libraryImport = document.getElementById('library-import');
+        this.errorPanel = document.getElementById('error-panel');
+        this.editorPanel = document.getElementById('editor-panel');
+        this.loopRange = document.getElementById('loop-range');
+        this.loopMarkerA = document.getElementById('loop-marker-a');
+        this.loopMarkerB = document.getElementById('loop-marker-b');
+        this.loopCount = document.getElementById('loop-count');
+        this.loopRepeatsInput = document.getElementById('loop-repeats');
+        this.minusOneToggle = document.getElementById('minus-one-toggle');
+        this.minusOneStrength = document.getElementById('minus-one-strength');
+        this.minusOneBass = document.getElementById('minus-one-bass');
+        this.loopGapInput = document.getElementById('loop-gap');
+        this.reviewBtn = document.getElementById('review-btn');
+        this.reviewOverlay = document.getElementById('review-overlay');
+        this.quizPanel = document.getElementById('quiz-panel');
+        this.quizModeSelect = document.getElementById('quiz-mode');
+        this.scriptModeSelect = document.getElementById('hanzi-script');
+        this.charPopoverPanel = document.getElementById('char-popover');
+        this.handwritingPanel = document.getElementById('handwriting-panel');
+        this.handwritingLoopToggle = document.getElementById('handwriting-loop');
+        this.singPanel = document.getElementById('sing-panel');
+        this.pitchTrace = document.getElementById('pitch-trace');
+        this.comparePanel = document.getElementById('compare-panel');
+        this.layoutSelect = document.getElementById('verse-layout');
+        this.keysOverlay = document.getElementById('keys-overlay');
+        this.scriptMode = loadScriptMode();
+        const savedLayout = localStorage.getItem('verseLayout');
+        this.layoutMode = LAYOUTS[savedLayout] ? savedLayout : 'auto';
+        this.narrowViewport = window.matchMedia?.(NARROW_VIEWPORT) || null;
  
         this.updatePlayButtonIcon(false);
         
@@ -76,44 +153,169 @@ class KaixinApp {
             document.body.classList.add('hide-english');
         }
         
-        // Load song data
-        const songData = await this.loadSongData();
-        this.state.setState({ song: songData });
+        this.fireflies = new FireflyController(this.firefliesContainer);
+        
+        // Wire up events
+        this.setupEventListeners();
+        this.setupSettings();
+        this.setupLibrary();
+        this.setupEditorPanel();
+        this.setupReview();
+        this.setupCharacterPopover();
+        this.setupPracticePanels();
+        
+        // Load the catalog and pick the song from ?song= (or the first entry)
+        try {
+            await this.library.loadCatalog();
+            const requestedId = new URLSearchParams(window.location.search).get('song');
+            const songId = this.library.getEntry(requestedId)
+                ? requestedId
+                : (this.library.defaultId || this.library.entries[0]?.id);
+            await this.loadSong(songId, { updateUrl: false });
+        } catch (err) {
+            console.error('Kaixin: Could not load song', err);
+            this.showError(err);
+            return;
+        }
+        
+        console.log('Kaixin: Ready');
+    }
+    
+    /**
+     * Load a song from the library and (re)build the sync/render pipeline
+     * @param {string} songId - Catalog id
+     * @param {Object} options - { updateUrl: push ?song= into history }
+     */
+    async loadSong(songId, { updateUrl = true } = {}) {
+        const songData = await this.library.loadSong(songId);
+        
+        // Tear down the previous song
+        if (this.audioSync) {
+            this.stopPlayback();
+            this.audioSync.destroy();
+        }
+        if (this.editor) this.editor.destroy();
+        if (this.practiceLoop) this.practiceLoop.destroy();
+        const quizMode = this.quiz?.mode;
+        if (this.quiz) this.quiz.destroy();
+        const handwritingActive = this.handwriting?.isActive;
+        if (this.handwriting) this.handwriting.destroy();
+        const singAlongActive = this.singAlong?.isActive;
+        if (this.singAlong) this.singAlong.destroy();
+        const compareActive = this.recordCompare?.isActive;
+        if (this.recordCompare) this.recordCompare.destroy();
+        if (this.animator) this.animator.reset();
+        const layers = this.verseRenderer?.layers;
+        if (this.verseRenderer) this.verseRenderer.destroy();
+        if (this.sections) this.sections.destroy();
+        this.charPopover?.close();
+        this.applySectionTreatment(resolveTreatment(null));
+        delete document.body.dataset.section;
+        
+        this.songId = songId;
+        this.keyFocus = null;
+        this.state.reset();
+        this.state.setState({ song: songData, duration: 0 });
+        
+        // Point the audio element at the new recording
+        const audioFile = songData.metadata?.audioFile;
+        if (audioFile && this.audio.getAttribute('src') !== audioFile) {
+            this.audio.src = audioFile;
+            this.audio.load();
+        }
+        this.applySongMetadata(songData.metadata || {});
+        this.applyPlaybackRate(Number(localStorage.getItem(`playbackRate:${songId}`)) || 1);
+        attachCaptionTrack(this.audio, songData);
         
         // Initialize components
         this.audioSync = new AudioSyncEngine(this.audio, songData, this.state);
         this.verseRenderer = new VerseRenderer(this.verseContainer, songData);
+        if (layers) this.verseRenderer.layers = layers;
+        this.verseRenderer.scriptMode = this.scriptMode;
+        this.verseRenderer.setLayout(this.createVerseLayout());
         this.animator = new AnimationController(this.verseRenderer);
-        this.fireflies = new FireflyController(this.firefliesContainer);
+        this.editor = new TimingEditor(this.audio, songData, this.audioSync, this.verseRenderer, this.editorPanel);
+        this.editor.on('replay', (time) => {
+            this.seekTo(time);
+            this.startPlayback();
+        });
+        this.sections = new SectionEngine(songData.metadata?.sections || []);
+        this.practiceLoop = new PracticeLoop(this.audio, songData, this.audioSync);
+        this.practiceLoop.setRepeats(Number(localStorage.getItem('loopRepeats')) || 0);
+        this.practiceLoop.setGap(Number(localStorage.getItem('loopGap')) || 0);
         
         // Render verses (kept hidden until intro completes)
         this.verseRenderer.renderAll();
+        this.refreshDeckMarks();
+        this.bindSyncEvents();
+        this.quiz = new QuizController(songData, this.audioSync, this.verseRenderer, this.state, this.quizPanel);
+        this.setQuizMode(quizMode);
+        this.handwriting = new HandwritingPractice(songData, this.audioSync, this.verseRenderer, this.dictionary, this.handwritingPanel);
+        this.handwriting.setLoop(this.handwritingLoopToggle.checked);
+        this.handwriting.on('verse-hold', () => this.stopPlayback());
+        this.handwriting.on('verse-done', () => {
+            if (!this.state.state.isPlaying) this.startPlayback();
+        });
+        if (handwritingActive) this.handwriting.setActive(true);
+        this.singAlong = new SingAlong(songData, this.audioSync, this.verseRenderer, this.audio, this.state, this.singPanel, this.pitchTrace);
+        if (singAlongActive) this.singAlong.setActive(true);
+        this.recordCompare = new RecordCompare(songId, songData, this.audioSync, this.audio, this.comparePanel);
+        this.recordCompare.on('busy', () => this.stopPlayback());
+        if (compareActive) this.recordCompare.setActive(true);
         
-        // Wire up events
-        this.setupEventListeners();
-        this.setupSettings();
+        // Reset translation and timeline for the new song
+        this.translationDisplay.textContent = '';
+        this.verseAnnouncer.textContent = '';
+        this.timelineProgress.style.width = '0%';
+        this.timelineHandle.style.left = '0%';
+        this.timeCurrent.textContent = this.formatTime(0);
+        this.timeDuration.textContent = this.formatTime(0);
+        this.timeRemaining.textContent = `-${this.formatTime(0)}`;
         
-        console.log('Kaixin: Ready');
+        // After the intro, show the first verse of the new song right away
+        if (this.state.state.introComplete) {
+            this.audioSync.seekTo(0);
+        }
+        
+        // A song that loads clears any earlier load error
+        this.errorPanel.hidden = true;
+        document.body.classList.remove('app-error');
+        
+        if (updateUrl) {
+            const url = new URL(window.location.href);
+            url.searchParams.set('song', songId);
+            window.history.pushState({ song: songId }, '', url);
+        }
+        
+        console.log(`Kaixin: Loaded song ${songId}`);
     }
     
     /**
-     * Load song data from JSON
+     * Reflect song metadata in the title overlay and document title
      */
-    async loadSongData() {
-        const response = await fetch('./data/dan-yuan-ren-chang-jiu.json');
-        return await response.json();
+    applySongMetadata(metadata) {
+        const title = this.titleOverlay?.querySelector('.title');
+        const subtitle = this.titleOverlay?.querySelector('.subtitle');
+        if (title) renderHanzi(title, metadata.title || '', this.scriptMode);
+        if (subtitle) subtitle.textContent = metadata.titleEnglish || '';
+        document.title = [metadata.title, metadata.titleEnglish].filter(Boolean).join(' - ');
     }
     
     /**
-     * Set up all event listeners
+     * Subscribe to the current AudioSyncEngine (re-run for every song)
      */
-    setupEventListeners() {
-        // Audio sync events
+    bindSyncEvents() {
         this.audioSync.on('character-change', (charData) => {
             this.animator.highlightCharacter(charData);
             this.state.setState({ currentCharIndex: charData.globalIdx });
         });
         
+        // Between phrases (characters with an end/duration): nothing is lit
+        this.audioSync.on('character-clear', () => {
+            this.animator.clearAll();
+            this.state.setState({ currentCharIndex: -1 });
+        });
+        
         this.audioSync.on('verse-change', (data) => {
             console.log('Main: Received verse-change event', data);
             this.verseRenderer.showVerse(data.verseIdx);
@@ -125,10 +327,84 @@ class KaixinApp {
             this.updateTimeline(timeData);
             this.state.setState({ audioTime: timeData.currentTime });
             
-            // Check for interlude and toggle fireflies/lyrics
-            this.handleInterlude(timeData.currentTime);
+            // Sections (interlude etc.) toggle fireflies/lyrics
+            this.sections.update(timeData.currentTime);
         });
         
+        this.sections.on('section-change', ({ section, treatment }) => {
+            if (section) {
+                document.body.dataset.section = section.type || section.name;
+            } else {
+                delete document.body.dataset.section;
+            }
+            this.applySectionTreatment(treatment);
+            this.state.setState({ currentSection: section ? section.name : null });
+        });
+        
+        this.practiceLoop.on('loop-change', (status) => this.renderLoop(status));
+        this.renderLoop(this.practiceLoop.getStatus());
+    }
+    
+    /**
+     * Show the practice loop on the timeline track and its pass next to the time
+     * @param {Object} status - PracticeLoop.getStatus()
+     */
+    renderLoop(status = this.practiceLoop?.getStatus()) {
+        if (!status) return;
+        const duration = this.getDuration();
+        const fraction = (time) => (duration > 0 ? Math.min(1, time / duration) : 0);
+        const percent = (time) => `${fraction(time) * 100}%`;
+        
+        this.loopMarkerA.hidden = status.a === null;
+        this.loopMarkerB.hidden = status.b === null;
+        this.loopRange.hidden = !status.active;
+        if (status.a !== null) this.loopMarkerA.style.left = percent(status.a);
+        if (status.b !== null) this.loopMarkerB.style.left = percent(status.b);
+        if (status.active) {
+            this.loopRange.style.left = percent(status.a);
+            this.loopRange.style.width = `${(fraction(status.b) - fraction(status.a)) * 100}%`;
+        }
+        
+        this.loopCount.hidden = !status.active;
+        this.loopCount.textContent = status.repeats > 0
+            ? `↻ ${status.pass}/${status.repeats}`
+            : `↻ ${status.pass}`;
+        this.loopCount.title = status.verseIdx !== null
+            ? `Looping verse ${status.verseIdx + 1}`
+            : 'Looping A–B';
+    }
+    
+    /**
+     * Place the next loop point: A first, then B (a new A once a loop exists)
+     */
+    placeLoopPoint(time) {
+        const loop = this.practiceLoop;
+        if (!loop) return;
+        if (loop.a === null || loop.isActive) {
+            loop.clear();
+            loop.setA(time);
+        } else {
+            loop.setB(time);
+        }
+    }
+    
+    /**
+     * L key: loop the current verse, or stop any running loop
+     */
+    toggleVerseLoop() {
+        if (!this.practiceLoop) return;
+        if (this.practiceLoop.isActive) {
+            this.practiceLoop.clear();
+        } else {
+            this.practiceLoop.loopVerse();
+            this.updateTimeline({ currentTime: this.audio.currentTime, duration: this.getDuration() });
+        }
+    }
+    
+    /**
+     * Set up all event listeners
+     */
+    setupEventListeners() {
         // Flower button: if intro not complete, run intro; else toggle playback
         this.flower.addEventListener('click', () => {
             if (!this.state.state.introComplete) {
@@ -137,6 +413,12 @@ class KaixinApp {
                 this.togglePlayback();
             }
         });
+        this.flower.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter' && e.key !== ' ') return;
+            e.preventDefault();
+            e.stopPropagation();
+            this.flower.click();
+        });
         // Control buttons
         this.ctrlPlay.addEventListener('click', () => {
             if (!this.state.state.introComplete) return;
@@ -151,13 +433,22 @@ class KaixinApp {
             this.nudge(5);
         });
         
+        // Playback speed, remembered per song
+        this.ctrlRate.addEventListener('change', (e) => {
+            const rate = Number(e.target.value);
+            this.applyPlaybackRate(rate);
+            if (this.songId) localStorage.setItem(`playbackRate:${this.songId}`, String(rate));
+        });
+        
         // Audio events
         this.audio.addEventListener('loadedmetadata', () => {
             this.state.setState({ duration: this.audio.duration });
+            this.renderLoop();
         });
         
         this.audio.addEventListener('ended', () => {
             this.stopPlayback();
+            this.quiz?.showSummary();
         });
         
         // Timeline scrubbing
@@ -166,13 +457,207 @@ class KaixinApp {
         // Keyboard shortcuts
         this.setupKeyboardShortcuts();
 
+        // A stone focused by Tab or a click is where the arrow keys carry on from;
+        // Tab itself is never taken, so focus moves on past the stones as usual
+        this.verseContainer.addEventListener('focusin', (e) => {
+            const stone = e.target.closest?.('.stone');
+            if (!stone) return;
+            const verseIdx = Number(stone.dataset.verseIdx);
+            const charIdx = Number(stone.dataset.charIdx);
+            if (this.keyFocus?.verseIdx === verseIdx && this.keyFocus.charIdx === charIdx) return;
+            this.keyFocus = { verseIdx, charIdx };
+        });
+
         // Click-to-seek on stones (event delegated from verse-container)
         this.verseContainer.addEventListener('stone-click', (e) => {
-            const { time } = e.detail || {};
+            const { verseIdx, charIdx, time } = e.detail || {};
+            if (this.editor?.isActive) {
+                this.editor.selectStone(verseIdx, charIdx);
+            }
             if (typeof time !== 'number') return;
             this.seekTo(time);
         });
     }
+    
+    /** Flashcard review dialog and the "add to deck" action on stones */
+    setupReview() {
+        this.review = new ReviewSession(this.reviewOverlay, this.flashcards);
+        this.reviewBtn.addEventListener('click', () => {
+            this.review.open(this.getReviewDecks());
+        });
+        
+        this.verseContainer.addEventListener('stone-add', async (e) => {
+            const { char, pinyin, meaning } = e.detail || {};
+            if (!char) return;
+            try {
+                await this.flashcards.addToDeck(MY_DECK, [{ chinese: char, pinyin, meaning }]);
+            } catch (err) {
+                console.warn(`Kaixin: Could not add ${char} to review deck`, err);
+                return;
+            }
+            console.log(`Kaixin: Added ${char} to review deck`);
+            this.refreshDeckMarks();
+        });
+    }
+    
+    /**
+     * Character details on long-press / Alt-click; playback is left running
+     */
+    setupCharacterPopover() {
+        this.charPopover = new CharacterPopover(this.charPopoverPanel, this.dictionary);
+        
+        this.verseContainer.addEventListener('stone-inspect', (e) => {
+            const { verseIdx, charIdx } = e.detail || {};
+            const charData = this.state.state.song?.verses[verseIdx]?.characters[charIdx];
+            const stone = this.verseRenderer?.getCharacterElement(verseIdx, charIdx);
+            if (!charData || !stone) return;
+            
+            const uses = findCharacterUses(charData.char, this.library.loadedSongs());
+            this.charPopover.open(charData, uses, stone);
+        });
+    }
+    
+    /**
+     * Decks offered in the review dialog: starred stones, the current song, the vocab lessons
+     */
+    getReviewDecks() {
+        const song = this.state.state.song;
+        const decks = [{ id: MY_DECK, label: 'My stones', load: async () => [] }];
+        if (song) {
+            decks.push({
+                id: `song:${this.songId}`,
+                label: song.metadata?.title || this.songId,
+                load: async () => itemsFromSong(song)
+            });
+        }
+        decks.push({
+            id: VOCAB_DECK,
+            label: '嘉義街中心 vocabulary',
+            load: async () => {
+                const response = await fetch('./data/jiayi-street-vocab.json');
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return itemsFromVocab(await response.json());
+            }
+        });
+        return decks;
+    }
+    
+    /**
+     * Mark stones whose character is in "My stones"
+     */
+    async refreshDeckMarks() {
+        let cards;
+        try {
+            cards = await this.flashcards.getCards();
+        } catch (err) {
+            console.warn('Kaixin: Could not read the review deck; stone marks left as they are', err);
+            return;
+        }
+        const mine = new Set(cards.filter(card => card.decks.includes(MY_DECK)).map(card => card.id));
+        this.verseRenderer?.markStones('in-deck', char => mine.has(char));
+    }
+    
+    /**
+     * Switch quiz mode and keep the settings select in step
+     * @param {string|null} mode - Key of QUIZ_MODES, or null for off
+     */
+    setQuizMode(mode) {
+        if (mode && !this.state.state.introComplete) {
+            this.completeIntro();
+        }
+        this.quiz?.setMode(mode);
+        this.quizModeSelect.value = this.quiz?.mode || '';
+    }
+    
+    /**
+     * Q key: off → cloze → typing → tone → off
+     */
+    cycleQuizMode() {
+        const modes = [null, ...Object.keys(QUIZ_MODES)];
+        const idx = modes.indexOf(this.quiz?.mode ?? null);
+        this.setQuizMode(modes[(idx + 1) % modes.length]);
+    }
+    
+    /** Timing editor panel buttons */
+    setupEditorPanel() {
+        document.getElementById('editor-export').addEventListener('click', () => {
+            this.editor?.exportJson(`${this.songId}.json`, this.library.getSourceSong(this.songId));
+        });
+        this.editorPanel.querySelectorAll('[data-export]').forEach(btn => {
+            btn.addEventListener('click', () => this.editor?.exportLyrics(btn.dataset.export, this.songId));
+        });
+        document.getElementById('editor-loop').addEventListener('click', () => {
+            this.editor?.toggleVerseLoop();
+        });
+        document.getElementById('editor-close').addEventListener('click', () => {
+            this.editor?.deactivate();
+        });
+    }
+    
+    /**
+     * Handwriting, sing-along and record-and-compare panel controls (their controllers are rebuilt per song);
+     * handwriting loop mode is remembered across sessions
+     */
+    setupPracticePanels() {
+        this.handwritingLoopToggle.checked = localStorage.getItem('handwritingLoop') === 'true';
+        this.handwritingLoopToggle.addEventListener('change', (e) => {
+            localStorage.setItem('handwritingLoop', String(e.target.checked));
+            this.handwriting?.setLoop(e.target.checked);
+        });
+        document.getElementById('handwriting-close').addEventListener('click', () => {
+            this.handwriting?.setActive(false);
+        });
+        document.getElementById('sing-close').addEventListener('click', () => {
+            this.singAlong?.setActive(false);
+        });
+        document.getElementById('compare-close').addEventListener('click', () => {
+            this.recordCompare?.setActive(false);
+        });
+    }
+    
+    /**
+     * W key: show or hide the handwriting pad (skips the intro so the stones are visible)
+     */
+    toggleHandwriting() {
+        if (!this.handwriting) return;
+        if (!this.state.state.introComplete) {
+            this.completeIntro();
+        }
+        this.handwriting.toggle();
+    }
+    
+    /**
+     * K key: karaoke scoring panel and pitch trace
+     */
+    toggleSingAlong() {
+        if (!this.singAlong) return;
+        if (!this.state.state.introComplete) {
+            this.completeIntro();
+        }
+        this.singAlong.toggle();
+    }
+    
+    /**
+     * C key: record a verse and compare it with the song
+     */
+    toggleRecordCompare() {
+        if (!this.recordCompare) return;
+        if (!this.state.state.introComplete) {
+            this.completeIntro();
+        }
+        this.recordCompare.toggle();
+    }
+    
+    /**
+     * Toggle authoring mode (skips the intro so the stones are visible)
+     */
+    toggleEditor() {
+        if (!this.editor) return;
+        if (!this.state.state.introComplete) {
+            this.completeIntro();
+        }
+        this.editor.toggle();
+    }
 
     /** Settings dialog (drag to reorder, toggles) */
     setupSettings() {
@@ -218,11 +703,63 @@ class KaixinApp {
             }
         });
         
+        // Traditional / Simplified characters (applied immediately)
+        this.scriptModeSelect.value = this.scriptMode;
+        this.scriptModeSelect.addEventListener('change', (e) => this.setScriptMode(e.target.value));
+        
+        // Verse layout (applied immediately)
+        this.layoutSelect.value = this.layoutMode;
+        this.layoutSelect.addEventListener('change', (e) => this.setLayoutMode(e.target.value));
+        this.narrowViewport?.addEventListener('change', () => {
+            if (this.layoutMode === 'auto') this.verseRenderer?.setLayout(this.createVerseLayout());
+        });
+        
+        // Quiz mode (applied immediately)
+        this.quizModeSelect.addEventListener('change', (e) => this.setQuizMode(e.target.value || null));
+        document.getElementById('quiz-close').addEventListener('click', () => this.setQuizMode(null));
+        
+        // Practice loop repeat count and gap (applied immediately)
+        this.loopRepeatsInput.value = localStorage.getItem('loopRepeats') || '0';
+        this.loopGapInput.value = localStorage.getItem('loopGap') || '0';
+        this.loopRepeatsInput.addEventListener('change', (e) => {
+            localStorage.setItem('loopRepeats', e.target.value);
+            this.practiceLoop?.setRepeats(Number(e.target.value));
+        });
+        this.loopGapInput.addEventListener('change', (e) => {
+            localStorage.setItem('loopGap', e.target.value);
+            this.practiceLoop?.setGap(Number(e.target.value));
+        });
+        
+        // Minus-one: center-channel removal between the audio element and the speakers
+        const strength = Number(localStorage.getItem('minusOneStrength') ?? DEFAULT_STRENGTH * 100);
+        const bass = Number(localStorage.getItem('minusOneBass')) || DEFAULT_BASS;
+        this.audioGraph = new AudioGraph(this.audio, {
+            minusOne: localStorage.getItem('minusOne') === 'true',
+            strength: strength / 100,
+            bass
+        });
+        this.minusOneToggle.checked = this.audioGraph.minusOne;
+        this.minusOneStrength.value = String(strength);
+        this.minusOneBass.value = String(bass);
+        this.minusOneToggle.addEventListener('change', (e) => {
+            localStorage.setItem('minusOne', String(e.target.checked));
+            this.audioGraph.setMinusOne(e.target.checked);
+        });
+        this.minusOneStrength.addEventListener('input', (e) => {
+            localStorage.setItem('minusOneStrength', e.target.value);
+            this.audioGraph.setStrength(Number(e.target.value) / 100);
+        });
+        this.minusOneBass.addEventListener('change', (e) => {
+            localStorage.setItem('minusOneBass', e.target.value);
+            this.audioGraph.setBass(Number(e.target.value));
+        });
+        
+        const dialog = new ModalDialog(this.settingsOverlay);
         const open = () => {
-            this.settingsOverlay.classList.add('show');
             this.renderSettingsList();
+            dialog.open();
         };
-        const close = () => this.settingsOverlay.classList.remove('show');
+        const close = () => dialog.close();
         this.settingsBtn.addEventListener('click', open);
         this.settingsClose.addEventListener('click', close);
         this.settingsCancel.addEventListener('click', close);
@@ -235,12 +772,7 @@ class KaixinApp {
                 enabled: li.querySelector('input[type="checkbox"]').checked
             }));
             this.verseRenderer.layers = layers;
-            // Re-render verses to reflect changes
-            this.verseRenderer.clear();
-            this.verseRenderer.renderAll();
-            // Make current verse visible again
-            const idx = this.state.state.currentVerseIndex >= 0 ? this.state.state.currentVerseIndex : 0;
-            this.verseRenderer.showVerse(idx);
+            this.rerenderVerses();
             close();
         });
 
@@ -264,6 +796,147 @@ class KaixinApp {
         });
     }
 
+    /** Library screen (song picker) */
+    setupLibrary() {
+        const dialog = new ModalDialog(this.libraryOverlay);
+        const open = () => {
+            this.library.render(this.libraryList, this.songId);
+            dialog.open();
+        };
+        const close = () => dialog.close();
+        this.libraryBtn.addEventListener('click', open);
+        this.libraryClose.addEventListener('click', close);
+        this.libraryOverlay.addEventListener('click', (e) => {
+            if (e.target === this.libraryOverlay) close();
+        });
+        
+        this.libraryList.addEventListener('song-select', (e) => {
+            const { id } = e.detail || {};
+            close();
+            if (!id || id === this.songId) return;
+            this.loadSong(id).catch(err => {
+                console.error('Kaixin: Could not load song', err);
+                this.showError(err);
+            });
+        });
+        
+        // Import LRC / Enhanced LRC / WebVTT timings as a new library entry
+        this.libraryImport.addEventListener('change', async (e) => {
+            const file = e.target.files?.[0];
+            e.target.value = '';
+            if (!file) return;
+            close();
+            try {
+                const song = parseLyricFile(await file.text(), file.name);
+                // Lyric files carry no audio; assume they time the current recording
+                song.metadata.audioFile = song.metadata.audioFile || this.state.state.song?.metadata?.audioFile;
+                const id = this.library.addSong(song, file.name);
+                await this.loadSong(id, { updateUrl: false });
+            } catch (err) {
+                console.error('Kaixin: Could not import lyrics', err);
+                this.showError(err.errors ? err : { source: file.name, message: err.message });
+            }
+        });
+        
+        // Back/forward between deep-linked songs
+        window.addEventListener('popstate', () => {
+            const id = new URLSearchParams(window.location.search).get('song') || this.library.defaultId;
+            if (id && id !== this.songId && this.library.getEntry(id)) {
+                this.loadSong(id, { updateUrl: false }).catch(err => {
+                    console.error('Kaixin: Could not load song', err);
+                    this.showError(err);
+                });
+            }
+        });
+        
+        document.getElementById('error-close').addEventListener('click', () => {
+            this.errorPanel.hidden = true;
+            // Without a playable song there is nothing to go back to
+            if (this.audioSync) document.body.classList.remove('app-error');
+        });
+    }
+    
+    /**
+     * Show the error panel instead of a blank stage
+     * @param {Error} err - SongValidationError (with .errors) or any other error
+     */
+    showError(err) {
+        const panel = this.errorPanel || document.getElementById('error-panel');
+        if (!panel) return;
+        
+        const errors = Array.isArray(err?.errors) && err.errors.length > 0
+            ? err.errors
+            : [{ path: '', message: err?.message || String(err) }];
+        
+        panel.querySelector('.error-title').textContent = err?.source
+            ? `Could not load ${err.source}`
+            : 'Something went wrong';
+        panel.querySelector('.error-summary').textContent =
+            `${errors.length} problem${errors.length === 1 ? '' : 's'} found:`;
+        
+        const list = panel.querySelector('.error-list');
+        list.innerHTML = '';
+        errors.forEach(({ path, message }) => {
+            const li = document.createElement('li');
+            const code = document.createElement('code');
+            code.textContent = path || '(file)';
+            li.appendChild(code);
+            li.appendChild(document.createTextNode(` ${message}`));
+            list.appendChild(li);
+        });
+        
+        panel.hidden = false;
+        document.body.classList.add('app-error');
+    }
+
+    /**
+     * Re-render verses after a display change, keeping the current verse in view
+     */
+    rerenderVerses() {
+        this.verseRenderer.clear();
+        this.verseRenderer.renderAll();
+        this.refreshDeckMarks();
+        if (this.keyFocus) this.verseRenderer.setFocus(this.keyFocus.verseIdx, this.keyFocus.charIdx);
+        const idx = this.state.state.currentVerseIndex >= 0 ? this.state.state.currentVerseIndex : 0;
+        this.verseRenderer.showVerse(idx);
+    }
+    
+    /**
+     * Show hanzi as traditional, simplified or both (remembered across sessions)
+     */
+    setScriptMode(mode) {
+        saveScriptMode(mode);
+        this.scriptMode = loadScriptMode();
+        this.scriptModeSelect.value = this.scriptMode;
+        this.applySongMetadata(this.state.state.song?.metadata || {});
+        if (this.verseRenderer) {
+            this.verseRenderer.scriptMode = this.scriptMode;
+            this.rerenderVerses();
+        }
+        console.log(`Kaixin: Script ${this.scriptMode}`);
+    }
+    
+    /**
+     * Arrange verses on the stage, in a scrolling column, … (remembered across sessions)
+     * @param {string} mode - Key of LAYOUTS, or 'auto'
+     */
+    setLayoutMode(mode) {
+        this.layoutMode = LAYOUTS[mode] ? mode : 'auto';
+        localStorage.setItem('verseLayout', this.layoutMode);
+        this.layoutSelect.value = this.layoutMode;
+        this.verseRenderer?.setLayout(this.createVerseLayout());
+    }
+    
+    /**
+     * Layout for the current mode: 'auto' is the carousel on narrow screens, the stage otherwise
+     */
+    createVerseLayout() {
+        const name = this.layoutMode === 'auto'
+            ? (this.narrowViewport?.matches ? 'carousel' : 'stage')
+            : this.layoutMode;
+        return createLayout(name, { audioSync: this.audioSync });
+    }
+    
     renderSettingsList() {
         this.settingsList.innerHTML = '';
         this.verseRenderer.layers.forEach(layer => {
@@ -305,8 +978,9 @@ class KaixinApp {
         this.translationDisplay.classList.add('visible');
         console.log('Main: Verse container activated', this.verseContainer.classList.contains('active'));
         
-        // Play audio
+        // Play audio (through the minus-one graph when it is on)
         try {
+            await this.audioGraph.resume();
             await this.audio.play();
             this.state.setState({ isPlaying: true });
             if (!this.state.state.introComplete) {
@@ -333,6 +1007,7 @@ class KaixinApp {
     stopPlayback() {
         this.audio.pause();
         this.audioSync.stopSync();
+        this.practiceLoop?.cancelGap();
         this.state.setState({ isPlaying: false });
         this.updatePlayButtonIcon(false);
         
@@ -355,6 +1030,19 @@ class KaixinApp {
             this.timelineHandle.style.left = `${progress}%`;
             this.timeCurrent.textContent = this.formatTime(currentTime);
             this.timeDuration.textContent = this.formatTime(duration);
+            
+            // Remaining listening time at the current speed
+            const rate = timeData.playbackRate || this.audio.playbackRate || 1;
+            this.timeRemaining.textContent = `-${this.formatTime(Math.max(0, duration - currentTime) / rate)}`;
+            
+            // Slider semantics, refreshed once a second rather than every frame
+            const sliderState = `${Math.floor(currentTime)}/${Math.floor(duration)}`;
+            if (sliderState !== this._sliderState) {
+                this._sliderState = sliderState;
+                this.timelineTrack.setAttribute('aria-valuemax', String(Math.floor(duration)));
+                this.timelineTrack.setAttribute('aria-valuenow', String(Math.floor(currentTime)));
+                this.timelineTrack.setAttribute('aria-valuetext', `${this.formatTime(currentTime)} of ${this.formatTime(duration)}`);
+            }
         }
         
         // Update time display (2 decimals) if debug label exists
@@ -363,11 +1051,31 @@ class KaixinApp {
         }
     }
 
+    /**
+     * Set playback speed, keeping the singer's pitch
+     * @param {number} rate - One of the speeds offered in #ctrl-rate (falls back to 1×)
+     */
+    applyPlaybackRate(rate) {
+        const offered = Array.from(this.ctrlRate.options).map(option => Number(option.value));
+        const playbackRate = offered.includes(rate) ? rate : 1;
+        
+        // defaultPlaybackRate survives audio.load() when the song changes
+        this.audio.defaultPlaybackRate = playbackRate;
+        this.audio.playbackRate = playbackRate;
+        this.audio.preservesPitch = true;
+        this.audio.mozPreservesPitch = true;
+        this.audio.webkitPreservesPitch = true;
+        this.ctrlRate.value = String(playbackRate);
+        
+        this.updateTimeline({ currentTime: this.audio.currentTime || 0, duration: this.getDuration(), playbackRate });
+        console.log(`Kaixin: Playback rate ${playbackRate}×`);
+    }
+
     /**
      * Skip forward/back by seconds
      */
     nudge(seconds) {
-        const duration = this.audio.duration || 258;
+        const duration = this.getDuration();
         const target = Math.max(0, Math.min(duration, (this.audio.currentTime || 0) + seconds));
         this.seekTo(target);
     }
@@ -378,7 +1086,7 @@ class KaixinApp {
     seekTo(time) {
         if (!this.audio) return;
         
-        const duration = this.audio.duration || 258;
+        const duration = this.getDuration();
         const targetTime = Math.max(0, Math.min(duration, time));
         
         // Simply set the time - this is all that's needed
@@ -393,6 +1101,17 @@ class KaixinApp {
         this.updateTimeline({ currentTime: targetTime, duration });
     }
 
+    /**
+     * Song length: audio metadata once loaded, else the song's declared duration/sections
+     */
+    getDuration() {
+        if (Number.isFinite(this.audio?.duration) && this.audio.duration > 0) {
+            return this.audio.duration;
+        }
+        const metadata = this.state.state.song?.metadata || {};
+        return metadata.duration || this.sections?.end || this.state.state.duration || 0;
+    }
+
     /**
      * Format mm:ss
      */
@@ -412,25 +1131,53 @@ class KaixinApp {
             this.translationDisplay.textContent = verse.dataset.translation;
             this.translationDisplay.classList.add('visible');
         }
+        // Read out even when the English line is hidden on screen
+        this.verseAnnouncer.textContent = verse?.dataset.translation || '';
     }
     
     /**
      * Setup timeline scrubbing
      */
     setupTimelineScrubbing() {
-        const track = document.getElementById('timeline-track');
+        const track = this.timelineTrack;
         let isDragging = false;
         
-        const seekToPosition = (x) => {
+        // The track is a slider: arrows step 5 s, PageUp/PageDown 30 s, Home/End the ends
+        track.addEventListener('keydown', (e) => {
+            if (!this.state.state.introComplete || e.ctrlKey || e.metaKey || e.altKey) return;
+            const steps = {
+                ArrowLeft: -SLIDER_STEP, ArrowDown: -SLIDER_STEP,
+                ArrowRight: SLIDER_STEP, ArrowUp: SLIDER_STEP,
+                PageDown: -SLIDER_PAGE_STEP, PageUp: SLIDER_PAGE_STEP
+            };
+            if (e.key in steps) {
+                this.nudge(steps[e.key]);
+            } else if (e.key === 'Home') {
+                this.seekTo(0);
+            } else if (e.key === 'End') {
+                this.seekTo(this.getDuration());
+            } else {
+                return;
+            }
+            e.preventDefault();
+            e.stopPropagation();
+        });
+        
+        const timeAtPosition = (x) => {
             const rect = track.getBoundingClientRect();
             const position = Math.max(0, Math.min(1, (x - rect.left) / rect.width));
-            const duration = this.audio.duration || 258;
-            const time = position * duration;
-            this.seekTo(time);
+            return position * this.getDuration();
         };
+        const seekToPosition = (x) => this.seekTo(timeAtPosition(x));
         
         track.addEventListener('mousedown', (e) => {
             if (!this.state.state.introComplete) return;
+            // Shift-click places practice loop points instead of seeking
+            if (e.shiftKey) {
+                this.placeLoopPoint(timeAtPosition(e.clientX));
+                e.preventDefault();
+                return;
+            }
             isDragging = true;
             seekToPosition(e.clientX);
             e.preventDefault();
@@ -448,7 +1195,7 @@ class KaixinApp {
         });
         
         track.addEventListener('click', (e) => {
-            if (!this.state.state.introComplete) return;
+            if (!this.state.state.introComplete || e.shiftKey) return;
             if (!isDragging) {
                 seekToPosition(e.clientX);
             }
@@ -456,32 +1203,162 @@ class KaixinApp {
     }
     
     /**
-     * Setup keyboard shortcuts
+     * Keyboard shortcuts go through the keymap (remapped keys are remembered across sessions)
      */
     setupKeyboardShortcuts() {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem('keyBindings') || '{}');
+        } catch (err) {
+            console.warn('Kaixin: Ignoring unreadable key bindings', err);
+        }
+        this.keymap = new Keymap(saved);
+        this.shortcutHelp = new ShortcutHelp(this.keysOverlay, this.keymap);
+        this.shortcutHelp.on('change', (keymap) => {
+            localStorage.setItem('keyBindings', JSON.stringify(keymap.overrides));
+        });
+        document.getElementById('keys-open').addEventListener('click', () => this.shortcutHelp.open());
+        
         document.addEventListener('keydown', (e) => {
-            if (e.key === ' ' || e.key === 'Spacebar') {
-                e.preventDefault();
-                if (!this.state.state.introComplete) return;
-                this.togglePlayback();
-            } else if (e.key === 'Escape') {
-                this.stopPlayback();
-            }
+            const combo = comboFromEvent(e);
+            const action = combo && this.keymap.actionFor(combo);
+            if (!takesKey(action, e.target)) return;
+            if (this.runShortcut(action)) e.preventDefault();
         });
     }
-
+    
     /**
-     * Handle interlude: hide text completely and immediately during the entire interlude
+     * Carry out a keymap action
+     * @param {string} action - Action id (see ACTIONS in keymap.js)
+     * @returns {boolean} Whether the key was used (otherwise the browser keeps it)
      */
-    handleInterlude(currentTime) {
-        const backgroundStart = this.interludeStart; // 116s (1:56)
-        const backgroundEnd = this.interludeEnd; // 140s (2:20)
+    runShortcut(action) {
+        const ready = this.state.state.introComplete;
+        if (NAV_MOVES.includes(action)) return ready && this.moveKeyFocus(action);
         
-        // Check if we're in the interlude period
-        const inInterlude = currentTime >= backgroundStart && currentTime < backgroundEnd;
+        switch (action) {
+            case 'play':
+                if (ready) this.togglePlayback();
+                return true;
+            case 'stop':
+                this.stopPlayback();
+                this.setKeyFocus(null);
+                return true;
+            case 'help':
+                this.shortcutHelp.toggle();
+                return true;
+            case 'seek-focused':
+                return ready && this.seekToKeyFocus();
+            case 'add-to-deck':
+                return ready && this.addKeyFocusToDeck();
+            case 'prev-verse':
+                return ready && this.jumpVerse(-1);
+            case 'next-verse':
+                return ready && this.jumpVerse(1);
+            case 'loop-a':
+            case 'loop-b':
+            case 'loop-verse':
+                if (!ready || this.editor?.isActive) return false;
+                if (action === 'loop-a') this.practiceLoop?.setA(this.audio.currentTime);
+                if (action === 'loop-b') this.practiceLoop?.setB(this.audio.currentTime);
+                if (action === 'loop-verse') this.toggleVerseLoop();
+                return true;
+            case 'editor':
+                this.toggleEditor();
+                return true;
+            case 'quiz':
+                this.cycleQuizMode();
+                return true;
+            case 'handwriting':
+                this.toggleHandwriting();
+                return true;
+            case 'sing-along':
+                this.toggleSingAlong();
+                return true;
+            case 'record-compare':
+                this.toggleRecordCompare();
+                return true;
+        }
+        return false;
+    }
+    
+    /**
+     * Move the keyboard focus ring; the first arrow press puts it on the character being sung
+     * (or the start of the verse on screen)
+     */
+    moveKeyFocus(move) {
+        const verses = this.state.state.song?.verses;
+        if (!verses || !this.verseRenderer) return false;
         
-        // Hide text IMMEDIATELY when entering interlude
-        if (inInterlude && !this._textHidden) {
+        if (this.keyFocus) {
+            this.setKeyFocus(navigate(verses.map(verse => verse.characters.length), this.keyFocus, move));
+        } else {
+            const current = this.audioSync?.characters[this.audioSync.currentIndex];
+            this.setKeyFocus(current
+                ? { verseIdx: current.verseIdx, charIdx: current.charIdx }
+                : { verseIdx: this.verseRenderer.activeVerseIdx ?? 0, charIdx: 0 });
+        }
+        return true;
+    }
+    
+    /**
+     * @param {Object|null} pos - { verseIdx, charIdx }, or null to hide the focus ring
+     */
+    setKeyFocus(pos) {
+        this.keyFocus = pos;
+        this.verseRenderer?.setFocus(pos ? pos.verseIdx : null, pos?.charIdx);
+    }
+    
+    /**
+     * Enter: same as clicking the focused stone (seek, or select it in the timing editor)
+     */
+    seekToKeyFocus() {
+        if (!this.keyFocus) return false;
+        const { verseIdx, charIdx } = this.keyFocus;
+        const stone = this.verseRenderer?.getCharacterElement(verseIdx, charIdx);
+        const time = this.state.state.song?.verses[verseIdx]?.characters[charIdx]?.time;
+        if (!stone) return false;
+        const detail = { verseIdx, charIdx, time: typeof time === 'number' ? time : null };
+        stone.dispatchEvent(new CustomEvent('stone-click', { detail, bubbles: true }));
+        return true;
+    }
+    
+    /**
+     * +: the focused stone's add button, which is kept out of the Tab order
+     */
+    addKeyFocusToDeck() {
+        if (!this.keyFocus) return false;
+        const stone = this.verseRenderer?.getCharacterElement(this.keyFocus.verseIdx, this.keyFocus.charIdx);
+        const add = stone?.querySelector('.stone-add');
+        if (!add) return false;
+        add.click();
+        return true;
+    }
+    
+    /**
+     * [ and ]: seek to the start of the previous / next timed verse
+     * @param {number} step - -1 or 1
+     */
+    jumpVerse(step) {
+        const verses = this.state.state.song?.verses || [];
+        const from = this.audioSync?.currentVerseIdx ?? -1;
+        for (let idx = from + step; idx >= 0 && idx < verses.length; idx += step) {
+            const time = verses[idx].characters.find(c => typeof c.time === 'number')?.time;
+            if (typeof time !== 'number') continue;
+            this.seekTo(time);
+            if (this.keyFocus) this.setKeyFocus({ verseIdx: idx, charIdx: 0 });
+            return true;
+        }
+        return true;
+    }
+
+    /**
+     * Apply a section's visual treatment (driven by metadata.sections)
+     * @param {Object} treatment - { hideLyrics, fireflies, bodyClass } from resolveTreatment()
+     */
+    applySectionTreatment(treatment) {
+        // Hide text IMMEDIATELY when a section asks for it (e.g. the interlude)
+        if (treatment.hideLyrics && !this._textHidden) {
             // No transition - instant hide
             this.verseContainer.style.transition = 'none';
             this.verseContainer.style.opacity = '0';
@@ -491,24 +1368,10 @@ class KaixinApp {
             this.translationDisplay.style.opacity = '0';
             this.translationDisplay.style.visibility = 'hidden';
             this._textHidden = true;
-            
-            // Start background morph and particles
-            if (this.fireflies.sunriseParticles.length === 0) {
-                this.fireflies.show(true);
-                document.body.classList.add('interlude-mode');
-                console.log('Kaixin: Light show started - text hidden immediately');
-            }
         }
         
-        // Show text back when exiting interlude
-        if (!inInterlude && this._textHidden) {
-            // End background morph and particles
-            if (this.fireflies.sunriseParticles.length > 0) {
-                this.fireflies.hide(true);
-                document.body.classList.remove('interlude-mode');
-            }
-            
-            // Restore text with smooth fade-in
+        // Restore text with smooth fade-in
+        if (!treatment.hideLyrics && this._textHidden) {
             this.verseContainer.style.transition = 'opacity 1s ease, visibility 0s 0s';
             this.verseContainer.style.opacity = '';
             this.verseContainer.style.visibility = '';
@@ -517,8 +1380,25 @@ class KaixinApp {
             this.translationDisplay.style.opacity = '';
             this.translationDisplay.style.visibility = '';
             this._textHidden = false;
-            console.log('Kaixin: Light show ended - text fading back in');
         }
+        
+        // Light show particles
+        if (treatment.fireflies === 'sunrise' && this.fireflies.sunriseParticles.length === 0) {
+            this.fireflies.show(true);
+            console.log('Kaixin: Light show started');
+        } else if (treatment.fireflies !== 'sunrise' && this.fireflies.sunriseParticles.length > 0) {
+            this.fireflies.hide(true);
+            console.log('Kaixin: Light show ended');
+        }
+        
+        // Section body class (e.g. interlude-mode night sky)
+        if (this._sectionClass && this._sectionClass !== treatment.bodyClass) {
+            document.body.classList.remove(this._sectionClass);
+        }
+        if (treatment.bodyClass) {
+            document.body.classList.add(treatment.bodyClass);
+        }
+        this._sectionClass = treatment.bodyClass;
     }
     
     /**
@@ -530,7 +1410,8 @@ class KaixinApp {
         this._introRunning = true;
 
         // Start playback immediately (UI stays hidden during intro)
-        this.audio.play()
+        this.audioGraph.resume()
+            .then(() => this.audio.play())
             .then(() => {
                 this.state.setState({ isPlaying: true });
                 this.audioSync.startSync();
@@ -543,41 +1424,52 @@ class KaixinApp {
         // Show fireflies during intro
         this.fireflies.show();
 
-        // After petals finish (~4s), hide flower and then show title
+        // After petals finish (~4s), hide flower and then show title;
+        // with reduced motion there is no spin to wait for
+        const petalDelay = window.matchMedia?.(REDUCED_MOTION).matches ? 0 : 4000;
         setTimeout(() => {
             this.flower.classList.add('hidden');
             if (this.titleOverlay) {
                 this.titleOverlay.classList.add('show');
             }
-        }, 4000);
+        }, petalDelay);
 
         // After title show completes (~6s from start of title), reveal UI (audio already playing)
-        const totalDelay = 4000 + 6000; // petals 4s + title 6s
+        const totalDelay = petalDelay + 6000; // petals 4s + title 6s
         setTimeout(() => {
-            // Mark intro complete
-            this.state.setState({ introComplete: true });
-            document.body.classList.remove('app-intro');
-
-            // Show verse container and timeline
-            this.verseContainer.classList.add('active');
-            this.translationDisplay.classList.add('visible');
-            this.timeline.classList.add('visible');
-
-            // Ensure title overlay is removed from hit testing
-            if (this.titleOverlay) {
-                this.titleOverlay.style.display = 'none';
-            }
-
-            // Hide flower permanently after intro
-            this.flower.style.display = 'none';
+            this.completeIntro();
             
             // Keep base fireflies visible throughout (no hide call)
         }, totalDelay);
     }
+    
+    /**
+     * Reveal the stage: verses, translation and timeline
+     */
+    completeIntro() {
+        // Mark intro complete
+        this.state.setState({ introComplete: true });
+        document.body.classList.remove('app-intro');
+
+        // Show verse container and timeline
+        this.verseContainer.classList.add('active');
+        this.translationDisplay.classList.add('visible');
+        this.timeline.classList.add('visible');
+
+        // Ensure title overlay is removed from hit testing
+        if (this.titleOverlay) {
+            this.titleOverlay.style.display = 'none';
+        }
+
+        // Hide flower permanently after intro
+        this.flower.style.display = 'none';
+    }
 
     updatePlayButtonIcon(isPlaying) {
         if (!this.ctrlPlay) return;
         this.ctrlPlay.innerHTML = isPlaying ? this.getPauseIcon() : this.getPlayIcon();
+        this.ctrlPlay.setAttribute('aria-label', isPlaying ? 'Pause' : 'Play');
+        this.ctrlPlay.title = isPlaying ? 'Pause' : 'Play';
     }
 
     getPlayIcon() {
@@ -603,6 +1495,7 @@ document.addEventListener('DOMContentLoaded', () => {
     const app = new KaixinApp();
     app.init().catch(err => {
         console.error('Kaixin: Initialization failed:', err);
+        app.showError(err);
     });
 });
 
@@ -0,0 +1,51 @@
+/**
+ * ModalDialog - Open/close handling for the settings-style overlays
+ * Keeps aria-hidden in step with .show, moves focus into the dialog on open and
+ * back to whatever had it on close, and closes on Esc.
+ */
+
+export class ModalDialog {
+    /**
+     * @param {HTMLElement} overlay - .settings-overlay wrapping a [role="dialog"]
+     * @param {Function} [onClose] - Called after the dialog closes
+     */
+    constructor(overlay, onClose = null) {
+        this.overlay = overlay;
+        this.dialog = overlay.querySelector('[role="dialog"]') || overlay;
+        this.dialog.tabIndex = -1;
+        this.onClose = onClose;
+        this.opener = null;
+
+        this.onKeyDown = this.onKeyDown.bind(this);
+    }
+
+    get isOpen() {
+        return this.overlay.classList.contains('show');
+    }
+
+    open() {
+        if (this.isOpen) return;
+        this.opener = document.activeElement;
+        this.overlay.classList.add('show');
+        this.overlay.setAttribute('aria-hidden', 'false');
+        document.addEventListener('keydown', this.onKeyDown);
+        this.dialog.focus();
+    }
+
+    close() {
+        if (!this.isOpen) return;
+        this.overlay.classList.remove('show');
+        this.overlay.setAttribute('aria-hidden', 'true');
+        document.removeEventListener('keydown', this.onKeyDown);
+        // The opener may have gone (a re-rendered list); then focus falls back to the page
+        if (this.opener?.isConnected) this.opener.focus();
+        this.opener = null;
+        this.onClose?.();
+    }
+
+    onKeyDown(e) {
+        if (e.key !== 'Escape' || e.defaultPrevented) return;
+        e.preventDefault();
+        this.close();
+    }
+}
@@ -0,0 +1,164 @@
+/**
+ * Pinyin - Tone-mark / tone-number handling and tone analysis
+ * Normalizes "míng", "ming2" and "MI´NG" alike so answers can be compared,
+ * and works out where tone sandhi changes the spoken tone.
+ */
+
+// Combining marks (after NFD) for tones 1–4
+const TONE_MARKS = {
+    '\u0304': 1, // ā  macron
+    '\u0301': 2, // á  acute
+    '\u030C': 3, // ǎ  caron
+    '\u0300': 4  // à  grave
+};
+
+const DIAERESIS = '\u0308'; // ü
+
+export const NEUTRAL_TONE = 5;
+
+export const TONE_NAMES = {
+    1: 'first (high level)',
+    2: 'second (rising)',
+    3: 'third (dipping)',
+    4: 'fourth (falling)',
+    5: 'neutral'
+};
+
+/**
+ * Split pinyin into syllables at spaces, apostrophes, hyphens and after tone numbers
+ * ("tān fàn", "tan1fan4" → two syllables)
+ */
+export function splitSyllables(pinyin) {
+    return String(pinyin)
+        .replace(/([0-5])(?=[a-zü])/gi, '$1 ')
+        .split(/[\s'’\-]+/)
+        .filter(Boolean);
+}
+
+/**
+ * Parse one syllable
+ * @returns {{ base: string, tone: number|null }} base uses "v" for ü; tone null when none was given
+ */
+export function parseSyllable(syllable) {
+    let tone = null;
+    let base = '';
+    for (const ch of syllable.normalize('NFD').toLowerCase()) {
+        if (TONE_MARKS[ch]) {
+            tone = TONE_MARKS[ch];
+        } else if (ch === DIAERESIS) {
+            base = base.replace(/u$/, 'v');
+        } else if (/[0-5]/.test(ch)) {
+            tone = Number(ch) === 0 ? NEUTRAL_TONE : Number(ch);
+        } else if (/[a-z:]/.test(ch)) {
+            base += ch;
+        }
+    }
+    // "u:" is the usual ASCII spelling of ü
+    return { base: base.replace(/u:/g, 'v'), tone };
+}
+
+/**
+ * Tone of a syllable written with tone marks (no mark = neutral)
+ */
+export function toneOf(syllable) {
+    return parseSyllable(syllable).tone ?? NEUTRAL_TONE;
+}
+
+/**
+ * Canonical numbered form: "Míng yuè" → "ming2 yue4", "lü" → "lv5"
+ */
+export function normalizePinyin(pinyin) {
+    return splitSyllables(pinyin)
+        .map(syllable => {
+            const { base, tone } = parseSyllable(syllable);
+            return `${base}${tone ?? NEUTRAL_TONE}`;
+        })
+        .join(' ');
+}
+
+/**
+ * Compare typed pinyin with the expected reading
+ * @param {string} input - What the learner typed (tone marks or numbers)
+ * @param {string} expected - Reading from the song data
+ * @param {Object} options - { requireTones: false accepts toneless input }
+ */
+export function pinyinMatches(input, expected, { requireTones = true } = {}) {
+    const typed = splitSyllables(input).map(parseSyllable);
+    const wanted = splitSyllables(expected).map(parseSyllable);
+    if (typed.length === 0 || typed.length !== wanted.length) return false;
+    return typed.every((syllable, idx) => {
+        if (syllable.base !== wanted[idx].base) return false;
+        if (syllable.tone === null) return !requireTones;
+        return syllable.tone === (wanted[idx].tone ?? NEUTRAL_TONE);
+    });
+}
+
+/* ---------- Writing tone marks ---------- */
+
+const MARKED_VOWELS = {
+    a: 'āáǎà', e: 'ēéěè', i: 'īíǐì', o: 'ōóǒò', u: 'ūúǔù', v: 'ǖǘǚǜ'
+};
+
+/**
+ * Write a syllable with a given tone mark ("wǒ", 2 → "wó")
+ * Mark placement: a or e if present, the o of "ou", otherwise the last vowel.
+ */
+export function markTone(syllable, tone) {
+    const { base } = parseSyllable(syllable);
+    let idx = base.search(/[ae]/);
+    if (idx < 0) idx = base.indexOf('ou');
+    if (idx < 0) idx = Math.max(...['i', 'o', 'u', 'v'].map(v => base.lastIndexOf(v)));
+
+    const letters = [...base];
+    if (idx >= 0 && tone >= 1 && tone <= 4) {
+        letters[idx] = MARKED_VOWELS[letters[idx]][tone - 1];
+    }
+    return letters.join('').replace(/v/g, 'ü');
+}
+
+/* ---------- Tone sandhi ---------- */
+
+export const SANDHI_RULES = {
+    'third-tone': 'A third tone before another third tone is said as a second tone',
+    'yi-fourth': '一 before a fourth tone is said yí',
+    'yi-other': '一 before a first, second or third tone is said yì',
+    'bu-fourth': '不 before a fourth tone is said bú'
+};
+
+/**
+ * Tone of every character in a phrase, with the spoken tone where a sandhi rule applies
+ * @param {Array<{ char: string, pinyin?: string }>} characters - A verse's characters
+ * @param {Object} options - { breaks: character indexes that start a new phrase (e.g. breakAfter) }
+ * @returns {Array<{ tone: number|null, spokenTone: number|null, rule: string|null, spoken: string|null }>}
+ */
+export function analyzeTones(characters, { breaks = [] } = {}) {
+    const tones = characters.map(c => (c.pinyin ? toneOf(c.pinyin) : null));
+
+    return characters.map((charData, idx) => {
+        const tone = tones[idx];
+        const nextTone = breaks.includes(idx + 1) ? null : tones[idx + 1] ?? null;
+        let rule = null;
+        let spokenTone = tone;
+
+        if (charData.char === '一' && nextTone !== null && nextTone !== NEUTRAL_TONE) {
+            rule = nextTone === 4 ? 'yi-fourth' : 'yi-other';
+            spokenTone = nextTone === 4 ? 2 : 4;
+        } else if (charData.char === '不' && nextTone === 4) {
+            rule = 'bu-fourth';
+            spokenTone = 2;
+        } else if (tone === 3 && nextTone === 3) {
+            rule = 'third-tone';
+            spokenTone = 2;
+        }
+
+        // A rule that leaves the tone as written needs no note
+        if (spokenTone === tone) rule = null;
+
+        return {
+            tone,
+            spokenTone,
+            rule,
+            spoken: rule ? markTone(charData.pinyin, spokenTone) : null
+        };
+    });
+}
@@ -0,0 +1,28 @@
+/**
+ * PitchTrackerProcessor - AudioWorklet side of sing-along scoring
+ * Runs the microphone through PitchTracker/OnsetDetector off the main thread and
+ * posts { frame, onset } for every analysis frame (times on the AudioContext clock).
+ */
+
+import { PitchTracker, OnsetDetector } from './pitch.js';
+
+class PitchTrackerProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        // `sampleRate` and `currentTime` are globals of the AudioWorklet scope
+        this.tracker = new PitchTracker({ sampleRate });
+        this.onsets = new OnsetDetector();
+    }
+
+    process(inputs) {
+        const samples = inputs[0]?.[0];
+        if (samples) {
+            this.tracker.push(samples, currentTime).forEach(frame => {
+                this.port.postMessage({ frame, onset: this.onsets.push(frame) });
+            });
+        }
+        return true;
+    }
+}
+
+registerProcessor('pitch-tracker', PitchTrackerProcessor);
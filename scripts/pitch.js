@@ -0,0 +1,230 @@
+/**
+ * Pitch - Pitch tracking, onset detection and onset scoring for sing-along
+ * DOM-free so the same code runs in the AudioWorklet (live microphone), in the
+ * page (WAV recordings) and under Node (tests).
+ */
+
+export const FRAME_SIZE = 2048;    // samples per analysis frame
+export const HOP_SIZE = 1024;      // samples between frames
+export const RENDER_QUANTUM = 128; // samples per AudioWorklet process() call
+export const SILENCE_LEVEL = 0.01; // RMS below which a frame counts as silence
+
+const YIN_THRESHOLD = 0.15;
+const MIN_FREQUENCY = 80;          // Hz, a low male voice
+const MAX_FREQUENCY = 1000;        // Hz, a high soprano
+
+const NOTE_NAMES = ['C', 'C♯', 'D', 'D♯', 'E', 'F', 'F♯', 'G', 'G♯', 'A', 'A♯', 'B'];
+
+/**
+ * Root-mean-square level of a frame
+ */
+export function rms(frame) {
+    let sum = 0;
+    for (let i = 0; i < frame.length; i++) sum += frame[i] * frame[i];
+    return Math.sqrt(sum / frame.length);
+}
+
+/**
+ * Fundamental frequency of a frame with YIN (de Cheveigné & Kawahara, 2002)
+ * @param {Float32Array} frame - Samples
+ * @param {number} sampleRate - Samples per second
+ * @returns {{ frequency: number, clarity: number }|null} null when the frame isn't periodic
+ */
+export function detectPitch(frame, sampleRate, {
+    threshold = YIN_THRESHOLD, minFrequency = MIN_FREQUENCY, maxFrequency = MAX_FREQUENCY
+} = {}) {
+    const maxLag = Math.min(Math.floor(sampleRate / minFrequency), Math.floor(frame.length / 2));
+    const minLag = Math.max(2, Math.floor(sampleRate / maxFrequency));
+    const span = frame.length - maxLag - 1;
+
+    // Cumulative mean normalized difference function
+    const cmnd = new Float32Array(maxLag + 2);
+    cmnd[0] = 1;
+    let running = 0;
+    for (let lag = 1; lag <= maxLag + 1; lag++) {
+        let diff = 0;
+        for (let i = 0; i < span; i++) {
+            const d = frame[i] - frame[i + lag];
+            diff += d * d;
+        }
+        running += diff;
+        cmnd[lag] = running > 0 ? (diff * lag) / running : 1;
+    }
+
+    // First dip under the threshold, followed down to its minimum
+    let lag = -1;
+    for (let tau = minLag; tau <= maxLag; tau++) {
+        if (cmnd[tau] < threshold) {
+            while (tau < maxLag && cmnd[tau + 1] < cmnd[tau]) tau++;
+            lag = tau;
+            break;
+        }
+    }
+    if (lag < 0) return null;
+
+    // Parabolic interpolation between neighbouring lags
+    const [a, b, c] = [cmnd[lag - 1], cmnd[lag], cmnd[lag + 1]];
+    const curve = a - 2 * b + c;
+    const refined = curve > 0 ? lag + (a - c) / (2 * curve) : lag;
+    return { frequency: sampleRate / refined, clarity: 1 - b };
+}
+
+/**
+ * Fractional MIDI note number (A4 = 440 Hz = 69)
+ */
+export function frequencyToMidi(frequency) {
+    return 69 + 12 * Math.log2(frequency / 440);
+}
+
+/**
+ * Nearest note name: 60 → "C4"
+ */
+export function midiToNoteName(midi) {
+    const note = Math.round(midi);
+    return `${NOTE_NAMES[((note % 12) + 12) % 12]}${Math.floor(note / 12) - 1}`;
+}
+
+/**
+ * Turns a stream of sample blocks into pitch frames every HOP_SIZE samples
+ * Frame times are the time of the frame's center, on the clock the blocks were stamped with.
+ */
+export class PitchTracker {
+    constructor({ sampleRate, frameSize = FRAME_SIZE, hopSize = HOP_SIZE, silence = SILENCE_LEVEL }) {
+        this.sampleRate = sampleRate;
+        this.frameSize = frameSize;
+        this.hopSize = hopSize;
+        this.silence = silence;
+        this.buffer = new Float32Array(frameSize);
+        this.filled = 0;   // samples in the buffer (until it is full once)
+        this.sinceHop = 0; // samples since the last frame
+        this.time = 0;     // time of the next sample
+    }
+
+    /**
+     * Add samples
+     * @param {Float32Array} samples - Next block of mono samples
+     * @param {number} [time] - Time of the block's first sample (defaults to following on)
+     * @returns {Array<{ time: number, level: number, frequency: number|null, midi: number|null }>}
+     */
+    push(samples, time) {
+        if (typeof time === 'number') this.time = time;
+        const frames = [];
+        let offset = 0;
+        while (offset < samples.length) {
+            const n = Math.min(samples.length - offset, this.hopSize - this.sinceHop);
+            this.buffer.copyWithin(0, n);
+            this.buffer.set(samples.subarray(offset, offset + n), this.frameSize - n);
+            offset += n;
+            this.filled = Math.min(this.frameSize, this.filled + n);
+            this.sinceHop += n;
+            this.time += n / this.sampleRate;
+
+            if (this.sinceHop >= this.hopSize) {
+                this.sinceHop = 0;
+                if (this.filled >= this.frameSize) frames.push(this.analyze());
+            }
+        }
+        return frames;
+    }
+
+    analyze() {
+        const level = rms(this.buffer);
+        const pitch = level >= this.silence ? detectPitch(this.buffer, this.sampleRate) : null;
+        return {
+            time: this.time - this.frameSize / (2 * this.sampleRate),
+            level,
+            frequency: pitch ? pitch.frequency : null,
+            midi: pitch ? frequencyToMidi(pitch.frequency) : null
+        };
+    }
+}
+
+/**
+ * Finds where sung syllables start in a stream of pitch frames: voicing that begins
+ * after silence, a sharp rise in level, or a jump to a new note while voiced
+ */
+export class OnsetDetector {
+    constructor({ silence = SILENCE_LEVEL, minGap = 0.1, riseRatio = 2.5, noteJump = 1.5 } = {}) {
+        this.silence = silence;
+        this.minGap = minGap;       // seconds between two onsets
+        this.riseRatio = riseRatio; // level jump between frames that counts as a new syllable
+        this.noteJump = noteJump;   // semitones between frames that count as a new syllable
+        this.voiced = false;
+        this.level = 0;
+        this.midi = null;
+        this.lastOnset = -Infinity;
+    }
+
+    /**
+     * @returns {number|null} Onset time, or null when this frame doesn't start a syllable
+     */
+    push(frame) {
+        const voiced = frame.frequency !== null && frame.level >= this.silence;
+        const starts = voiced && (
+            !this.voiced
+            || frame.level >= this.level * this.riseRatio
+            || Math.abs(frame.midi - this.midi) >= this.noteJump
+        );
+        const onset = starts && frame.time - this.lastOnset >= this.minGap ? frame.time : null;
+
+        this.voiced = voiced;
+        this.level = frame.level;
+        this.midi = frame.midi;
+        if (onset !== null) this.lastOnset = onset;
+        return onset;
+    }
+}
+
+/**
+ * Run a whole recording through the live pipeline, one render quantum at a time
+ * @param {Float32Array} samples - Mono samples; time 0 is the first sample
+ * @param {number} sampleRate - Samples per second
+ * @returns {{ frames: Array, onsets: number[] }}
+ */
+export function analyzeSamples(samples, sampleRate, options = {}) {
+    const tracker = new PitchTracker({ sampleRate, ...options });
+    const detector = new OnsetDetector(options);
+    const frames = [];
+    const onsets = [];
+    for (let i = 0; i < samples.length; i += RENDER_QUANTUM) {
+        tracker.push(samples.subarray(i, i + RENDER_QUANTUM)).forEach(frame => {
+            frames.push(frame);
+            const onset = detector.push(frame);
+            if (onset !== null) onsets.push(onset);
+        });
+    }
+    return { frames, onsets };
+}
+
+/**
+ * Match sung onsets to characters and score their timing
+ * Each onset goes to the character it is nearest to (within `window` seconds);
+ * a character with several keeps the closest one.
+ * @param {Array<{ time: number }>} characters - Characters in song order
+ * @param {number[]} onsets - Onset times on the song clock
+ * @param {Object} options - { window: seconds an onset may be off, onTime: seconds that still score 1 }
+ * @returns {Array<{ onset: number|null, error: number|null, accuracy: number }>} error is onset − time
+ */
+export function scoreOnsets(characters, onsets, { window = 0.5, onTime = 0.12 } = {}) {
+    const matched = characters.map(() => null);
+    onsets.forEach(onset => {
+        let nearest = -1;
+        characters.forEach(({ time }, idx) => {
+            if (Math.abs(onset - time) > window) return;
+            if (nearest < 0 || Math.abs(onset - time) < Math.abs(onset - characters[nearest].time)) nearest = idx;
+        });
+        if (nearest < 0) return;
+        const current = matched[nearest];
+        if (current === null || Math.abs(onset - characters[nearest].time) < Math.abs(current - characters[nearest].time)) {
+            matched[nearest] = onset;
+        }
+    });
+
+    return characters.map(({ time }, idx) => {
+        const onset = matched[idx];
+        if (onset === null) return { onset: null, error: null, accuracy: 0 };
+        const error = onset - time;
+        const late = Math.max(0, Math.abs(error) - onTime);
+        return { onset, error, accuracy: Math.max(0, 1 - late / (window - onTime)) };
+    });
+}
@@ -0,0 +1,220 @@
+/**
+ * PracticeLoop - A–B loop and verse repeat for singing practice
+ * Watches AudioSyncEngine time updates and seeks back to A when playback reaches B
+ */
+
+const VERSE_PREROLL = 0.5;  // seconds of lead-in before a looped verse's first stone
+const VERSE_TAIL = 2;       // seconds after the last stone when no verse follows
+
+/**
+ * Time range of a verse: just before its first stone to the next verse's first stone
+ * @param {Object} songData - Timed song
+ * @param {number} verseIdx - Verse index
+ * @param {number} preroll - Seconds of lead-in
+ * @returns {{ start: number, end: number }}
+ */
+export function verseTimeRange(songData, verseIdx, preroll = VERSE_PREROLL) {
+    const verses = songData.verses;
+    const times = verses[verseIdx].characters.map(c => c.time).filter(t => typeof t === 'number');
+    const start = Math.max(0, Math.min(...times) - preroll);
+    const nextFirst = verses[verseIdx + 1]?.characters[0]?.time;
+    const end = typeof nextFirst === 'number' ? nextFirst : Math.max(...times) + VERSE_TAIL;
+    return { start, end };
+}
+
+export class PracticeLoop {
+    /**
+     * @param {HTMLAudioElement} audioElement - Song audio
+     * @param {Object} songData - Timed song (for verse ranges)
+     * @param {AudioSyncEngine} audioSync - Source of time-update / verse-change
+     */
+    constructor(audioElement, songData, audioSync) {
+        this.audio = audioElement;
+        this.songData = songData;
+        this.audioSync = audioSync;
+
+        this.a = null;              // loop start (seconds)
+        this.b = null;              // loop end (seconds)
+        this.verseIdx = null;       // set when looping a whole verse
+        this.repeats = 0;           // total passes; 0 = until cleared
+        this.gap = 0;               // seconds of silence between passes
+        this.pass = 1;              // current pass (1-based)
+        this.currentVerseIdx = 0;   // last verse reported by verse-change
+        this.gapTimer = null;
+
+        this.handlers = {
+            'loop-change': new Set(),
+            'repeat': new Set()
+        };
+
+        this.onTimeUpdate = this.onTimeUpdate.bind(this);
+        this.onVerseChange = this.onVerseChange.bind(this);
+        this.audioSync.on('time-update', this.onTimeUpdate);
+        this.audioSync.on('verse-change', this.onVerseChange);
+    }
+
+    get isActive() {
+        return this.a !== null && this.b !== null;
+    }
+
+    /**
+     * Set loop start; clears B if it would come before A
+     */
+    setA(time) {
+        this.a = time;
+        this.verseIdx = null;
+        if (this.b !== null && this.b <= this.a) this.b = null;
+        this.restart();
+    }
+
+    /**
+     * Set loop end; swaps with A when placed before it
+     */
+    setB(time) {
+        if (this.a === null) {
+            this.setA(time);
+            return;
+        }
+        this.verseIdx = null;
+        if (time < this.a) {
+            this.b = this.a;
+            this.a = time;
+        } else if (time > this.a) {
+            this.b = time;
+        }
+        this.restart();
+    }
+
+    /**
+     * Loop a whole verse (defaults to the verse currently playing)
+     */
+    loopVerse(verseIdx = this.currentVerseIdx) {
+        if (!this.songData.verses[verseIdx]) return;
+        const { start, end } = verseTimeRange(this.songData, verseIdx);
+        this.a = start;
+        this.b = end;
+        this.verseIdx = verseIdx;
+        this.restart();
+        this.seek(this.a);
+    }
+
+    /**
+     * Stop looping
+     */
+    clear() {
+        this.cancelGap();
+        this.a = null;
+        this.b = null;
+        this.verseIdx = null;
+        this.pass = 1;
+        this.emit('loop-change', this.getStatus());
+    }
+
+    setRepeats(count) {
+        this.repeats = Math.max(0, Math.floor(count) || 0);
+        this.emit('loop-change', this.getStatus());
+    }
+
+    setGap(seconds) {
+        this.gap = Math.max(0, Number(seconds) || 0);
+    }
+
+    restart() {
+        this.cancelGap();
+        this.pass = 1;
+        this.emit('loop-change', this.getStatus());
+    }
+
+    /**
+     * Snapshot for the UI: range, verse and pass counter
+     */
+    getStatus() {
+        return {
+            active: this.isActive,
+            a: this.a,
+            b: this.b,
+            verseIdx: this.verseIdx,
+            pass: this.pass,
+            repeats: this.repeats
+        };
+    }
+
+    onVerseChange({ verseIdx }) {
+        this.currentVerseIdx = verseIdx;
+    }
+
+    onTimeUpdate({ currentTime }) {
+        if (!this.isActive || this.gapTimer) return;
+        if (currentTime < this.b) return;
+
+        // Final pass done: let playback continue past B
+        if (this.repeats > 0 && this.pass >= this.repeats) {
+            console.log(`PracticeLoop: Finished ${this.repeats} passes`);
+            this.clear();
+            return;
+        }
+
+        this.pass++;
+        this.emit('repeat', this.getStatus());
+        this.emit('loop-change', this.getStatus());
+
+        if (this.gap > 0) {
+            this.audio.pause();
+            this.gapTimer = setTimeout(() => {
+                this.gapTimer = null;
+                this.seek(this.a);
+                this.audio.play().catch(err => console.error('PracticeLoop: Could not resume', err));
+            }, this.gap * 1000);
+        } else {
+            this.seek(this.a);
+        }
+    }
+
+    /**
+     * Abandon a pending gap (e.g. the user paused during it)
+     */
+    cancelGap() {
+        if (this.gapTimer) {
+            clearTimeout(this.gapTimer);
+            this.gapTimer = null;
+        }
+    }
+
+    seek(time) {
+        this.audio.currentTime = time;
+        this.audioSync.seekTo(time);
+    }
+
+    /**
+     * Tear down (song switch)
+     */
+    destroy() {
+        this.cancelGap();
+        this.audioSync.off('time-update', this.onTimeUpdate);
+        this.audioSync.off('verse-change', this.onVerseChange);
+        Object.values(this.handlers).forEach(set => set.clear());
+    }
+
+    /**
+     * Event emitter
+     */
+    on(event, callback) {
+        if (this.handlers[event]) {
+            this.handlers[event].add(callback);
+        }
+    }
+
+    off(event, callback) {
+        if (this.handlers[event]) {
+            this.handlers[event].delete(callback);
+        }
+    }
+
+    emit(event, data) {
+        if (this.handlers[event]) {
+            this.handlers[event].forEach(callback => {
+                callback(data);
+            });
+        }
+    }
+}
@@ -0,0 +1,299 @@
+/**
+ * QuizController - Quiz modes played along with the song
+ * cloze (pick the missing characters), typing (type the pinyin), tone (name the tone)
+ * Each verse asks a few questions as it comes up; scores go into StateManager.
+ */
+
+import { pinyinMatches, toneOf, TONE_NAMES } from './pinyin.js';
+
+export const QUIZ_MODES = {
+    cloze: { label: 'Cloze', prompt: 'Pick the missing character' },
+    typing: { label: 'Pinyin typing', prompt: 'Type the pinyin (tone marks or numbers)' },
+    tone: { label: 'Tone drill', prompt: 'Which tone is the marked character?' }
+};
+
+const QUESTION_SHARE = 0.3; // share of a verse's stones that become questions
+const CHOICES = 4;          // options offered in cloze mode
+
+/**
+ * Pick `count` distinct random items
+ */
+function sample(items, count) {
+    const pool = [...items];
+    const picked = [];
+    while (picked.length < count && pool.length > 0) {
+        picked.push(pool.splice(Math.floor(Math.random() * pool.length), 1)[0]);
+    }
+    return picked;
+}
+
+export class QuizController {
+    /**
+     * @param {Object} songData - Timed song
+     * @param {AudioSyncEngine} audioSync - Source of verse-change
+     * @param {VerseRenderer} verseRenderer - Stone elements
+     * @param {StateManager} state - Receives quizMode / quizScores
+     * @param {HTMLElement} panel - #quiz-panel
+     */
+    constructor(songData, audioSync, verseRenderer, state, panel) {
+        this.songData = songData;
+        this.audioSync = audioSync;
+        this.verseRenderer = verseRenderer;
+        this.state = state;
+        this.panel = panel;
+        this.mode = null;
+        this.verseIdx = null;
+        this.questions = [];   // { charIdx, charData, result: null|'correct'|'wrong' }
+        this.current = null;
+        this.finished = false; // summary shown; the next verse starts a new run
+
+        this.alphabet = [...new Set(songData.verses.flatMap(v => v.characters.map(c => c.char)))];
+
+        this.prompt = panel.querySelector('.quiz-prompt');
+        this.choices = panel.querySelector('.quiz-choices');
+        this.input = panel.querySelector('.quiz-input');
+        this.feedback = panel.querySelector('.quiz-feedback');
+        this.summary = panel.querySelector('.quiz-summary');
+
+        this.onVerseChange = this.onVerseChange.bind(this);
+        this.onKeyDown = this.onKeyDown.bind(this);
+        this.onChoice = (e) => {
+            const btn = e.target.closest('[data-answer]');
+            if (btn) this.answer(btn.dataset.answer);
+        };
+        this.onInputKey = (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.answer(this.input.value);
+            }
+        };
+    }
+
+    /**
+     * Switch quiz mode (null turns the quiz off)
+     */
+    setMode(mode) {
+        const next = QUIZ_MODES[mode] ? mode : null;
+        if (next === this.mode) return;
+
+        this.clearVerse();
+        if (!this.mode && next) {
+            this.audioSync.on('verse-change', this.onVerseChange);
+            document.addEventListener('keydown', this.onKeyDown, true);
+            this.choices.addEventListener('click', this.onChoice);
+            this.input.addEventListener('keydown', this.onInputKey);
+        } else if (this.mode && !next) {
+            this.audioSync.off('verse-change', this.onVerseChange);
+            document.removeEventListener('keydown', this.onKeyDown, true);
+            this.choices.removeEventListener('click', this.onChoice);
+            this.input.removeEventListener('keydown', this.onInputKey);
+        }
+
+        this.mode = next;
+        this.panel.hidden = !next;
+        this.summary.hidden = true;
+        document.body.classList.toggle('quiz-mode', Boolean(next));
+        this.state.setState({ quizMode: next, quizScores: {} });
+        console.log(`Quiz: Mode ${next ?? 'off'}`);
+
+        const verseIdx = this.state.state.currentVerseIndex;
+        if (next && verseIdx >= 0) this.startVerse(verseIdx);
+    }
+
+    onVerseChange({ verseIdx }) {
+        if (verseIdx !== this.verseIdx) this.startVerse(verseIdx);
+    }
+
+    /**
+     * Ask questions on a verse (unanswered ones from the previous verse count as missed)
+     */
+    startVerse(verseIdx) {
+        this.clearVerse();
+        const verse = this.songData.verses[verseIdx];
+        if (!verse) return;
+        if (this.finished) {
+            this.finished = false;
+            this.summary.hidden = true;
+            this.state.setState({ quizScores: {} });
+        }
+
+        this.verseIdx = verseIdx;
+        const candidates = verse.characters
+            .map((charData, charIdx) => ({ charIdx, charData, result: null }))
+            .filter(q => this.mode !== 'cloze' || /\p{Script=Han}/u.test(q.charData.char))
+            .filter(q => this.mode === 'cloze' || q.charData.pinyin);
+        const count = Math.max(1, Math.ceil(verse.characters.length * QUESTION_SHARE));
+        this.questions = sample(candidates, count).sort((a, b) => a.charIdx - b.charIdx);
+
+        const blankClass = this.mode === 'cloze' ? 'quiz-blank' : 'quiz-blank-pinyin';
+        this.questions.forEach(q => this.getStone(q)?.classList.add(blankClass));
+        this.recordScore();
+        this.ask(this.questions[0] || null);
+    }
+
+    /**
+     * Score the verse being left and remove its quiz marks
+     */
+    clearVerse() {
+        if (this.verseIdx !== null) {
+            this.recordScore();
+            this.verseRenderer.container
+                .querySelectorAll(`.verse[data-verse-idx="${this.verseIdx}"] .stone`)
+                .forEach(stone => stone.classList.remove('quiz-blank', 'quiz-blank-pinyin', 'quiz-target', 'quiz-correct', 'quiz-wrong'));
+        }
+        this.verseIdx = null;
+        this.questions = [];
+        this.current = null;
+    }
+
+    getStone(question) {
+        return this.verseRenderer.getCharacterElement(this.verseIdx, question.charIdx);
+    }
+
+    /**
+     * Show the next question in the panel
+     */
+    ask(question) {
+        this.current = question;
+        this.choices.innerHTML = '';
+        this.input.hidden = true;
+        this.verseRenderer.container.querySelectorAll('.quiz-target').forEach(el => el.classList.remove('quiz-target'));
+
+        if (!question) {
+            this.prompt.textContent = this.questions.length > 0 ? 'Verse done — wait for the next one' : QUIZ_MODES[this.mode].prompt;
+            return;
+        }
+
+        this.getStone(question)?.classList.add('quiz-target');
+        this.prompt.textContent = QUIZ_MODES[this.mode].prompt;
+
+        if (this.mode === 'cloze') {
+            const distractors = sample(this.alphabet.filter(char => char !== question.charData.char), CHOICES - 1);
+            sample([question.charData.char, ...distractors], CHOICES).forEach((char, idx) => {
+                this.addChoice(char, `${idx + 1} ${char}`);
+            });
+        } else if (this.mode === 'tone') {
+            [1, 2, 3, 4, 5].forEach(tone => this.addChoice(String(tone), `${tone}`, TONE_NAMES[tone]));
+        } else {
+            this.input.hidden = false;
+            this.input.value = '';
+            this.input.focus();
+        }
+    }
+
+    addChoice(answer, label, title) {
+        const btn = document.createElement('button');
+        btn.className = 'ctrl quiz-choice';
+        btn.dataset.answer = answer;
+        btn.textContent = label;
+        if (title) btn.title = title;
+        this.choices.appendChild(btn);
+    }
+
+    /**
+     * Check an answer to the current question and move on
+     */
+    answer(value) {
+        const question = this.current;
+        if (!question) return;
+
+        const { char, pinyin } = question.charData;
+        let correct;
+        if (this.mode === 'cloze') {
+            correct = value === char;
+        } else if (this.mode === 'tone') {
+            correct = Number(value) === toneOf(pinyin);
+        } else {
+            if (!value.trim()) return;
+            correct = pinyinMatches(value, pinyin);
+        }
+
+        question.result = correct ? 'correct' : 'wrong';
+        const stone = this.getStone(question);
+        stone?.classList.remove('quiz-blank', 'quiz-blank-pinyin');
+        stone?.classList.add(correct ? 'quiz-correct' : 'quiz-wrong');
+        this.feedback.textContent = correct
+            ? `✓ ${char} ${pinyin || ''}`
+            : `✗ ${char} is ${pinyin || ''}${this.mode === 'tone' ? ` (tone ${toneOf(pinyin)})` : ''}`;
+
+        this.recordScore();
+        this.ask(this.questions.find(q => q.result === null) || null);
+    }
+
+    /**
+     * Store this verse's score in StateManager (quizScores[verseIdx])
+     */
+    recordScore() {
+        if (this.verseIdx === null || this.questions.length === 0) return;
+        const verse = this.songData.verses[this.verseIdx];
+        const count = (result) => this.questions.filter(q => q.result === result).length;
+        const score = {
+            verseIdx: this.verseIdx,
+            text: verse.characters.map(c => c.char).join(''),
+            total: this.questions.length,
+            correct: count('correct'),
+            wrong: count('wrong'),
+            missed: count(null)
+        };
+        this.state.setState({ quizScores: { ...this.state.state.quizScores, [this.verseIdx]: score } });
+    }
+
+    /**
+     * Per-verse summary (end of song)
+     */
+    showSummary() {
+        if (!this.mode) return;
+        this.clearVerse();
+        this.ask(null);
+
+        const scores = Object.values(this.state.state.quizScores || {}).sort((a, b) => a.verseIdx - b.verseIdx);
+        const total = scores.reduce((sum, s) => sum + s.total, 0);
+        const correct = scores.reduce((sum, s) => sum + s.correct, 0);
+
+        this.summary.innerHTML = '';
+        const heading = document.createElement('div');
+        heading.className = 'quiz-summary-total';
+        heading.textContent = `${QUIZ_MODES[this.mode].label}: ${correct} / ${total} correct`;
+        this.summary.appendChild(heading);
+
+        const list = document.createElement('ol');
+        list.className = 'quiz-summary-list';
+        scores.forEach(score => {
+            const li = document.createElement('li');
+            li.value = score.verseIdx + 1;
+            const text = document.createElement('span');
+            text.className = 'quiz-summary-text';
+            text.textContent = score.text;
+            li.appendChild(text);
+            li.appendChild(document.createTextNode(
+                ` ${score.correct}/${score.total}${score.missed ? ` · ${score.missed} missed` : ''}`
+            ));
+            list.appendChild(li);
+        });
+        this.summary.appendChild(list);
+        this.summary.hidden = false;
+        this.finished = true;
+        this.prompt.textContent = 'Song finished';
+        console.log(`Quiz: ${correct}/${total} correct`);
+    }
+
+    /**
+     * Number keys answer choices (outside text fields)
+     */
+    onKeyDown(e) {
+        if (!this.current || e.target.closest?.('input, textarea, select')) return;
+        const btn = this.choices.querySelectorAll('[data-answer]')[Number(e.key) - 1];
+        if (btn && !e.metaKey && !e.ctrlKey && !e.altKey) {
+            e.preventDefault();
+            e.stopPropagation();
+            this.answer(btn.dataset.answer);
+        }
+    }
+
+    /**
+     * Tear down (song switch)
+     */
+    destroy() {
+        this.setMode(null);
+    }
+}
@@ -0,0 +1,528 @@
+/**
+ * RecordCompare - Record yourself reading or singing a verse and compare it with the song
+ * The original is the verse's segment of the song (first to last character), decoded once
+ * per song; takes are recorded through recorder-worklet.js and kept in IndexedDB. Both show
+ * as waveforms and play back A/B; a session exports as a zip of WAVs with a manifest.
+ */
+
+import { RecordingStore, verseSegment, cutSegment, waveformPeaks, buildSessionArchive } from './recordings.js';
+import { decodeWav } from './wav.js';
+import { svgElement } from './character-popover.js';
+
+const WAVE_WIDTH = 300;  // viewBox units (one bar per 2 units)
+const WAVE_HEIGHT = 60;
+const MAX_TAKE = 30;     // seconds before a recording stops by itself
+const MIN_TAKE = 0.3;    // seconds; shorter takes are discarded
+const AB_GAP = 0.4;      // seconds of silence between A and B
+
+export class RecordCompare {
+    /**
+     * @param {string} songId - Catalog id (takes are stored per song and verse)
+     * @param {Object} songData - Timed song
+     * @param {AudioSyncEngine} audioSync - Source of verse-change
+     * @param {HTMLAudioElement} audio - Song audio (its source is decoded for the original)
+     * @param {HTMLElement} panel - #compare-panel
+     * @param {RecordingStore} store - Saved takes
+     */
+    constructor(songId, songData, audioSync, audio, panel, store = new RecordingStore()) {
+        this.songId = songId;
+        this.songData = songData;
+        this.audioSync = audioSync;
+        this.audio = audio;
+        this.panel = panel;
+        this.store = store;
+
+        this.isActive = false;
+        this.verseIdx = null;
+        this.takes = [];          // stored takes of the verse, oldest first
+        this.selected = null;     // id of the take shown as B
+        this.decoded = new Map(); // take id -> Float32Array
+        this.context = null;      // AudioContext, created on first use
+        this.original = null;     // Promise<AudioBuffer|null>
+        this.recording = null;    // { stream, source, node, chunks, verseIdx, timer }
+        this.recordPending = null; // token while the microphone is starting; stopRecording() cancels it
+        this.playing = null;      // { sources, frame }
+        this.playRequest = 0;     // bumped by stopPlaying() so a play still waiting on audio is dropped
+        this.request = 0;         // ignore verse loads that finish after the verse moved on
+
+        this.handlers = {
+            busy: new Set()
+        };
+
+        this.verseLabel = panel.querySelector('.compare-verse');
+        this.status = panel.querySelector('.compare-status');
+        this.waves = {
+            original: panel.querySelector('[data-wave="original"]'),
+            take: panel.querySelector('[data-wave="take"]')
+        };
+        this.takeList = panel.querySelector('.compare-takes');
+        this.recordBtn = panel.querySelector('[data-action="record"]');
+
+        this.onVerseChange = ({ verseIdx }) => {
+            if (!this.recording && !this.playing) this.setVerse(verseIdx);
+        };
+        this.onClick = this.onClick.bind(this);
+    }
+
+    /**
+     * Show or hide the panel
+     */
+    setActive(active) {
+        if (active === this.isActive) return;
+        this.isActive = active;
+
+        const method = active ? 'on' : 'off';
+        this.audioSync[method]('verse-change', this.onVerseChange);
+        this.panel[active ? 'addEventListener' : 'removeEventListener']('click', this.onClick);
+        this.panel.hidden = !active;
+        console.log(`RecordCompare: ${active ? 'On' : 'Off'}`);
+
+        if (active) {
+            this.setVerse(this.audioSync.currentVerseIdx ?? 0);
+        } else {
+            this.stopPlaying();
+            this.stopRecording();
+        }
+    }
+
+    toggle() {
+        this.setActive(!this.isActive);
+    }
+
+    onClick(e) {
+        const button = e.target.closest('button');
+        if (!button) return;
+        const { action, takeId } = button.dataset;
+        if (action === 'prev') this.setVerse(this.verseIdx - 1);
+        else if (action === 'next') this.setVerse(this.verseIdx + 1);
+        else if (action === 'record') this.recording ? this.stopRecording() : this.startRecording();
+        else if (action === 'play-original') this.play(['original']);
+        else if (action === 'play-take') this.play(['take']);
+        else if (action === 'play-both') this.play(['original', 'take']);
+        else if (action === 'stop') this.stopPlaying();
+        else if (action === 'export') this.exportSession();
+        else if (action === 'select-take') this.selectTake(takeId);
+        else if (action === 'delete-take') this.deleteTake(takeId);
+    }
+
+    /* ---------- Verse & takes ---------- */
+
+    /**
+     * Compare a verse: label, original waveform and its takes
+     */
+    async setVerse(verseIdx) {
+        const verses = this.songData.verses;
+        if (verseIdx < 0 || verseIdx >= verses.length || this.recording) return;
+        this.stopPlaying();
+        this.verseIdx = verseIdx;
+        const request = ++this.request;
+
+        const { start, end } = verseSegment(this.songData, verseIdx);
+        this.verseLabel.textContent = verses[verseIdx].characters.map(c => c.char).join('');
+        this.verseLabel.title = `Verse ${verseIdx + 1} · ${formatTime(start)}–${formatTime(end)}`;
+        this.panel.querySelector('[data-action="prev"]').disabled = verseIdx === 0;
+        this.panel.querySelector('[data-action="next"]').disabled = verseIdx === verses.length - 1;
+
+        let takes = [];
+        let readError = null;
+        try {
+            takes = await this.store.list(this.songId, verseIdx);
+        } catch (err) {
+            console.warn(`RecordCompare: Could not read the takes of verse ${verseIdx + 1}`, err);
+            readError = err;
+        }
+        if (request !== this.request) return;
+        this.takes = takes;
+        this.selected = this.takes.at(-1)?.id ?? null;
+        this.renderTakes();
+        this.drawWave('take', this.selectedSamples());
+        if (readError) this.setStatus(`Could not read the takes: ${readError.message}`);
+
+        this.drawWave('original', null);
+        const buffer = await this.loadOriginal();
+        if (request !== this.request) return;
+        this.drawWave('original', buffer ? this.originalSamples(buffer) : null);
+        if (!buffer && !readError) this.setStatus('The song audio could not be decoded; only your takes can be played');
+    }
+
+    renderTakes() {
+        this.takeList.innerHTML = '';
+        this.takes.forEach((take, idx) => {
+            const item = document.createElement('li');
+            const select = document.createElement('button');
+            select.className = 'compare-take';
+            select.dataset.action = 'select-take';
+            select.dataset.takeId = take.id;
+            select.setAttribute('aria-pressed', String(take.id === this.selected));
+            select.textContent = `Take ${idx + 1} · ${take.duration.toFixed(1)} s · ${new Date(take.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+            const remove = document.createElement('button');
+            remove.className = 'compare-take-delete';
+            remove.dataset.action = 'delete-take';
+            remove.dataset.takeId = take.id;
+            remove.setAttribute('aria-label', `Delete take ${idx + 1}`);
+            remove.textContent = '×';
+            item.append(select, remove);
+            this.takeList.appendChild(item);
+        });
+        this.panel.querySelectorAll('[data-action="play-take"], [data-action="play-both"]')
+            .forEach(button => { button.disabled = this.selected === null; });
+        if (!this.recording) {
+            this.setStatus(this.takes.length ? '' : 'No takes for this verse yet — press Record');
+        }
+    }
+
+    selectTake(id) {
+        if (!this.takes.some(take => take.id === id)) return;
+        this.stopPlaying();
+        this.selected = id;
+        this.renderTakes();
+        this.drawWave('take', this.selectedSamples());
+    }
+
+    async deleteTake(id) {
+        this.stopPlaying();
+        try {
+            await this.store.delete(id);
+        } catch (err) {
+            console.warn('RecordCompare: Could not delete the take', err);
+            this.setStatus(`Could not delete the take: ${err.message}`);
+            return;
+        }
+        this.decoded.delete(id);
+        this.takes = this.takes.filter(take => take.id !== id);
+        if (this.selected === id) this.selected = this.takes.at(-1)?.id ?? null;
+        this.renderTakes();
+        this.drawWave('take', this.selectedSamples());
+    }
+
+    /**
+     * Samples of the selected take (decoded from its WAV once)
+     */
+    selectedSamples() {
+        const take = this.takes.find(t => t.id === this.selected);
+        if (!take) return null;
+        if (!this.decoded.has(take.id)) this.decoded.set(take.id, decodeWav(take.wav).samples);
+        return this.decoded.get(take.id);
+    }
+
+    /* ---------- Original audio ---------- */
+
+    getContext() {
+        if (!this.context) this.context = new AudioContext();
+        return this.context;
+    }
+
+    /**
+     * Decode the song audio once (null when it can't be fetched or decoded)
+     * @returns {Promise<AudioBuffer|null>}
+     */
+    loadOriginal() {
+        if (!this.original) {
+            this.original = (async () => {
+                const response = await fetch(this.audio.currentSrc || this.audio.src);
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return this.getContext().decodeAudioData(await response.arrayBuffer());
+            })().catch(err => {
+                console.warn('RecordCompare: Could not decode the song audio', err);
+                return null;
+            });
+        }
+        return this.original;
+    }
+
+    originalSamples(buffer, verseIdx = this.verseIdx) {
+        const { start, end } = verseSegment(this.songData, verseIdx);
+        return cutSegment(channelsOf(buffer), buffer.sampleRate, start, end);
+    }
+
+    /* ---------- Recording ---------- */
+
+    /**
+     * Record a take of the current verse through the pcm-recorder AudioWorklet
+     */
+    async startRecording() {
+        if (this.recording || this.recordPending) return;
+        const pending = {};
+        this.recordPending = pending;
+        this.stopPlaying();
+        this.emit('busy');
+        const verseIdx = this.verseIdx;
+        let stream = null;
+        try {
+            stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+            const context = this.getContext();
+            await context.resume();
+            await context.audioWorklet.addModule(new URL('./recorder-worklet.js', import.meta.url));
+            // Stopped (or the mode closed) while the browser was asking
+            if (this.recordPending !== pending) {
+                stream.getTracks().forEach(track => track.stop());
+                return;
+            }
+            const node = new AudioWorkletNode(context, 'pcm-recorder', { numberOfInputs: 1, numberOfOutputs: 0 });
+            const chunks = [];
+            node.port.onmessage = (e) => chunks.push(e.data);
+            const source = context.createMediaStreamSource(stream);
+            source.connect(node);
+
+            this.recording = {
+                stream, source, node, chunks, verseIdx,
+                timer: setTimeout(() => this.stopRecording(), MAX_TAKE * 1000)
+            };
+            this.recordBtn.textContent = 'Stop';
+            this.recordBtn.classList.add('recording');
+            this.setStatus(`Recording verse ${verseIdx + 1}…`);
+        } catch (err) {
+            // The context is shared with playback, so only the microphone is let go
+            stream?.getTracks().forEach(track => track.stop());
+            console.warn('RecordCompare: Microphone unavailable', err);
+            if (this.recordPending === pending) this.setStatus(`Microphone unavailable: ${err.message}`);
+        } finally {
+            if (this.recordPending === pending) this.recordPending = null;
+        }
+    }
+
+    /**
+     * Stop recording and save the take
+     */
+    async stopRecording() {
+        this.recordPending = null;
+        const recording = this.recording;
+        if (!recording) return;
+        this.recording = null;
+        clearTimeout(recording.timer);
+        recording.source.disconnect();
+        recording.node.port.onmessage = null;
+        recording.stream.getTracks().forEach(track => track.stop());
+        this.recordBtn.textContent = 'Record';
+        this.recordBtn.classList.remove('recording');
+
+        const sampleRate = this.context.sampleRate;
+        const samples = concatSamples(recording.chunks);
+        if (samples.length < MIN_TAKE * sampleRate) {
+            this.setStatus('Too short to keep — record again');
+            return;
+        }
+        let take;
+        try {
+            take = await this.store.add({ songId: this.songId, verseIdx: recording.verseIdx, samples, sampleRate });
+        } catch (err) {
+            console.warn('RecordCompare: Could not save the take', err);
+            this.setStatus(`Could not save the take: ${err.message}`);
+            return;
+        }
+        console.log(`RecordCompare: Saved ${take.duration.toFixed(1)} s take of verse ${recording.verseIdx + 1}`);
+        if (recording.verseIdx !== this.verseIdx || !this.isActive) return;
+        this.takes.push(take);
+        this.decoded.set(take.id, samples);
+        this.selected = take.id;
+        this.renderTakes();
+        this.drawWave('take', samples);
+        this.setStatus(`Saved take ${this.takes.length}`);
+    }
+
+    /* ---------- Playback ---------- */
+
+    /**
+     * Play the original (A), the selected take (B) or both one after the other
+     * @param {Array<'original'|'take'>} order - What to play
+     */
+    async play(order) {
+        this.stopPlaying();
+        this.emit('busy');
+        const request = this.playRequest;
+        const context = this.getContext();
+        await context.resume();
+        if (request !== this.playRequest || !this.isActive) return;
+        const buffer = order.includes('original') ? await this.loadOriginal() : null;
+        if (request !== this.playRequest || !this.isActive) return;
+
+        const clips = order.map(which => {
+            if (which === 'original') {
+                if (!buffer) return null;
+                const { start, end } = verseSegment(this.songData, this.verseIdx);
+                return { which, buffer, offset: start, duration: end - start };
+            }
+            const samples = this.selectedSamples();
+            if (!samples) return null;
+            const take = context.createBuffer(1, samples.length, this.takes.find(t => t.id === this.selected).sampleRate);
+            take.copyToChannel(samples, 0);
+            return { which, buffer: take, offset: 0, duration: take.duration };
+        }).filter(Boolean);
+        if (!clips.length) return;
+
+        // Schedule the clips back to back on the context clock
+        let at = context.currentTime + 0.05;
+        const playing = { sources: [], clips: [], frame: null };
+        clips.forEach(clip => {
+            const source = context.createBufferSource();
+            source.buffer = clip.buffer;
+            source.connect(context.destination);
+            source.start(at, clip.offset, clip.duration);
+            playing.sources.push(source);
+            playing.clips.push({ ...clip, at });
+            at += clip.duration + AB_GAP;
+        });
+        playing.sources.at(-1).onended = () => {
+            if (this.playing === playing) this.stopPlaying();
+        };
+        this.playing = playing;
+        this.panel.classList.add('compare-playing');
+        this.tick();
+    }
+
+    /**
+     * Move the playhead of whichever clip is sounding
+     */
+    tick() {
+        const playing = this.playing;
+        if (!playing) return;
+        const now = this.context.currentTime;
+        playing.clips.forEach(({ which, at, duration }) => {
+            const progress = now >= at && now < at + duration ? (now - at) / duration : null;
+            this.drawPlayhead(which, progress);
+        });
+        playing.frame = requestAnimationFrame(() => this.tick());
+    }
+
+    stopPlaying() {
+        this.playRequest++;
+        const playing = this.playing;
+        if (!playing) return;
+        this.playing = null;
+        cancelAnimationFrame(playing.frame);
+        playing.sources.forEach(source => {
+            source.onended = null;
+            try { source.stop(); } catch { /* already stopped */ }
+        });
+        this.drawPlayhead('original', null);
+        this.drawPlayhead('take', null);
+        this.panel.classList.remove('compare-playing');
+    }
+
+    /* ---------- Waveforms ---------- */
+
+    /**
+     * Draw samples as mirrored bars, scaled to their loudest peak
+     */
+    drawWave(which, samples) {
+        const svg = this.waves[which];
+        svg.innerHTML = '';
+        svg.setAttribute('viewBox', `0 0 ${WAVE_WIDTH} ${WAVE_HEIGHT}`);
+        svg.classList.toggle('empty', !samples?.length);
+        if (!samples?.length) return;
+
+        const peaks = waveformPeaks(samples, WAVE_WIDTH / 2);
+        const loudest = Math.max(0.05, ...peaks.map(p => Math.max(p.max, -p.min)));
+        const mid = WAVE_HEIGHT / 2;
+        const d = peaks.map(({ min, max }, i) => {
+            const top = mid - (max / loudest) * (mid - 1);
+            const bottom = mid - (min / loudest) * (mid - 1);
+            return `M${i * 2 + 1} ${top.toFixed(1)}V${Math.max(bottom, top + 0.5).toFixed(1)}`;
+        }).join('');
+        svgElement(svg, 'path', { class: 'compare-wave-line', d });
+    }
+
+    drawPlayhead(which, progress) {
+        const svg = this.waves[which];
+        let line = svg.querySelector('.compare-playhead');
+        if (progress === null) {
+            line?.remove();
+            return;
+        }
+        if (!line) line = svgElement(svg, 'line', { class: 'compare-playhead', y1: 0, y2: WAVE_HEIGHT });
+        const x = (progress * WAVE_WIDTH).toFixed(1);
+        line.setAttribute('x1', x);
+        line.setAttribute('x2', x);
+    }
+
+    /* ---------- Export ---------- */
+
+    /**
+     * Download every take of the song with the original verse segments as a zip
+     */
+    async exportSession() {
+        let recordings;
+        try {
+            recordings = await this.store.list(this.songId);
+        } catch (err) {
+            console.warn('RecordCompare: Could not read the takes to export', err);
+            this.setStatus(`Could not export: ${err.message}`);
+            return;
+        }
+        if (!recordings.length) {
+            this.setStatus('No takes to export yet');
+            return;
+        }
+        const buffer = await this.loadOriginal();
+        const original = buffer ? { channels: channelsOf(buffer), sampleRate: buffer.sampleRate } : null;
+        const { zip, manifest } = buildSessionArchive(this.songData, this.songId, recordings, original);
+        download(`${this.songId}-practice.zip`, zip, 'application/zip');
+        this.setStatus(`Exported ${recordings.length} take${recordings.length === 1 ? '' : 's'} from ${manifest.verses.length} verse${manifest.verses.length === 1 ? '' : 's'}`);
+    }
+
+    setStatus(text) {
+        this.status.textContent = text;
+    }
+
+    /**
+     * Tear down (song switch)
+     */
+    destroy() {
+        this.setActive(false);
+        this.context?.close();
+        this.context = null;
+        Object.values(this.handlers).forEach(set => set.clear());
+    }
+
+    /**
+     * Event emitter
+     */
+    on(event, callback) {
+        if (this.handlers[event]) {
+            this.handlers[event].add(callback);
+        }
+    }
+
+    off(event, callback) {
+        if (this.handlers[event]) {
+            this.handlers[event].delete(callback);
+        }
+    }
+
+    emit(event, data) {
+        if (this.handlers[event]) {
+            this.handlers[event].forEach(callback => {
+                callback(data);
+            });
+        }
+    }
+}
+
+function channelsOf(buffer) {
+    return Array.from({ length: buffer.numberOfChannels }, (_, ch) => buffer.getChannelData(ch));
+}
+
+function concatSamples(chunks) {
+    const out = new Float32Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+    let offset = 0;
+    chunks.forEach(chunk => {
+        out.set(chunk, offset);
+        offset += chunk.length;
+    });
+    return out;
+}
+
+function formatTime(seconds) {
+    const m = Math.floor(seconds / 60);
+    return `${m}:${(seconds - m * 60).toFixed(1).padStart(4, '0')}`;
+}
+
+function download(filename, data, type) {
+    const url = URL.createObjectURL(new Blob([data], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    console.log(`RecordCompare: Exported ${filename}`);
+}
@@ -0,0 +1,14 @@
+/**
+ * PcmRecorderProcessor - AudioWorklet that hands the microphone's raw samples to the page
+ * Posts a copy of every render quantum (the input buffers are reused by the audio thread).
+ */
+
+class PcmRecorderProcessor extends AudioWorkletProcessor {
+    process(inputs) {
+        const samples = inputs[0]?.[0];
+        if (samples) this.port.postMessage(samples.slice());
+        return true;
+    }
+}
+
+registerProcessor('pcm-recorder', PcmRecorderProcessor);
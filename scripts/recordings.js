@@ -0,0 +1,161 @@
+/**
+ * Recordings - Learner recordings of single verses, kept per song in IndexedDB
+ * Also the DOM-free pieces of record-and-compare: cutting a verse out of the song,
+ * waveform peaks and the session export (a zip of WAVs with a JSON manifest).
+ */
+
+import { IdbStore } from './idb-store.js';
+import { encodeWav } from './wav.js';
+import { createZip } from './zip.js';
+
+const LAST_SYLLABLE = 1.5; // seconds kept after the last character when it has no explicit end
+
+/**
+ * Original audio segment for a verse: its first character to the end of its last one
+ * The last character ends at its `end` (or `time + duration`); without one it gets
+ * LAST_SYLLABLE seconds, stopping short of the next verse.
+ * @returns {{ start: number, end: number }}
+ */
+export function verseSegment(songData, verseIdx) {
+    const verses = songData.verses;
+    const timed = verses[verseIdx].characters.filter(c => typeof c.time === 'number');
+    const first = timed.reduce((a, b) => (b.time < a.time ? b : a));
+    const last = timed.reduce((a, b) => (b.time > a.time ? b : a));
+    const nextFirst = verses[verseIdx + 1]?.characters[0]?.time;
+
+    let end = typeof last.end === 'number'
+        ? last.end
+        : typeof last.duration === 'number' ? last.time + last.duration : last.time + LAST_SYLLABLE;
+    if (typeof last.end !== 'number' && typeof nextFirst === 'number') end = Math.min(end, nextFirst);
+    return { start: first.time, end: Math.max(end, last.time) };
+}
+
+/**
+ * Mono samples of a time range, mixing the channels down (clamped to the audio)
+ * @param {Float32Array[]} channels - Samples of each channel (AudioBuffer.getChannelData)
+ * @param {number} sampleRate - Samples per second
+ * @returns {Float32Array}
+ */
+export function cutSegment(channels, sampleRate, start, end) {
+    const from = Math.max(0, Math.floor(start * sampleRate));
+    const to = Math.min(channels[0].length, Math.ceil(end * sampleRate));
+    const out = new Float32Array(Math.max(0, to - from));
+    channels.forEach(data => {
+        for (let i = 0; i < out.length; i++) out[i] += data[from + i] / channels.length;
+    });
+    return out;
+}
+
+/**
+ * Loudest sample above and below zero in each of `buckets` equal slices
+ * @returns {Array<{ min: number, max: number }>}
+ */
+export function waveformPeaks(samples, buckets) {
+    const peaks = [];
+    const size = samples.length / buckets;
+    for (let b = 0; b < buckets; b++) {
+        let min = 0;
+        let max = 0;
+        const end = Math.min(samples.length, Math.ceil((b + 1) * size));
+        for (let i = Math.floor(b * size); i < end; i++) {
+            if (samples[i] < min) min = samples[i];
+            if (samples[i] > max) max = samples[i];
+        }
+        peaks.push({ min, max });
+    }
+    return peaks;
+}
+
+/**
+ * Verse text for file listings and the manifest
+ */
+function verseText(songData, verseIdx) {
+    return songData.verses[verseIdx].characters.map(c => c.char).join('');
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Zip a practice session: every take of the song plus the original segment of each verse
+ * @param {Object} songData - Timed song
+ * @param {string} songId - Catalog id
+ * @param {Array} recordings - Stored recordings (RecordingStore records)
+ * @param {Object} [original] - { channels, sampleRate } of the decoded song audio, when available
+ * @param {Date} [now] - Export time
+ * @returns {{ files: Array<{ name: string, data: * }>, manifest: Object, zip: Uint8Array }}
+ */
+export function buildSessionArchive(songData, songId, recordings, original = null, now = new Date()) {
+    const files = [];
+    const byVerse = new Map();
+    [...recordings]
+        .sort((a, b) => a.verseIdx - b.verseIdx || a.createdAt - b.createdAt)
+        .forEach(recording => {
+            if (!byVerse.has(recording.verseIdx)) byVerse.set(recording.verseIdx, []);
+            byVerse.get(recording.verseIdx).push(recording);
+        });
+
+    const verses = [...byVerse].map(([verseIdx, takes]) => {
+        const name = `verse-${pad(verseIdx + 1)}`;
+        const { start, end } = verseSegment(songData, verseIdx);
+        const entry = { verse: verseIdx + 1, text: verseText(songData, verseIdx), start, end, original: null, takes: [] };
+
+        if (original) {
+            entry.original = `original/${name}.wav`;
+            const segment = cutSegment(original.channels, original.sampleRate, start, end);
+            files.push({ name: entry.original, data: encodeWav(segment, original.sampleRate) });
+        }
+        takes.forEach((take, idx) => {
+            const file = `takes/${name}-take-${pad(idx + 1)}.wav`;
+            files.push({ name: file, data: take.wav });
+            entry.takes.push({ file, recordedAt: new Date(take.createdAt).toISOString(), duration: take.duration });
+        });
+        return entry;
+    });
+
+    const manifest = {
+        song: { id: songId, title: songData.metadata?.title || songId, artist: songData.metadata?.artist || '' },
+        exportedAt: now.toISOString(),
+        verses
+    };
+    files.unshift({ name: 'manifest.json', data: JSON.stringify(manifest, null, 2) });
+    return { files, manifest, zip: createZip(files, now) };
+}
+
+export class RecordingStore {
+    constructor(store = new IdbStore('recordings')) {
+        this.store = store;
+    }
+
+    /**
+     * Save a take
+     * @param {Object} take - { songId, verseIdx, samples: Float32Array, sampleRate }
+     * @returns {Promise<Object>} The stored record (the audio kept as a 16-bit WAV)
+     */
+    async add({ songId, verseIdx, samples, sampleRate }, now = Date.now()) {
+        const record = {
+            id: `${songId}:${verseIdx}:${now}`,
+            songId,
+            verseIdx,
+            createdAt: now,
+            sampleRate,
+            duration: samples.length / sampleRate,
+            wav: encodeWav(samples, sampleRate)
+        };
+        await this.store.put(record);
+        return record;
+    }
+
+    /**
+     * Takes of a song, oldest first (optionally of one verse)
+     */
+    async list(songId, verseIdx = null) {
+        const all = await this.store.getAll();
+        return all
+            .filter(r => r.songId === songId && (verseIdx === null || r.verseIdx === verseIdx))
+            .sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    async delete(id) {
+        return this.store.delete(id);
+    }
+}
@@ -0,0 +1,214 @@
+/**
+ * ReviewSession - Flashcard review dialog
+ * Pick a deck, recall the card, reveal it and grade how well you remembered
+ */
+
+import { GRADES } from './srs.js';
+import { ModalDialog } from './modal-dialog.js';
+
+const NEW_PER_SESSION = 20; // never-reviewed cards introduced per session
+
+export class ReviewSession {
+    /**
+     * @param {HTMLElement} overlay - #review-overlay
+     * @param {FlashcardStore} flashcards - Card storage
+     */
+    constructor(overlay, flashcards) {
+        this.overlay = overlay;
+        this.dialog = new ModalDialog(overlay);
+        this.flashcards = flashcards;
+        this.decks = [];       // { id, label, load: () => Promise<items> }
+        this.queue = [];
+        this.current = null;
+        this.revealed = false;
+        this.reviewed = 0;
+
+        this.deckList = overlay.querySelector('.review-decks');
+        this.card = overlay.querySelector('.review-card');
+        this.front = overlay.querySelector('.review-front');
+        this.back = overlay.querySelector('.review-back');
+        this.actions = overlay.querySelector('.review-actions');
+        this.status = overlay.querySelector('.review-status');
+
+        this.onKeyDown = this.onKeyDown.bind(this);
+
+        this.deckList.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-deck]');
+            if (btn) this.start(btn.dataset.deck);
+        });
+        this.actions.addEventListener('click', (e) => {
+            const btn = e.target.closest('button');
+            if (!btn) return;
+            if (btn.dataset.action === 'reveal') this.reveal();
+            if (btn.dataset.quality) this.grade(Number(btn.dataset.quality));
+        });
+        overlay.querySelector('.settings-close').addEventListener('click', () => this.close());
+    }
+
+    get isOpen() {
+        return this.dialog.isOpen;
+    }
+
+    /**
+     * Show the deck picker
+     * @param {Array<{ id: string, label: string, load: Function }>} decks
+     */
+    async open(decks) {
+        this.decks = decks;
+        this.dialog.open();
+        document.addEventListener('keydown', this.onKeyDown, true);
+        await this.renderDecks();
+    }
+
+    close() {
+        this.dialog.close();
+        document.removeEventListener('keydown', this.onKeyDown, true);
+        this.queue = [];
+        this.current = null;
+    }
+
+    async renderDecks() {
+        let cards;
+        try {
+            cards = await this.flashcards.getCards();
+        } catch (err) {
+            console.error('ReviewSession: Could not read the decks', err);
+            this.deckList.hidden = true;
+            this.card.hidden = true;
+            this.actions.innerHTML = '';
+            this.status.textContent = 'Could not read your decks.';
+            this.addButton('Try again', () => this.renderDecks());
+            return;
+        }
+        const now = Date.now();
+        this.deckList.innerHTML = '';
+        this.decks.forEach(deck => {
+            const inDeck = cards.filter(card => card.decks.includes(deck.id));
+            const due = inDeck.filter(card => card.due <= now).length;
+            const btn = document.createElement('button');
+            btn.className = 'ctrl review-deck';
+            btn.dataset.deck = deck.id;
+            btn.textContent = inDeck.length > 0
+                ? `${deck.label} · ${due} due of ${inDeck.length}`
+                : deck.label;
+            this.deckList.appendChild(btn);
+        });
+        this.deckList.hidden = false;
+        this.card.hidden = true;
+        this.actions.innerHTML = '';
+        this.status.textContent = this.decks.length > 0 ? 'Choose a deck to review.' : 'No decks yet.';
+    }
+
+    /**
+     * Start reviewing a deck (fills it from its source first)
+     */
+    async start(deckId) {
+        const deck = this.decks.find(d => d.id === deckId);
+        if (!deck) return;
+        try {
+            await this.flashcards.addToDeck(deck.id, await deck.load());
+        } catch (err) {
+            console.error(`ReviewSession: Could not load deck ${deckId}`, err);
+            this.status.textContent = `Could not load ${deck.label}.`;
+            return;
+        }
+
+        let due;
+        try {
+            due = await this.flashcards.getDue(deck.id);
+        } catch (err) {
+            console.error(`ReviewSession: Could not read deck ${deckId}`, err);
+            this.status.textContent = `Could not load ${deck.label}.`;
+            return;
+        }
+        const seen = due.filter(card => card.lastReviewed !== null);
+        const fresh = due.filter(card => card.lastReviewed === null).slice(0, NEW_PER_SESSION);
+        this.queue = [...seen, ...fresh];
+        this.reviewed = 0;
+        this.deckList.hidden = true;
+        console.log(`ReviewSession: ${deck.label}, ${this.queue.length} cards`);
+        this.next();
+    }
+
+    next() {
+        this.current = this.queue.shift() || null;
+        this.revealed = false;
+        this.actions.innerHTML = '';
+
+        if (!this.current) {
+            this.card.hidden = true;
+            this.status.textContent = this.reviewed > 0
+                ? `Done — ${this.reviewed} card${this.reviewed === 1 ? '' : 's'} reviewed.`
+                : 'Nothing due in this deck. Come back later!';
+            this.addButton('Decks', () => this.renderDecks());
+            return;
+        }
+
+        this.card.hidden = false;
+        this.front.textContent = this.current.chinese;
+        this.back.hidden = true;
+        this.back.querySelector('.review-pinyin').textContent = this.current.pinyin;
+        this.back.querySelector('.review-meaning').textContent = this.current.meaning;
+        this.status.textContent = `${this.queue.length + 1} left`;
+
+        const reveal = this.addButton('Show answer', null);
+        reveal.dataset.action = 'reveal';
+        reveal.classList.add('ctrl-play');
+    }
+
+    reveal() {
+        if (!this.current || this.revealed) return;
+        this.revealed = true;
+        this.back.hidden = false;
+        this.actions.innerHTML = '';
+        GRADES.forEach((grade, idx) => {
+            const btn = this.addButton(`${grade.label} (${idx + 1})`, null);
+            btn.dataset.quality = String(grade.quality);
+        });
+    }
+
+    async grade(quality) {
+        if (!this.current || !this.revealed) return;
+        let card;
+        try {
+            card = await this.flashcards.review(this.current.id, quality);
+        } catch (err) {
+            // The grade buttons stay up so the card can be graded again
+            console.error(`ReviewSession: Could not save the grade for ${this.current.id}`, err);
+            this.status.textContent = 'Could not save that grade — try again.';
+            return;
+        }
+        this.reviewed++;
+        // Forgotten cards come back later in the same session
+        if (card && quality < 3) this.queue.push(card);
+        this.next();
+    }
+
+    addButton(label, onClick) {
+        const btn = document.createElement('button');
+        btn.className = 'ctrl';
+        btn.textContent = label;
+        if (onClick) btn.addEventListener('click', onClick);
+        this.actions.appendChild(btn);
+        return btn;
+    }
+
+    /**
+     * Space/Enter reveals, 1–4 grade, Escape closes; no key reaches the player behind
+     */
+    onKeyDown(e) {
+        if (!this.isOpen) return;
+        e.stopPropagation();
+
+        if (e.key === 'Escape') {
+            this.close();
+        } else if ((e.key === ' ' || e.key === 'Enter') && this.current && !this.revealed) {
+            this.reveal();
+        } else if (this.revealed && GRADES[Number(e.key) - 1]) {
+            this.grade(GRADES[Number(e.key) - 1].quality);
+        } else if (e.key !== ' ') {
+            return;
+        }
+        e.preventDefault();
+    }
+}
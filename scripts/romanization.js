@@ -0,0 +1,85 @@
+/**
+ * Romanization - Converts between reading systems for display layers
+ * Pinyin → Zhuyin (Bopomofo) for Taiwanese readers; Jyutping comes from the
+ * song data (characters[].jyutping) since Cantonese readings can't be derived.
+ */
+
+import { splitSyllables, parseSyllable, NEUTRAL_TONE } from './pinyin.js';
+
+const INITIALS = {
+    b: 'ㄅ', p: 'ㄆ', m: 'ㄇ', f: 'ㄈ', d: 'ㄉ', t: 'ㄊ', n: 'ㄋ', l: 'ㄌ',
+    g: 'ㄍ', k: 'ㄎ', h: 'ㄏ', j: 'ㄐ', q: 'ㄑ', x: 'ㄒ',
+    zh: 'ㄓ', ch: 'ㄔ', sh: 'ㄕ', r: 'ㄖ', z: 'ㄗ', c: 'ㄘ', s: 'ㄙ'
+};
+
+// Finals in their full (unabbreviated) pinyin spelling, ü written v
+const FINALS = {
+    a: 'ㄚ', o: 'ㄛ', e: 'ㄜ', ai: 'ㄞ', ei: 'ㄟ', ao: 'ㄠ', ou: 'ㄡ',
+    an: 'ㄢ', en: 'ㄣ', ang: 'ㄤ', eng: 'ㄥ', ong: 'ㄨㄥ', er: 'ㄦ',
+    i: 'ㄧ', ia: 'ㄧㄚ', io: 'ㄧㄛ', ie: 'ㄧㄝ', iao: 'ㄧㄠ', iou: 'ㄧㄡ',
+    ian: 'ㄧㄢ', in: 'ㄧㄣ', iang: 'ㄧㄤ', ing: 'ㄧㄥ', iong: 'ㄩㄥ',
+    u: 'ㄨ', ua: 'ㄨㄚ', uo: 'ㄨㄛ', uai: 'ㄨㄞ', uei: 'ㄨㄟ',
+    uan: 'ㄨㄢ', uen: 'ㄨㄣ', uang: 'ㄨㄤ', ueng: 'ㄨㄥ',
+    v: 'ㄩ', ve: 'ㄩㄝ', van: 'ㄩㄢ', vn: 'ㄩㄣ'
+};
+
+// y-/w- spellings of syllables without an initial
+const ZERO_INITIAL = {
+    yi: 'i', ya: 'ia', yo: 'io', ye: 'ie', yao: 'iao', you: 'iou', yan: 'ian',
+    yin: 'in', yang: 'iang', ying: 'ing', yong: 'iong',
+    yu: 'v', yue: 've', yuan: 'van', yun: 'vn',
+    wu: 'u', wa: 'ua', wo: 'uo', wai: 'uai', wei: 'uei', wan: 'uan',
+    wen: 'uen', wang: 'uang', weng: 'ueng'
+};
+
+// Abbreviated finals after an initial (liu, gui, dun, and lue for lüe)
+const CONTRACTED = { iu: 'iou', ui: 'uei', un: 'uen', ue: 've' };
+
+// zhi, chi, shi, ri, zi, ci, si: the i is silent
+const BUZZING = new Set(['zh', 'ch', 'sh', 'r', 'z', 'c', 's']);
+
+export const ZHUYIN_TONE_MARKS = { 1: '', 2: 'ˊ', 3: 'ˇ', 4: 'ˋ', [NEUTRAL_TONE]: '˙' };
+
+/**
+ * Zhuyin for one pinyin syllable
+ * @returns {{ symbols: string, tone: number }|null} null when the syllable isn't valid pinyin
+ */
+export function zhuyinSyllable(syllable) {
+    const { base, tone } = parseSyllable(syllable);
+    let initial = '';
+    let final = ZERO_INITIAL[base];
+
+    if (final === undefined) {
+        initial = ['zh', 'ch', 'sh'].find(i => base.startsWith(i)) || (INITIALS[base[0]] ? base[0] : '');
+        final = base.slice(initial.length);
+        // j, q, x are only followed by ü, which pinyin writes as u
+        if (initial && 'jqx'.includes(initial)) final = final.replace(/^u/, 'v');
+        final = CONTRACTED[final] || final;
+        if (BUZZING.has(initial) && final === 'i') final = '';
+    }
+
+    const symbols = (INITIALS[initial] || '') + (final ? FINALS[final] ?? '' : '');
+    if (!symbols || (final && !FINALS[final])) return null;
+    return { symbols, tone: tone ?? NEUTRAL_TONE };
+}
+
+/**
+ * Zhuyin with its tone mark: the neutral-tone dot goes in front, other marks after
+ */
+export function formatZhuyin({ symbols, tone }) {
+    const mark = ZHUYIN_TONE_MARKS[tone] ?? '';
+    return tone === NEUTRAL_TONE ? `${mark}${symbols}` : `${symbols}${mark}`;
+}
+
+/**
+ * Convert pinyin (tone marks or numbers) to Zhuyin: "míng yuè" → "ㄇㄧㄥˊ ㄩㄝˋ"
+ * Syllables that aren't pinyin are kept as written.
+ */
+export function pinyinToZhuyin(pinyin) {
+    return splitSyllables(pinyin || '')
+        .map(syllable => {
+            const zhuyin = zhuyinSyllable(syllable);
+            return zhuyin ? formatZhuyin(zhuyin) : syllable;
+        })
+        .join(' ');
+}
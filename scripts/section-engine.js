@@ -0,0 +1,112 @@
+/**
+ * SectionEngine - Tracks named song sections (intro, verse, chorus, interlude, outro)
+ * Emits `section-change` as playback crosses section boundaries from metadata.sections
+ */
+
+/**
+ * Visual treatments a section can ask for
+ * - hideLyrics: hide verses and translation instantly while the section plays
+ * - fireflies: 'base' (ambient only) or 'sunrise' (ambient + dense light show)
+ * - bodyClass: class put on <body> for the section's CSS (e.g. the night sky morph)
+ */
+export const SECTION_TREATMENTS = {
+    default: { hideLyrics: false, fireflies: 'base', bodyClass: null },
+    'starry-night': { hideLyrics: true, fireflies: 'sunrise', bodyClass: 'interlude-mode' },
+    'light-show': { hideLyrics: false, fireflies: 'sunrise', bodyClass: null }
+};
+
+/**
+ * Treatment used when a section names none, by section type
+ */
+const TYPE_TREATMENTS = {
+    interlude: 'starry-night'
+};
+
+export const SECTION_TYPES = ['intro', 'verse', 'chorus', 'bridge', 'interlude', 'outro'];
+
+/**
+ * Resolve a section's treatment: preset (explicit, or by type) plus per-section overrides
+ * @param {Object|null} section - Entry from metadata.sections (null = outside every section)
+ * @returns {{ hideLyrics: boolean, fireflies: string, bodyClass: string|null }}
+ */
+export function resolveTreatment(section) {
+    if (!section) return { ...SECTION_TREATMENTS.default };
+    const preset = SECTION_TREATMENTS[section.treatment || TYPE_TREATMENTS[section.type] || 'default'] || SECTION_TREATMENTS.default;
+    const treatment = { ...preset };
+    ['hideLyrics', 'fireflies', 'bodyClass'].forEach(key => {
+        if (section[key] !== undefined) treatment[key] = section[key];
+    });
+    return treatment;
+}
+
+export class SectionEngine {
+    /**
+     * @param {Array} sections - metadata.sections ({ name, type, start, end, treatment })
+     */
+    constructor(sections = []) {
+        this.sections = [...sections].sort((a, b) => a.start - b.start);
+        this.current = null;
+
+        this.handlers = {
+            'section-change': new Set()
+        };
+    }
+
+    /**
+     * Section playing at a given time (null between/outside sections)
+     */
+    sectionAt(time) {
+        return this.sections.find(section => time >= section.start && time < section.end) || null;
+    }
+
+    /**
+     * Check the current time; emits `section-change` when the section differs
+     */
+    update(time) {
+        const section = this.sectionAt(time);
+        if (section === this.current) return;
+
+        const previous = this.current;
+        this.current = section;
+        this.emit('section-change', { section, previous, treatment: resolveTreatment(section) });
+        console.log(`SectionEngine: ${previous?.name ?? '(none)'} → ${section?.name ?? '(none)'} at ${time.toFixed(2)}s`);
+    }
+
+    /**
+     * End time of the last section (a duration hint before audio metadata loads)
+     */
+    get end() {
+        return this.sections.reduce((max, section) => Math.max(max, section.end), 0);
+    }
+
+    /**
+     * Forget the current section and drop subscribers
+     */
+    destroy() {
+        this.current = null;
+        Object.values(this.handlers).forEach(set => set.clear());
+    }
+
+    /**
+     * Event emitter
+     */
+    on(event, callback) {
+        if (this.handlers[event]) {
+            this.handlers[event].add(callback);
+        }
+    }
+
+    off(event, callback) {
+        if (this.handlers[event]) {
+            this.handlers[event].delete(callback);
+        }
+    }
+
+    emit(event, data) {
+        if (this.handlers[event]) {
+            this.handlers[event].forEach(callback => {
+                callback(data);
+            });
+        }
+    }
+}
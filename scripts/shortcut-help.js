@@ -0,0 +1,170 @@
+/**
+ * ShortcutHelp - The `?` overlay listing every keyboard shortcut
+ * Keys can be remapped in place: pick an action's key, then press the new one.
+ * Emits 'change' with the keymap after each remap so the app can save it.
+ */
+
+import { ACTIONS, comboFromEvent, describeCombo } from './keymap.js';
+import { ModalDialog } from './modal-dialog.js';
+
+export class ShortcutHelp {
+    /**
+     * @param {HTMLElement} overlay - #keys-overlay
+     * @param {Keymap} keymap - Bindings shown and edited
+     */
+    constructor(overlay, keymap) {
+        this.overlay = overlay;
+        this.dialog = new ModalDialog(overlay);
+        this.keymap = keymap;
+        this.capturing = null; // action waiting for its new key
+        this.list = overlay.querySelector('.keys-list');
+        this.status = overlay.querySelector('.keys-status');
+
+        this.handlers = {
+            'change': new Set()
+        };
+
+        this.onKeyDown = this.onKeyDown.bind(this);
+
+        this.list.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-action]');
+            if (btn) this.capture(btn.dataset.action);
+        });
+        overlay.querySelector('[data-keys="reset"]').addEventListener('click', () => {
+            this.keymap.reset();
+            this.capturing = null;
+            this.render();
+            this.emit('change', this.keymap);
+        });
+        overlay.querySelector('.settings-close').addEventListener('click', () => this.close());
+        // Clicking the backdrop closes, as in the stone viewer
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) this.close();
+        });
+    }
+
+    get isOpen() {
+        return this.dialog.isOpen;
+    }
+
+    open() {
+        this.capturing = null;
+        this.render();
+        this.dialog.open();
+        document.addEventListener('keydown', this.onKeyDown, true);
+    }
+
+    close() {
+        this.capturing = null;
+        this.dialog.close();
+        document.removeEventListener('keydown', this.onKeyDown, true);
+    }
+
+    toggle() {
+        if (this.isOpen) this.close();
+        else this.open();
+    }
+
+    /**
+     * One row per action, grouped as in ACTIONS
+     */
+    render() {
+        this.list.innerHTML = '';
+        let section = null;
+        ACTIONS.forEach(action => {
+            if (section?.dataset.group !== action.group) {
+                section = document.createElement('div');
+                section.className = 'keys-group';
+                section.dataset.group = action.group;
+                const title = document.createElement('h4');
+                title.className = 'settings-section-title';
+                title.textContent = action.group;
+                section.appendChild(title);
+                this.list.appendChild(section);
+            }
+
+            const row = document.createElement('div');
+            row.className = 'keys-row';
+            const label = document.createElement('span');
+            label.textContent = action.label;
+
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'help-key';
+            btn.dataset.action = action.id;
+            const keys = this.keymap.keysFor(action.id);
+            if (this.capturing === action.id) {
+                btn.textContent = 'Press a key…';
+                btn.classList.add('capturing');
+            } else {
+                btn.textContent = keys.length > 0 ? keys.map(describeCombo).join(' / ') : '—';
+            }
+            btn.setAttribute('aria-label', `${action.label}: ${btn.textContent}. Change key`);
+
+            row.append(label, btn);
+            section.appendChild(row);
+        });
+    }
+
+    /**
+     * Wait for the next key press to become an action's key
+     */
+    capture(action) {
+        this.capturing = action;
+        this.render();
+        this.list.querySelector(`[data-action="${action}"]`)?.focus();
+        this.status.textContent = 'Backspace clears the key, Esc cancels.';
+    }
+
+    /**
+     * While open no key reaches the player: `?` or Esc close, a captured key is bound
+     */
+    onKeyDown(e) {
+        if (!this.isOpen) return;
+        e.stopPropagation();
+        const combo = comboFromEvent(e);
+        if (!combo) return;
+
+        if (this.capturing) {
+            e.preventDefault();
+            const action = this.capturing;
+            this.capturing = null;
+            this.status.textContent = '';
+            if (combo === 'Backspace' || combo === 'Delete') {
+                this.keymap.bind(action, []);
+            } else if (combo !== 'Escape') {
+                this.keymap.bind(action, [combo]);
+                console.log(`ShortcutHelp: ${action} → ${combo}`);
+            }
+            if (combo !== 'Escape') this.emit('change', this.keymap);
+            this.render();
+            this.list.querySelector(`[data-action="${action}"]`)?.focus();
+            return;
+        }
+
+        if (combo === 'Escape' || this.keymap.actionFor(combo) === 'help') {
+            e.preventDefault();
+            this.close();
+        }
+    }
+
+    on(event, callback) {
+        if (this.handlers[event]) {
+            this.handlers[event].add(callback);
+        }
+    }
+
+    off(event, callback) {
+        if (this.handlers[event]) {
+            this.handlers[event].delete(callback);
+        }
+    }
+
+    emit(event, data) {
+        if (this.handlers[event]) {
+            this.handlers[event].forEach(callback => {
+                callback(data);
+            });
+        }
+    }
+}
@@ -0,0 +1,335 @@
+/**
+ * SingAlong - Karaoke scoring from the microphone or a WAV recording
+ * The microphone goes through pitch-worklet.js; recordings go through analyzeSamples(),
+ * the same PitchTracker/OnsetDetector pipeline. Sung onsets are compared with each
+ * character's `time`: stones get an accuracy tint and a pitch trace is drawn under the verse.
+ */
+
+import { analyzeSamples, scoreOnsets, midiToNoteName } from './pitch.js';
+import { decodeWav } from './wav.js';
+import { verseTimeRange } from './practice-loop.js';
+import { svgElement } from './character-popover.js';
+
+const ONSET_WINDOW = 0.5;  // seconds an onset may be off and still count for a character
+const TRACE_LOW = 45;      // MIDI note at the bottom of the trace (A2)
+const TRACE_HIGH = 81;     // MIDI note at the top (A5)
+const TRACE_WIDTH = 1000;  // viewBox units across one verse
+const TRACE_HEIGHT = 100;
+const MAX_GAP = 0.1;       // seconds between frames before the trace line breaks
+
+/**
+ * Grade for an onset accuracy (0–1)
+ */
+export function singGrade(accuracy) {
+    if (accuracy >= 0.75) return 'good';
+    if (accuracy >= 0.35) return 'fair';
+    return 'miss';
+}
+
+export class SingAlong {
+    /**
+     * @param {Object} songData - Timed song
+     * @param {AudioSyncEngine} audioSync - Source of verse-change / time-update
+     * @param {VerseRenderer} verseRenderer - Stone elements
+     * @param {HTMLAudioElement} audio - Song audio (its clock is the song clock)
+     * @param {StateManager} state - Receives singScores
+     * @param {HTMLElement} panel - #sing-panel
+     * @param {SVGElement} trace - #pitch-trace
+     */
+    constructor(songData, audioSync, verseRenderer, audio, state, panel, trace) {
+        this.songData = songData;
+        this.audioSync = audioSync;
+        this.verseRenderer = verseRenderer;
+        this.audio = audio;
+        this.state = state;
+        this.panel = panel;
+        this.trace = trace;
+
+        this.isActive = false;
+        this.verseIdx = null;
+        this.frames = [];   // { time, midi, level } on the song clock
+        this.onsets = [];   // onset times on the song clock
+        this.mic = null;    // { stream, context, node, latency } while listening
+        this.micPending = null; // token while the microphone is starting; stopMic() cancels it
+
+        this.status = panel.querySelector('.sing-status');
+        this.note = panel.querySelector('.sing-note');
+        this.micBtn = panel.querySelector('[data-action="mic"]');
+        this.fileInput = panel.querySelector('.sing-file');
+
+        this.onVerseChange = this.onVerseChange.bind(this);
+        this.onTimeUpdate = this.onTimeUpdate.bind(this);
+        this.onAnalysis = this.onAnalysis.bind(this);
+        this.onMicClick = () => (this.mic ? this.stopMic() : this.startMic());
+        this.onFile = (e) => {
+            const file = e.target.files?.[0];
+            e.target.value = '';
+            if (file) this.scoreRecording(file);
+        };
+    }
+
+    get isListening() {
+        return this.mic !== null;
+    }
+
+    /**
+     * Show or hide the panel and the pitch trace
+     */
+    setActive(active) {
+        if (active === this.isActive) return;
+        this.isActive = active;
+
+        const method = active ? 'on' : 'off';
+        this.audioSync[method]('verse-change', this.onVerseChange);
+        this.audioSync[method]('time-update', this.onTimeUpdate);
+        const listen = active ? 'addEventListener' : 'removeEventListener';
+        this.micBtn[listen]('click', this.onMicClick);
+        this.fileInput[listen]('change', this.onFile);
+
+        this.panel.hidden = !active;
+        this.trace.hidden = !active;
+        document.body.classList.toggle('sing-mode', active);
+        console.log(`SingAlong: ${active ? 'On' : 'Off'}`);
+
+        if (active) {
+            this.verseIdx = this.audioSync.currentVerseIdx ?? 0;
+            this.state.setState({ singScores: {} });
+            this.setStatus('Start the microphone and sing along, or score a WAV recording');
+            this.render(this.audio.currentTime);
+        } else {
+            this.stopMic();
+            this.clearTints();
+            this.frames = [];
+            this.onsets = [];
+        }
+    }
+
+    toggle() {
+        this.setActive(!this.isActive);
+    }
+
+    /* ---------- Microphone ---------- */
+
+    /**
+     * Listen to the microphone through the pitch-tracker AudioWorklet
+     */
+    async startMic() {
+        if (this.mic || this.micPending) return;
+        const pending = {};
+        this.micPending = pending;
+        let stream = null;
+        let context = null;
+        try {
+            // Raw voice: echo cancellation and noise suppression smear onsets
+            stream = await navigator.mediaDevices.getUserMedia({
+                audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false }
+            });
+            context = new AudioContext();
+            await context.audioWorklet.addModule(new URL('./pitch-worklet.js', import.meta.url));
+            // Stopped (or the mode closed) while the browser was asking
+            if (this.micPending !== pending) {
+                releaseMic(stream, context);
+                return;
+            }
+            const node = new AudioWorkletNode(context, 'pitch-tracker', { numberOfInputs: 1, numberOfOutputs: 0 });
+            node.port.onmessage = (e) => this.onAnalysis(e.data);
+            context.createMediaStreamSource(stream).connect(node);
+
+            // The singer hears the song late by the output latency and is heard late by the input latency
+            const inputLatency = stream.getAudioTracks()[0]?.getSettings().latency || 0;
+            const latency = inputLatency + (context.outputLatency || context.baseLatency || 0);
+            this.mic = { stream, context, node, latency };
+            this.micBtn.textContent = 'Stop microphone';
+            this.setStatus('Listening — sing along with the song');
+            console.log(`SingAlong: Microphone on (latency ${(latency * 1000).toFixed(0)} ms)`);
+        } catch (err) {
+            releaseMic(stream, context);
+            console.warn('SingAlong: Microphone unavailable', err);
+            if (this.micPending === pending) this.setStatus(`Microphone unavailable: ${err.message || err.name}`);
+        } finally {
+            if (this.micPending === pending) this.micPending = null;
+        }
+    }
+
+    stopMic() {
+        this.micPending = null;
+        if (!this.mic) return;
+        const { stream, context, node } = this.mic;
+        node.port.onmessage = null;
+        releaseMic(stream, context);
+        this.mic = null;
+        this.micBtn.textContent = 'Start microphone';
+        this.note.textContent = '';
+        console.log('SingAlong: Microphone off');
+    }
+
+    /**
+     * A frame from the worklet; its times are on the AudioContext clock
+     */
+    onAnalysis({ frame, onset }) {
+        if (!this.mic || this.audio.paused) return;
+        const { context, latency } = this.mic;
+        const rate = this.audio.playbackRate || 1;
+        const toSong = (time) => this.audio.currentTime - (context.currentTime - time + latency) * rate;
+
+        this.frames.push({ time: toSong(frame.time), midi: frame.midi, level: frame.level });
+        if (onset !== null) this.onsets.push(toSong(onset));
+        this.note.textContent = frame.midi === null ? '' : midiToNoteName(frame.midi);
+    }
+
+    /* ---------- Recordings ---------- */
+
+    /**
+     * Score a WAV recording of the whole song sung from the start (time 0 = song time 0)
+     */
+    async scoreRecording(file) {
+        try {
+            const { samples, sampleRate } = decodeWav(await file.arrayBuffer());
+            this.setStatus(`Analyzing ${file.name}…`);
+            const { frames, onsets } = analyzeSamples(samples, sampleRate);
+            this.frames = frames.map(({ time, midi, level }) => ({ time, midi, level }));
+            this.onsets = onsets;
+            this.clearTints();
+            this.state.setState({ singScores: {} });
+
+            this.songData.verses.forEach((_, verseIdx) => this.scoreVerse(verseIdx));
+            this.render(this.audio.currentTime);
+            const scores = Object.values(this.state.state.singScores);
+            const total = scores.reduce((sum, s) => sum + s.total, 0);
+            const onTime = scores.reduce((sum, s) => sum + s.onTime, 0);
+            this.setStatus(`${file.name}: ${onTime} / ${total} characters on time`);
+            console.log(`SingAlong: Scored ${file.name} (${onsets.length} onsets)`);
+        } catch (err) {
+            console.warn('SingAlong: Could not score recording', err);
+            this.setStatus(`Could not read ${file.name}: ${err.message}`);
+        }
+    }
+
+    /* ---------- Following playback ---------- */
+
+    onVerseChange({ verseIdx }) {
+        if (verseIdx === this.verseIdx) return;
+        if (this.isListening && this.verseIdx !== null) this.scoreVerse(this.verseIdx);
+        this.verseIdx = verseIdx;
+
+        // Singing a verse again replaces the previous attempt
+        if (this.isListening) {
+            const { start, end } = verseTimeRange(this.songData, verseIdx);
+            this.frames = this.frames.filter(f => f.time < start || f.time >= end);
+            this.onsets = this.onsets.filter(t => t < start || t >= end);
+            this.clearTints(verseIdx);
+        }
+        this.render(this.audio.currentTime);
+    }
+
+    onTimeUpdate({ currentTime }) {
+        if (this.isListening && this.verseIdx !== null) this.scoreVerse(this.verseIdx, currentTime);
+        this.render(currentTime);
+    }
+
+    /**
+     * Tint a verse's stones by onset accuracy
+     * @param {number} verseIdx - Verse to score
+     * @param {number} now - Song time; characters whose window hasn't closed stay open unless matched
+     */
+    scoreVerse(verseIdx, now = Infinity) {
+        const characters = this.songData.verses[verseIdx].characters;
+        const results = scoreOnsets(characters, this.onsets, { window: ONSET_WINDOW });
+
+        results.forEach((result, charIdx) => {
+            const stone = this.verseRenderer.getCharacterElement(verseIdx, charIdx);
+            const decided = result.onset !== null || now > characters[charIdx].time + ONSET_WINDOW;
+            if (!stone || !decided) return;
+            stone.dataset.sing = singGrade(result.accuracy);
+            stone.style.setProperty('--sing-accuracy', result.accuracy.toFixed(2));
+            const ms = result.error === null ? null : Math.round(result.error * 1000);
+            stone.title = ms === null ? 'Missed' : ms === 0 ? 'Sung on time' : `Sung ${Math.abs(ms)} ms ${ms < 0 ? 'early' : 'late'}`;
+        });
+
+        const errors = results.filter(r => r.error !== null).map(r => Math.abs(r.error));
+        const score = {
+            verseIdx,
+            total: results.length,
+            onTime: results.filter(r => singGrade(r.accuracy) === 'good').length,
+            missed: results.filter(r => r.onset === null).length,
+            meanError: errors.length ? errors.reduce((a, b) => a + b, 0) / errors.length : null
+        };
+        if (now === Infinity) {
+            this.state.setState({ singScores: { ...this.state.state.singScores, [verseIdx]: score } });
+        }
+        return score;
+    }
+
+    clearTints(verseIdx = null) {
+        const scope = verseIdx === null ? '' : `.verse[data-verse-idx="${verseIdx}"] `;
+        this.verseRenderer.container.querySelectorAll(`${scope}.stone[data-sing]`).forEach(stone => {
+            delete stone.dataset.sing;
+            stone.removeAttribute('title');
+            stone.style.removeProperty('--sing-accuracy');
+        });
+    }
+
+    /* ---------- Pitch trace ---------- */
+
+    /**
+     * Draw the current verse: character ticks, the sung pitch and a playhead
+     */
+    render(currentTime) {
+        if (!this.isActive || this.verseIdx === null) return;
+        const { start, end } = verseTimeRange(this.songData, this.verseIdx);
+        const x = (time) => (((time - start) / (end - start)) * TRACE_WIDTH).toFixed(1);
+        const y = (midi) => {
+            const clamped = Math.max(TRACE_LOW, Math.min(TRACE_HIGH, midi));
+            return (TRACE_HEIGHT - ((clamped - TRACE_LOW) / (TRACE_HIGH - TRACE_LOW)) * TRACE_HEIGHT).toFixed(1);
+        };
+
+        this.trace.innerHTML = '';
+        this.trace.setAttribute('viewBox', `0 0 ${TRACE_WIDTH} ${TRACE_HEIGHT}`);
+        this.songData.verses[this.verseIdx].characters.forEach(({ time }) => {
+            svgElement(this.trace, 'line', { class: 'pitch-tick', x1: x(time), x2: x(time), y1: 0, y2: TRACE_HEIGHT });
+        });
+
+        // One polyline per voiced run
+        let run = [];
+        let lastTime = -Infinity;
+        const flush = () => {
+            if (run.length > 1) svgElement(this.trace, 'polyline', { class: 'pitch-line', points: run.join(' ') });
+            run = [];
+        };
+        this.frames
+            .filter(f => f.time >= start && f.time < end)
+            .sort((a, b) => a.time - b.time)
+            .forEach(frame => {
+                if (frame.midi === null || frame.time - lastTime > MAX_GAP) flush();
+                if (frame.midi !== null) run.push(`${x(frame.time)},${y(frame.midi)}`);
+                lastTime = frame.time;
+            });
+        flush();
+
+        this.onsets.filter(t => t >= start && t < end).forEach(time => {
+            svgElement(this.trace, 'circle', { class: 'pitch-onset', cx: x(time), cy: TRACE_HEIGHT - 4, r: 4 });
+        });
+        if (currentTime >= start && currentTime < end) {
+            svgElement(this.trace, 'line', { class: 'pitch-playhead', x1: x(currentTime), x2: x(currentTime), y1: 0, y2: TRACE_HEIGHT });
+        }
+    }
+
+    setStatus(text) {
+        this.status.textContent = text;
+    }
+
+    /**
+     * Tear down (song switch)
+     */
+    destroy() {
+        this.setActive(false);
+    }
+}
+
+/**
+ * Stop the microphone tracks and close the context (either may not have been made yet)
+ */
+function releaseMic(stream, context) {
+    stream?.getTracks().forEach(track => track.stop());
+    if (context && context.state !== 'closed') context.close();
+}
@@ -0,0 +1,131 @@
+/**
+ * Song Converter - Bridges the word-level gloss format (data/songs/*.json)
+ * and the timed per-character verse format used by AudioSyncEngine
+ *
+ * Word format:  { metadata, lyrics: [{ line, words: [{ chinese, literal, notes }], literal_translation, natural_translation }], notes }
+ * Timed format: { metadata, verses: [{ characters: [{ char, pinyin, meaning, time }], translation, breakAfter, words }] }
+ *
+ * Lines and verses do not line up one-to-one (the sung version repeats stanzas and
+ * splits lines differently), so words are matched against each verse's characters.
+ */
+
+/**
+ * Metadata keys in the word format and their timed-format equivalents
+ */
+const METADATA_KEYS = {
+    title_translation: 'titleEnglish',
+    artist_romanization: 'artistRomanized',
+    poet_translation: 'poetEnglish',
+    dynasty_translation: 'dynastyEnglish',
+    original_poem: 'originalPoem',
+    original_poem_translation: 'originalPoemEnglish',
+    poem_year: 'poemYear'
+};
+
+/**
+ * Flatten lyric lines into one word stream, remembering where each line starts and ends
+ */
+function flattenWords(wordSong) {
+    const words = [];
+    (wordSong.lyrics || []).forEach((line, lineIdx) => {
+        const lineWords = line.words || [];
+        lineWords.forEach((word, idx) => {
+            words.push({
+                ...word,
+                lineIdx,
+                lineStart: idx === 0,
+                lineEnd: idx === lineWords.length - 1
+            });
+        });
+    });
+    return words;
+}
+
+/**
+ * Find a run of whole words, starting at or after `from`, whose text equals `text`
+ * @returns {{ start: number, end: number } | null} Word index range (end exclusive)
+ */
+function matchWordRun(words, text, from) {
+    const tryAt = (start) => {
+        let joined = '';
+        for (let i = start; i < words.length; i++) {
+            joined += words[i].chinese;
+            if (joined === text) return { start, end: i + 1 };
+            if (!text.startsWith(joined)) return null;
+        }
+        return null;
+    };
+
+    // Search forward from the previous match, then wrap (repeated stanzas)
+    for (let i = from; i < words.length; i++) {
+        const run = tryAt(i);
+        if (run) return run;
+    }
+    for (let i = 0; i < Math.min(from, words.length); i++) {
+        const run = tryAt(i);
+        if (run) return run;
+    }
+    return null;
+}
+
+/**
+ * Merge word-level glosses, notes and translations into a timed song
+ * @param {Object} timedSong - Song in the timed verse format
+ * @param {Object} wordSong - Song in the word-level format
+ * @returns {Object} New timed song; verses gain `words` and `literalTranslation`
+ */
+export function mergeWordGlosses(timedSong, wordSong) {
+    const words = flattenWords(wordSong);
+    const lyrics = wordSong.lyrics || [];
+    let cursor = 0;
+
+    const verses = timedSong.verses.map((verse, verseIdx) => {
+        const merged = { ...verse, characters: verse.characters.map(c => ({ ...c })) };
+        const text = verse.characters.map(c => c.char).join('');
+        const run = matchWordRun(words, text, cursor);
+
+        if (!run) {
+            console.warn(`SongConverter: No word match for verse ${verseIdx} (${text})`);
+            return merged;
+        }
+        cursor = run.end;
+
+        let charIdx = 0;
+        merged.words = words.slice(run.start, run.end).map(word => {
+            const length = [...word.chinese].length;
+            const entry = { start: charIdx, length, text: word.chinese, literal: word.literal || '' };
+            if (word.notes) entry.notes = word.notes;
+
+            // Single-character words can fill in a missing character meaning
+            if (length === 1 && !merged.characters[charIdx].meaning && word.literal) {
+                merged.characters[charIdx].meaning = word.literal;
+            }
+            charIdx += length;
+            return entry;
+        });
+
+        // Translations only carry over when the verse covers whole lines
+        const first = words[run.start];
+        const last = words[run.end - 1];
+        if (first.lineStart && last.lineEnd) {
+            const lines = lyrics.slice(first.lineIdx, last.lineIdx + 1);
+            const literal = lines.map(l => l.literal_translation).filter(Boolean).join(' ');
+            const natural = lines.map(l => l.natural_translation).filter(Boolean).join(' ');
+            if (literal) merged.literalTranslation = literal;
+            if (!merged.translation && natural) merged.translation = natural;
+        }
+
+        return merged;
+    });
+
+    const metadata = { ...timedSong.metadata };
+    Object.entries(METADATA_KEYS).forEach(([from, to]) => {
+        if (metadata[to] === undefined && wordSong.metadata?.[from] !== undefined) {
+            metadata[to] = wordSong.metadata[from];
+        }
+    });
+
+    const song = { ...timedSong, metadata, verses };
+    if (wordSong.notes && !song.notes) song.notes = wordSong.notes;
+    return song;
+}
@@ -0,0 +1,214 @@
+/**
+ * SongLibrary - Song catalog and library screen
+ * Reads data/catalog.json, caches song data, renders the song picker list
+ */
+
+import { validateSong, SongValidationError } from './song-schema.js';
+import { mergeWordGlosses } from './song-converter.js';
+
+export class SongLibrary {
+    constructor(catalogUrl = './data/catalog.json') {
+        this.catalogUrl = catalogUrl;
+        this.entries = [];           // [{ id, file, glosses, metadata, error }]
+        this.songCache = new Map();  // Map<id, songData>
+        this.sourceCache = new Map(); // Map<id, songData as stored in its file>
+    }
+    
+    /**
+     * Load the catalog and the metadata of every listed song
+     */
+    async loadCatalog() {
+        const response = await fetch(this.catalogUrl);
+        if (!response.ok) {
+            throw new Error(`SongLibrary: Could not load catalog (${response.status})`);
+        }
+        const catalog = await response.json();
+        
+        this.entries = await Promise.all((catalog.songs || []).map(async (entry) => {
+            try {
+                const song = await this.loadSong(entry.id, entry);
+                return { ...entry, metadata: song.metadata || {}, error: null };
+            } catch (err) {
+                console.warn(`SongLibrary: Skipping ${entry.id}`, err);
+                return { ...entry, metadata: null, error: err };
+            }
+        }));
+        
+        console.log(`SongLibrary: Loaded catalog with ${this.entries.length} songs`);
+        return this.entries;
+    }
+    
+    /**
+     * Get a catalog entry by id
+     */
+    getEntry(id) {
+        return this.entries.find(entry => entry.id === id) || null;
+    }
+    
+    /**
+     * Id of the first playable song in the catalog
+     */
+    get defaultId() {
+        const first = this.entries.find(entry => entry.metadata);
+        return first ? first.id : null;
+    }
+    
+    /**
+     * Load full song data (cached after the first fetch)
+     * @throws {SongValidationError} When the file is missing, not JSON, or fails the schema
+     */
+    async loadSong(id, entry = this.getEntry(id)) {
+        if (this.songCache.has(id)) {
+            return this.songCache.get(id);
+        }
+        if (!entry) {
+            throw new SongValidationError(`song "${id}"`, [{ path: '', message: 'is not listed in the catalog' }]);
+        }
+        if (entry.error) {
+            throw entry.error;
+        }
+        
+        let song = await loadSongFile(entry.file);
+        this.sourceCache.set(id, song);
+        
+        // Optional word-level gloss file (data/songs/*.json format)
+        if (entry.glosses) {
+            song = await this.mergeGlosses(song, entry.glosses);
+        }
+        this.songCache.set(id, song);
+        return song;
+    }
+    
+    /**
+     * Register a song that did not come from the catalog (e.g. an imported LRC/VTT file)
+     * @param {Object} song - Timed song data
+     * @param {string} source - File name shown in the library and in errors
+     * @returns {string} Id of the new entry
+     * @throws {SongValidationError} When the song fails the schema
+     */
+    addSong(song, source) {
+        const errors = validateSong(song);
+        if (errors.length > 0) {
+            throw new SongValidationError(source, errors);
+        }
+        
+        const id = `imported-${this.entries.filter(entry => entry.imported).length + 1}`;
+        this.entries.push({ id, file: source, metadata: song.metadata, error: null, imported: true });
+        this.songCache.set(id, song);
+        this.sourceCache.set(id, song);
+        console.log(`SongLibrary: Imported ${source} as ${id}`);
+        return id;
+    }
+    
+    /**
+     * Song data exactly as stored in its file (before glosses were merged)
+     */
+    getSourceSong(id) {
+        return this.sourceCache.get(id) || null;
+    }
+
+    /**
+     * Every playable song that has been loaded, for lookups across the library
+     * @returns {Array<{ id: string, title: string, song: Object }>}
+     */
+    loadedSongs() {
+        return this.entries
+            .filter(entry => entry.metadata && this.songCache.has(entry.id))
+            .map(entry => ({ id: entry.id, title: entry.metadata.title || entry.id, song: this.songCache.get(entry.id) }));
+    }
+
+    /**
+     * Merge word glosses into a timed song, validating the result
+     */
+    async mergeGlosses(song, glossesUrl) {
+        const response = await fetch(glossesUrl);
+        if (!response.ok) {
+            throw new SongValidationError(glossesUrl, [{ path: '', message: `could not be fetched (HTTP ${response.status})` }]);
+        }
+        let wordSong;
+        try {
+            wordSong = JSON.parse(await response.text());
+        } catch (err) {
+            throw new SongValidationError(glossesUrl, [{ path: '', message: `is not valid JSON (${err.message})` }]);
+        }
+        if (!Array.isArray(wordSong?.lyrics)) {
+            throw new SongValidationError(glossesUrl, [{ path: 'lyrics', message: 'expected array of lyric lines' }]);
+        }
+        
+        const merged = mergeWordGlosses(song, wordSong);
+        const errors = validateSong(merged);
+        if (errors.length > 0) {
+            throw new SongValidationError(glossesUrl, errors);
+        }
+        return merged;
+    }
+    
+    /**
+     * Render the library list; picking a song dispatches `song-select` upward
+     */
+    render(listEl, currentId) {
+        listEl.innerHTML = '';
+        
+        this.entries.forEach(entry => {
+            const li = document.createElement('li');
+            li.className = 'library-item';
+            if (entry.id === currentId) li.classList.add('current');
+            li.dataset.songId = entry.id;
+            
+            const mk = (cls, text) => { const el = document.createElement('div'); el.className = cls; el.textContent = text || ''; return el; };
+            li.addEventListener('click', () => {
+                li.dispatchEvent(new CustomEvent('song-select', { detail: { id: entry.id }, bubbles: true }));
+            });
+            listEl.appendChild(li);
+            
+            // Broken files stay listed so their errors can be inspected
+            if (!entry.metadata) {
+                const count = entry.error?.errors?.length || 1;
+                li.classList.add('invalid');
+                li.appendChild(mk('library-title', entry.file));
+                li.appendChild(mk('library-credits', `${count} problem${count === 1 ? '' : 's'} — click for details`));
+                return;
+            }
+            
+            const { title, titleEnglish, artist, artistRomanized, poet, dynasty } = entry.metadata;
+            li.appendChild(mk('library-title', title));
+            if (titleEnglish) li.appendChild(mk('library-subtitle', titleEnglish));
+            
+            const credits = [];
+            if (artist) credits.push(artistRomanized ? `${artist} (${artistRomanized})` : artist);
+            if (poet) credits.push(dynasty ? `${poet} · ${dynasty}` : poet);
+            li.appendChild(mk('library-credits', credits.join(' — ')));
+        });
+    }
+}
+
+/**
+ * Fetch, parse and validate a song file
+ * @param {string} url - Song JSON location
+ * @returns {Promise<Object>} Song data that passed validateSong()
+ * @throws {SongValidationError} Listing every problem with its JSON path
+ */
+export async function loadSongFile(url) {
+    let response;
+    try {
+        response = await fetch(url);
+    } catch (err) {
+        throw new SongValidationError(url, [{ path: '', message: `could not be fetched (${err.message})` }]);
+    }
+    if (!response.ok) {
+        throw new SongValidationError(url, [{ path: '', message: `could not be fetched (HTTP ${response.status})` }]);
+    }
+    
+    let song;
+    try {
+        song = JSON.parse(await response.text());
+    } catch (err) {
+        throw new SongValidationError(url, [{ path: '', message: `is not valid JSON (${err.message})` }]);
+    }
+    
+    const errors = validateSong(song);
+    if (errors.length > 0) {
+        throw new SongValidationError(url, errors);
+    }
+    return song;
+}
@@ -0,0 +1,253 @@
+/**
+ * Song Schema - Formal description of the song data format and its validator
+ * Reports every problem with a JSON path instead of failing on the first one
+ */
+
+import { SECTION_TREATMENTS, SECTION_TYPES } from './section-engine.js';
+
+/**
+ * Schema for a timed song file (see README "Data Format").
+ * A small JSON-Schema subset: type, required, properties, items, minItems, minimum, minLength, enum.
+ */
+export const SONG_SCHEMA = {
+    type: 'object',
+    required: ['metadata', 'verses'],
+    properties: {
+        metadata: {
+            type: 'object',
+            required: ['title', 'audioFile'],
+            properties: {
+                title: { type: 'string', minLength: 1 },
+                titleRomanized: { type: 'string' },
+                titleEnglish: { type: 'string' },
+                artist: { type: 'string' },
+                artistRomanized: { type: 'string' },
+                poet: { type: 'string' },
+                dynasty: { type: 'string' },
+                audioFile: { type: 'string', minLength: 1 },
+                duration: { type: 'number', minimum: 0 },
+                sections: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['name', 'start', 'end'],
+                        properties: {
+                            name: { type: 'string', minLength: 1 },
+                            type: { type: 'string', enum: SECTION_TYPES },
+                            start: { type: 'number', minimum: 0 },
+                            end: { type: 'number', minimum: 0 },
+                            treatment: { type: 'string', enum: Object.keys(SECTION_TREATMENTS) },
+                            hideLyrics: { type: 'boolean' },
+                            fireflies: { type: 'string', enum: ['base', 'sunrise'] },
+                            bodyClass: { type: 'string' }
+                        }
+                    }
+                }
+            }
+        },
+        verses: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['characters'],
+                properties: {
+                    translation: { type: 'string' },
+                    literalTranslation: { type: 'string' },
+                    breakAfter: { type: 'integer', minimum: 1 },
+                    words: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['start', 'length'],
+                            properties: {
+                                start: { type: 'integer', minimum: 0 },
+                                length: { type: 'integer', minimum: 1 },
+                                text: { type: 'string' },
+                                literal: { type: 'string' },
+                                notes: { type: 'string' }
+                            }
+                        }
+                    },
+                    characters: {
+                        type: 'array',
+                        minItems: 1,
+                        items: {
+                            type: 'object',
+                            required: ['char', 'time'],
+                            properties: {
+                                char: { type: 'string', minLength: 1 },
+                                pinyin: { type: 'string' },
+                                jyutping: { type: 'string' },
+                                meaning: { type: 'string' },
+                                time: { type: 'number', minimum: 0 },
+                                end: { type: 'number', minimum: 0 },
+                                duration: { type: 'number', minimum: 0 }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Thrown by the song loader when a file cannot be used
+ */
+export class SongValidationError extends Error {
+    /**
+     * @param {string} source - File the song came from
+     * @param {Array<{path: string, message: string}>} errors - Every problem found
+     */
+    constructor(source, errors) {
+        super(`${source}: ${errors.length} problem${errors.length === 1 ? '' : 's'} in song data`);
+        this.name = 'SongValidationError';
+        this.source = source;
+        this.errors = errors;
+    }
+}
+
+/**
+ * Describe a value's type the way the schema names them
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value)) return 'non-finite number';
+        return Number.isInteger(value) ? 'integer' : 'number';
+    }
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+}
+
+/**
+ * Validate a value against a schema node, collecting errors
+ * @param {Object} schema - Schema node
+ * @param {*} value - Value to check
+ * @param {string} path - JSON path of the value (e.g. "verses[2].characters[0]")
+ * @param {Array} errors - Accumulator
+ */
+export function validateAgainst(schema, value, path, errors) {
+    if (!matchesType(value, schema.type)) {
+        errors.push({ path, message: `expected ${schema.type}, got ${typeOf(value)}` });
+        return;
+    }
+
+    if (schema.type === 'string' && schema.minLength && value.length < schema.minLength) {
+        errors.push({ path, message: 'must not be empty' });
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path, message: `must be one of ${schema.enum.map(v => `"${v}"`).join(', ')}, got "${value}"` });
+    }
+
+    if ((schema.type === 'number' || schema.type === 'integer') && schema.minimum !== undefined && value < schema.minimum) {
+        errors.push({ path, message: `must be at least ${schema.minimum}, got ${value}` });
+    }
+
+    if (schema.type === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                errors.push({ path: joinPath(path, key), message: 'is required' });
+            }
+        });
+        Object.entries(schema.properties || {}).forEach(([key, child]) => {
+            if (value[key] !== undefined) {
+                validateAgainst(child, value[key], joinPath(path, key), errors);
+            }
+        });
+    }
+
+    if (schema.type === 'array') {
+        if (schema.minItems && value.length < schema.minItems) {
+            errors.push({ path, message: `must contain at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+        }
+        if (schema.items) {
+            value.forEach((item, idx) => validateAgainst(schema.items, item, `${path}[${idx}]`, errors));
+        }
+    }
+}
+
+function joinPath(path, key) {
+    return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Validate song data: schema shape plus rules that span fields
+ * (breakAfter and word groups inside the verse, timestamps never going backwards,
+ * character end times after their start, sections in order and not overlapping)
+ * @param {Object} song - Parsed song JSON
+ * @returns {Array<{path: string, message: string}>} Empty when valid
+ */
+export function validateSong(song) {
+    const errors = [];
+    validateAgainst(SONG_SCHEMA, song, '', errors);
+
+    if (Array.isArray(song?.metadata?.sections)) {
+        let previousEnd = null;
+        song.metadata.sections.forEach((section, idx) => {
+            const path = `metadata.sections[${idx}]`;
+            if (typeof section?.start !== 'number' || typeof section?.end !== 'number') return;
+            if (section.end <= section.start) {
+                errors.push({ path: `${path}.end`, message: `${section.end} must be after start ${section.start}` });
+            }
+            if (previousEnd !== null && section.start < previousEnd) {
+                errors.push({ path: `${path}.start`, message: `${section.start} overlaps the previous section (ends at ${previousEnd})` });
+            }
+            previousEnd = section.end;
+        });
+    }
+
+    if (!Array.isArray(song?.verses)) return errors;
+
+    let previous = null; // { time, path }
+    song.verses.forEach((verse, verseIdx) => {
+        const characters = Array.isArray(verse?.characters) ? verse.characters : [];
+        const versePath = `verses[${verseIdx}]`;
+
+        if (Number.isInteger(verse?.breakAfter) && verse.breakAfter >= characters.length) {
+            errors.push({
+                path: `${versePath}.breakAfter`,
+                message: `is ${verse.breakAfter} but the verse only has ${characters.length} characters`
+            });
+        }
+
+        if (Array.isArray(verse?.words)) {
+            verse.words.forEach((word, wordIdx) => {
+                if (!Number.isInteger(word?.start) || !Number.isInteger(word?.length)) return;
+                if (word.start + word.length > characters.length) {
+                    errors.push({
+                        path: `${versePath}.words[${wordIdx}]`,
+                        message: `covers characters ${word.start}–${word.start + word.length - 1} but the verse only has ${characters.length} characters`
+                    });
+                }
+            });
+        }
+
+        characters.forEach((charData, charIdx) => {
+            const time = charData?.time;
+            if (typeof time !== 'number' || !Number.isFinite(time)) return;
+            const path = `${versePath}.characters[${charIdx}].time`;
+            if (previous && time < previous.time) {
+                errors.push({
+                    path,
+                    message: `${time} comes before ${previous.time} at ${previous.path}; timestamps must not go backwards`
+                });
+            }
+            previous = { time, path };
+
+            if (typeof charData.end === 'number' && charData.end <= time) {
+                errors.push({ path: `${versePath}.characters[${charIdx}].end`, message: `${charData.end} must be after time ${time}` });
+            }
+        });
+    });
+
+    return errors;
+}
@@ -0,0 +1,159 @@
+/**
+ * SRS - Spaced-repetition flashcards (SM-2 scheduling)
+ * Cards are keyed by their Chinese text and can belong to several decks
+ */
+
+import { IdbStore } from './idb-store.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const MIN_EASE = 1.3;
+const START_EASE = 2.5;
+
+/**
+ * Recall grades offered after revealing a card (SM-2 quality 0–5)
+ */
+export const GRADES = [
+    { key: 'again', label: 'Again', quality: 1 },
+    { key: 'hard', label: 'Hard', quality: 3 },
+    { key: 'good', label: 'Good', quality: 4 },
+    { key: 'easy', label: 'Easy', quality: 5 }
+];
+
+/**
+ * Decks built into the app; song decks are added per song as `song:<id>`
+ */
+export const MY_DECK = 'mine';
+export const VOCAB_DECK = 'jiayi-street';
+
+/**
+ * A new, never-reviewed card (due immediately)
+ * @param {{ chinese: string, pinyin?: string, meaning?: string }} item
+ * @param {number} now - Epoch ms
+ */
+export function newCard(item, now = Date.now()) {
+    return {
+        id: item.chinese,
+        chinese: item.chinese,
+        pinyin: item.pinyin || '',
+        meaning: item.meaning || '',
+        decks: [],
+        repetitions: 0,
+        interval: 0,     // days
+        ease: START_EASE,
+        lapses: 0,
+        due: now,
+        lastReviewed: null
+    };
+}
+
+/**
+ * SM-2: next interval and ease after a review
+ * Quality below 3 is a lapse: the card starts over and comes back today.
+ * @param {Object} card - Card to grade (not modified)
+ * @param {number} quality - 0–5
+ * @param {number} now - Epoch ms
+ * @returns {Object} Updated card
+ */
+export function schedule(card, quality, now = Date.now()) {
+    const next = { ...card, lastReviewed: now };
+    next.ease = Math.max(MIN_EASE, card.ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+
+    if (quality < 3) {
+        next.repetitions = 0;
+        next.interval = 0;
+        next.lapses = card.lapses + 1;
+        next.due = now;
+        return next;
+    }
+
+    next.repetitions = card.repetitions + 1;
+    if (next.repetitions === 1) {
+        next.interval = 1;
+    } else if (next.repetitions === 2) {
+        next.interval = 6;
+    } else {
+        next.interval = Math.round(card.interval * next.ease);
+    }
+    next.due = now + next.interval * DAY;
+    return next;
+}
+
+/**
+ * Cards due for review in a deck, most overdue first
+ */
+export function dueCards(cards, deckId, now = Date.now()) {
+    return cards
+        .filter(card => card.due <= now && (!deckId || card.decks.includes(deckId)))
+        .sort((a, b) => a.due - b.due);
+}
+
+/**
+ * Deck items from a song's stones (one per distinct character)
+ */
+export function itemsFromSong(song) {
+    const items = new Map();
+    song.verses.forEach(verse => {
+        verse.characters.forEach(({ char, pinyin, meaning }) => {
+            if (!items.has(char)) items.set(char, { chinese: char, pinyin, meaning });
+        });
+    });
+    return [...items.values()];
+}
+
+/**
+ * Deck items from a vocabulary file ({ lessons: [{ items: [{ chinese, pinyin, english }] }] })
+ */
+export function itemsFromVocab(vocab) {
+    return vocab.lessons.flatMap(lesson => lesson.items.map(item => ({
+        chinese: item.chinese,
+        pinyin: item.pinyin,
+        meaning: item.english
+    })));
+}
+
+export class FlashcardStore {
+    constructor(store = new IdbStore('cards')) {
+        this.store = store;
+    }
+
+    /**
+     * Add items to a deck, creating cards that don't exist yet (review history is kept)
+     * @returns {Promise<number>} Number of cards newly added to the deck
+     */
+    async addToDeck(deckId, items, now = Date.now()) {
+        let added = 0;
+        for (const item of items) {
+            const card = (await this.store.get(item.chinese)) || newCard(item, now);
+            if (card.decks.includes(deckId)) continue;
+            card.decks = [...card.decks, deckId];
+            card.pinyin = card.pinyin || item.pinyin || '';
+            card.meaning = card.meaning || item.meaning || '';
+            await this.store.put(card);
+            added++;
+        }
+        return added;
+    }
+
+    async getCards() {
+        return this.store.getAll();
+    }
+
+    async getDue(deckId, now = Date.now()) {
+        return dueCards(await this.getCards(), deckId, now);
+    }
+
+    /**
+     * Grade a card and save its new schedule
+     */
+    async review(id, quality, now = Date.now()) {
+        const card = await this.store.get(id);
+        if (!card) return null;
+        const next = schedule(card, quality, now);
+        await this.store.put(next);
+        return next;
+    }
+
+    async has(id) {
+        return Boolean(await this.store.get(id));
+    }
+}
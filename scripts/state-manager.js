@@ -12,7 +12,11 @@ export class StateManager {
             isPlaying: false,        // Playback state
             audioTime: 0,            // Current audio time
             duration: 0,             // Total audio duration
-            introComplete: false     // Intro sequence completed
+            introComplete: false,    // Intro sequence completed
+            currentSection: null,    // Name of the song section playing (metadata.sections)
+            quizMode: null,          // Active quiz mode (cloze, typing, tone) or null
+            quizScores: {},          // Quiz score per verse index ({ total, correct, wrong, missed })
+            singScores: {}           // Sing-along score per verse index ({ total, onTime, missed, meanError })
         };
         
         // Observers: Map<key, Set<callback>>
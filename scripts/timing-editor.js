@@ -0,0 +1,319 @@
+/**
+ * TimingEditor - Authoring mode for character timestamps
+ * Tap along with the audio to stamp times, nudge stones, loop a verse, export JSON
+ * Emits 'replay' with the time to play from; the app seeks and starts playback.
+ */
+
+import { validateSong } from './song-schema.js';
+import { toLrc, toEnhancedLrc, toVtt } from './lyric-formats.js';
+import { verseTimeRange } from './practice-loop.js';
+
+// Lyric export formats: file extension, MIME type, writer
+const LYRIC_EXPORTS = {
+    lrc: { ext: 'lrc', type: 'text/plain', write: toLrc },
+    elrc: { ext: 'lrc', type: 'text/plain', write: toEnhancedLrc },
+    vtt: { ext: 'vtt', type: 'text/vtt', write: (song) => toVtt(song, { translation: true }) }
+};
+
+const NUDGE_STEP = 0.05;       // seconds per nudge
+const NUDGE_STEP_LARGE = 0.25; // with Shift
+const REPLAY_PREROLL = 1;      // seconds of lead-in when replaying a stone
+
+export class TimingEditor {
+    /**
+     * @param {HTMLAudioElement} audioElement - Song audio
+     * @param {Object} songData - Song being edited (timestamps are changed in place)
+     * @param {AudioSyncEngine} audioSync - Engine to re-index after edits
+     * @param {VerseRenderer} verseRenderer - Renderer owning the stone elements
+     * @param {HTMLElement} panel - #editor-panel
+     */
+    constructor(audioElement, songData, audioSync, verseRenderer, panel) {
+        this.audio = audioElement;
+        this.songData = songData;
+        this.audioSync = audioSync;
+        this.verseRenderer = verseRenderer;
+        this.panel = panel;
+        this.isActive = false;
+        this.selected = 0;        // index into this.order
+        this.loopVerseIdx = null; // verse being looped, if any
+
+        // Stones in reading order (timestamps may be out of order while authoring)
+        this.order = [];
+        songData.verses.forEach((verse, verseIdx) => {
+            verse.characters.forEach((charData, charIdx) => {
+                this.order.push({ verseIdx, charIdx, charData });
+            });
+        });
+
+        this.handlers = {
+            'replay': new Set()
+        };
+
+        this.onKeyDown = this.onKeyDown.bind(this);
+        this.onTimeUpdate = this.onTimeUpdate.bind(this);
+    }
+
+    /**
+     * Enter authoring mode
+     */
+    activate() {
+        if (this.isActive) return;
+        this.isActive = true;
+        document.body.classList.add('authoring-mode');
+        document.addEventListener('keydown', this.onKeyDown, true);
+        this.audioSync.on('time-update', this.onTimeUpdate);
+        this.panel.hidden = false;
+        this.select(this.selected);
+        console.log('TimingEditor: Activated');
+    }
+
+    /**
+     * Leave authoring mode (edits stay in the loaded song)
+     */
+    deactivate() {
+        if (!this.isActive) return;
+        this.isActive = false;
+        document.body.classList.remove('authoring-mode');
+        document.removeEventListener('keydown', this.onKeyDown, true);
+        this.audioSync.off('time-update', this.onTimeUpdate);
+        this.loopVerseIdx = null;
+        this.panel.hidden = true;
+        this.getSelectedElement()?.classList.remove('editor-selected');
+        console.log('TimingEditor: Deactivated');
+    }
+
+    toggle() {
+        if (this.isActive) this.deactivate(); else this.activate();
+    }
+
+    /**
+     * Select a stone by its reading-order index
+     */
+    select(index) {
+        this.getSelectedElement()?.classList.remove('editor-selected');
+        this.selected = Math.max(0, Math.min(this.order.length - 1, index));
+        const entry = this.order[this.selected];
+        if (entry) {
+            this.verseRenderer.showVerse(entry.verseIdx);
+            this.getSelectedElement()?.classList.add('editor-selected');
+        }
+        this.renderPanel();
+    }
+
+    /**
+     * Select a stone by verse/char position (e.g. from a stone click)
+     */
+    selectStone(verseIdx, charIdx) {
+        const index = this.order.findIndex(e => e.verseIdx === verseIdx && e.charIdx === charIdx);
+        if (index >= 0) this.select(index);
+    }
+
+    getSelectedElement() {
+        const entry = this.order[this.selected];
+        return entry ? this.verseRenderer.getCharacterElement(entry.verseIdx, entry.charIdx) : null;
+    }
+
+    /**
+     * Stamp the selected stone with the current audio time and move on
+     */
+    stamp() {
+        const entry = this.order[this.selected];
+        if (!entry) return;
+        entry.charData.time = round(this.audio.currentTime);
+        this.applyEdit(entry);
+        this.select(this.selected + 1);
+    }
+
+    /**
+     * Shift the selected stone's time by a number of seconds
+     */
+    nudge(seconds) {
+        const entry = this.order[this.selected];
+        if (!entry) return;
+        const time = typeof entry.charData.time === 'number' ? entry.charData.time : 0;
+        entry.charData.time = round(Math.max(0, time + seconds));
+        this.applyEdit(entry);
+        this.renderPanel();
+    }
+
+    /**
+     * Play from just before the selected stone (through the app, so its playback state follows)
+     */
+    replay() {
+        const entry = this.order[this.selected];
+        if (!entry || typeof entry.charData.time !== 'number') return;
+        this.emit('replay', Math.max(0, entry.charData.time - REPLAY_PREROLL));
+    }
+
+    /**
+     * Loop the selected stone's verse (toggle)
+     */
+    toggleVerseLoop() {
+        const entry = this.order[this.selected];
+        this.loopVerseIdx = this.loopVerseIdx === null && entry ? entry.verseIdx : null;
+        if (this.loopVerseIdx !== null) {
+            this.seekAudio(this.getVerseRange(this.loopVerseIdx).start);
+        }
+        this.renderPanel();
+    }
+
+    getVerseRange(verseIdx) {
+        return verseTimeRange(this.songData, verseIdx);
+    }
+
+    onTimeUpdate({ currentTime }) {
+        if (this.loopVerseIdx === null) return;
+        const { start, end } = this.getVerseRange(this.loopVerseIdx);
+        if (currentTime >= end || currentTime < start - 1) {
+            this.seekAudio(start);
+        }
+    }
+
+    seekAudio(time) {
+        this.audio.currentTime = time;
+        this.audioSync.seekTo(time);
+    }
+
+    /**
+     * Push an edited timestamp to the DOM and the sync engine
+     */
+    applyEdit(entry) {
+        const stone = this.verseRenderer.getCharacterElement(entry.verseIdx, entry.charIdx);
+        if (stone) {
+            stone.dataset.time = String(entry.charData.time);
+            stone.classList.add('editor-stamped');
+        }
+        this.audioSync.reindex();
+    }
+
+    onKeyDown(e) {
+        if (e.target.closest?.('input, textarea, select')) return;
+        const step = e.shiftKey ? NUDGE_STEP_LARGE : NUDGE_STEP;
+
+        let handled = true;
+        switch (e.key) {
+            case 't': case 'T': case 'Enter':
+                this.stamp();
+                break;
+            case 'ArrowRight':
+                this.select(this.selected + 1);
+                break;
+            case 'ArrowLeft':
+                this.select(this.selected - 1);
+                break;
+            case '.': case '>':
+                this.nudge(step);
+                break;
+            case ',': case '<':
+                this.nudge(-step);
+                break;
+            case 'r': case 'R':
+                this.replay();
+                break;
+            case 'l': case 'L':
+                this.toggleVerseLoop();
+                break;
+            default:
+                handled = false;
+        }
+        if (handled) {
+            e.preventDefault();
+            e.stopPropagation();
+        }
+    }
+
+    /**
+     * Song with the edited timestamps, shaped like the original file
+     * @param {Object} [sourceSong] - Song as stored on disk (without merged glosses)
+     */
+    getExportData(sourceSong = this.songData) {
+        const song = JSON.parse(JSON.stringify(sourceSong));
+        song.verses.forEach((verse, verseIdx) => {
+            verse.characters.forEach((charData, charIdx) => {
+                charData.time = this.songData.verses[verseIdx].characters[charIdx].time;
+            });
+        });
+        return song;
+    }
+
+    /**
+     * Download the edited song as JSON
+     */
+    exportJson(filename, sourceSong) {
+        const json = JSON.stringify(this.getExportData(sourceSong), null, 2) + '\n';
+        download(filename, json, 'application/json');
+    }
+    
+    /**
+     * Download the edited timings as LRC, Enhanced LRC or WebVTT
+     * @param {string} format - 'lrc' | 'elrc' | 'vtt'
+     * @param {string} basename - File name without extension
+     */
+    exportLyrics(format, basename) {
+        const exporter = LYRIC_EXPORTS[format];
+        if (!exporter) return;
+        const suffix = format === 'elrc' ? '.enhanced' : '';
+        download(`${basename}${suffix}.${exporter.ext}`, exporter.write(this.songData), exporter.type);
+    }
+
+    renderPanel() {
+        const entry = this.order[this.selected];
+        const status = this.panel.querySelector('.editor-status');
+        const problems = this.panel.querySelector('.editor-problems');
+        const loop = this.panel.querySelector('#editor-loop');
+
+        if (entry) {
+            const time = typeof entry.charData.time === 'number' ? `${entry.charData.time.toFixed(2)}s` : '—';
+            status.textContent = `${entry.charData.char}  verse ${entry.verseIdx + 1}, stone ${entry.charIdx + 1} · ${time}`;
+        }
+
+        const errors = validateSong(this.songData).filter(err => err.path.endsWith('.time'));
+        problems.textContent = errors.length > 0
+            ? `${errors.length} timing problem${errors.length === 1 ? '' : 's'}: ${errors[0].path} ${errors[0].message}`
+            : '';
+
+        if (loop) loop.classList.toggle('active', this.loopVerseIdx !== null);
+    }
+
+    /**
+     * Tear down (song switch)
+     */
+    destroy() {
+        this.deactivate();
+        this.verseRenderer.container.querySelectorAll('.editor-stamped').forEach(el => el.classList.remove('editor-stamped'));
+    }
+
+    on(event, callback) {
+        if (this.handlers[event]) {
+            this.handlers[event].add(callback);
+        }
+    }
+
+    off(event, callback) {
+        if (this.handlers[event]) {
+            this.handlers[event].delete(callback);
+        }
+    }
+
+    emit(event, data) {
+        if (this.handlers[event]) {
+            this.handlers[event].forEach(callback => {
+                callback(data);
+            });
+        }
+    }
+}
+
+function download(filename, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    console.log(`TimingEditor: Exported ${filename}`);
+}
+
+function round(time) {
+    return Math.round(time * 100) / 100;
+}
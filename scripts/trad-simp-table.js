@@ -0,0 +1,56 @@
+/**
+ * Traditional → Simplified character table (bundled so conversion works offline)
+ * One "繁简" pair per entry, sorted by the Traditional character. Characters
+ * that are written the same in both scripts are not listed.
+ */
+
+export const TRAD_SIMP_PAIRS = `
+    並并 亂乱 亞亚 來来 係系 倉仓 個个 們们 偉伟 偵侦 傑杰 傘伞 備备 傭佣 傳传 債债 傷伤 傾倾 僅仅 僑侨
+    價价 儀仪 億亿 優优 兇凶 兌兑 兒儿 內内 兩两 凍冻 凱凯 別别 剎刹 剛刚 創创 劃划 劇剧 劉刘 劍剑 劑剂
+    勁劲 動动 務务 勝胜 勞劳 勢势 勳勋 勵励 勸劝 勻匀 匯汇 區区 協协 卻却 厭厌 厲厉 參参 叢丛 吳吴 吶呐
+    員员 唄呗 問问 啞哑 啟启 喪丧 喬乔 單单 嗎吗 嘆叹 嘗尝 嘩哗 嘯啸 噥哝 噴喷 噸吨 嚇吓 嚨咙 嚴严 囑嘱
+    囪囱 國国 圍围 園园 圓圆 圖图 團团 執执 堅坚 堯尧 場场 塊块 塢坞 塵尘 墳坟 墾垦 壇坛 壓压 壞坏 壩坝
+    壯壮 壺壶 壽寿 夠够 夢梦 夥伙 奧奥 奪夺 奮奋 婁娄 婦妇 媽妈 嫵妩 嬋婵 嬌娇 嬰婴 孃娘 孫孙 學学 宮宫
+    實实 寧宁 審审 寫写 寬宽 寵宠 將将 專专 尋寻 對对 導导 尷尴 屆届 層层 屬属 岡冈 島岛 峽峡 崗岗 嶇岖
+    嶺岭 嶼屿 帥帅 師师 帳帐 帶带 幣币 幹干 幾几 廟庙 廠厂 廢废 廣广 廬庐 廳厅 弔吊 張张 彆别 彈弹 彌弥
+    彎弯 後后 徑径 從从 復复 徹彻 悶闷 惱恼 愛爱 態态 慘惨 慣惯 慶庆 憂忧 憐怜 憑凭 憤愤 憲宪 憶忆 懇恳
+    應应 懲惩 懶懒 懷怀 懸悬 懼惧 戀恋 戔戋 戰战 戲戏 戶户 拋抛 捨舍 捲卷 掃扫 掙挣 揀拣 揚扬 換换 揮挥
+    揹背 損损 搖摇 搗捣 搶抢 撥拨 撲扑 擁拥 擇择 擊击 擋挡 擔担 據据 擠挤 擬拟 擲掷 擴扩 擾扰 攏拢 攝摄
+    攤摊 攪搅 敘叙 敵敌 數数 斂敛 斷断 時时 晝昼 暈晕 暉晖 暢畅 暫暂 暱昵 曆历 曉晓 曬晒 書书 會会 朧胧
+    東东 桿杆 條条 棄弃 棗枣 棟栋 棧栈 椏桠 楊杨 業业 極极 榮荣 構构 槍枪 槳桨 樁桩 樂乐 樓楼 標标 樞枢
+    樣样 樸朴 樹树 橋桥 機机 檔档 檢检 檯台 櫃柜 櫥橱 櫻樱 欄栏 權权 歐欧 歟欤 歡欢 歲岁 歷历 歸归 殘残
+    殞殒 殺杀 殼壳 氣气 氫氢 決决 沒没 況况 涇泾 涼凉 淚泪 淨净 淪沦 淵渊 淺浅 減减 湧涌 湯汤 準准 溝沟
+    溫温 滄沧 滅灭 滬沪 滯滞 滲渗 滷卤 滿满 漁渔 漢汉 漲涨 漸渐 漿浆 潑泼 潔洁 潛潜 潤润 澀涩 澆浇 澗涧
+    澤泽 濁浊 濃浓 濕湿 濟济 濤涛 濱滨 瀉泻 瀟潇 瀾澜 灑洒 灕漓 灘滩 灣湾 災灾 為为 烏乌 無无 煉炼 煙烟
+    熱热 燈灯 燉炖 燒烧 燙烫 營营 燦灿 燭烛 爍烁 爐炉 爛烂 爭争 爺爷 爾尔 牆墙 牽牵 犧牺 狀状 狹狭 猙狰
+    猶犹 獃呆 獄狱 獅狮 獎奖 獨独 獲获 獵猎 獸兽 獻献 現现 琺珐 瑣琐 環环 瓊琼 產产 畝亩 畢毕 畫画 異异
+    當当 瘋疯 瘡疮 療疗 癢痒 發发 皺皱 盃杯 盜盗 盞盏 盡尽 監监 盤盘 盧卢 眾众 睏困 睜睁 碩硕 確确 碼码
+    磚砖 礙碍 礦矿 禍祸 禦御 禮礼 禱祷 稅税 稟禀 種种 稱称 穀谷 積积 穩稳 窩窝 窪洼 窮穷 竄窜 競竞 筆笔
+    筍笋 箋笺 節节 範范 築筑 簡简 簫箫 簽签 簾帘 籌筹 粵粤 糞粪 糧粮 糰团 糾纠 紀纪 約约 紅红 紋纹 納纳
+    紐纽 純纯 紗纱 紙纸 級级 紛纷 紡纺 細细 紳绅 紹绍 組组 結结 絕绝 絨绒 絲丝 綁绑 經经 綜综 綠绿 綢绸
+    維维 綱纲 網网 綴缀 綺绮 綿绵 緊紧 緒绪 線线 緞缎 緣缘 緩缓 練练 縛缚 縣县 縫缝 縮缩 縱纵 總总 績绩
+    繃绷 織织 繞绕 繡绣 繩绳 繪绘 繫系 繼继 續续 纏缠 罈坛 罰罚 罵骂 罷罢 羅罗 羨羡 義义 習习 聖圣 聞闻
+    聯联 聰聪 聲声 聳耸 職职 聽听 肅肃 脅胁 脈脉 脫脱 脹胀 腎肾 腦脑 腫肿 腳脚 腸肠 膚肤 膠胶 膩腻 膽胆
+    臉脸 臟脏 臥卧 臨临 與与 興兴 舉举 舊旧 舖铺 艙舱 艦舰 艱艰 艷艳 莊庄 莖茎 華华 萬万 葉叶 蓋盖 蓮莲
+    蔣蒋 蕭萧 薦荐 薩萨 藍蓝 藝艺 藥药 蘆芦 蘇苏 蘊蕴 蘋苹 蘭兰 蘿萝 處处 虛虚 號号 虧亏 蛻蜕 蝕蚀 蝦虾
+    螢萤 蟲虫 蠟蜡 蠶蚕 衊蔑 術术 衛卫 裏里 補补 裝装 裡里 製制 複复 襖袄 襪袜 襯衬 見见 覓觅 視视 親亲
+    覺觉 覽览 觀观 觸触 訂订 計计 訊讯 討讨 訓训 記记 訝讶 訣诀 訪访 設设 許许 訴诉 診诊 註注 詐诈 評评
+    詞词 詠咏 詢询 試试 詩诗 話话 該该 詳详 誇夸 誌志 認认 語语 誠诚 誣诬 誤误 說说 誰谁 課课 誼谊 調调
+    談谈 諒谅 論论 諧谐 諸诸 諾诺 謂谓 謊谎 謎谜 講讲 謝谢 謠谣 謹谨 證证 譏讥 識识 譜谱 譯译 議议 護护
+    譽誉 讀读 變变 讓让 讚赞 豈岂 豎竖 豐丰 豔艳 豬猪 貓猫 貝贝 貞贞 負负 財财 貢贡 貧贫 貨货 販贩 責责
+    貴贵 買买 貸贷 費费 貼贴 賀贺 資资 賊贼 賓宾 賜赐 賞赏 賠赔 賢贤 賣卖 賤贱 賦赋 質质 賬账 賭赌 賴赖
+    賺赚 購购 賽赛 贈赠 贊赞 贏赢 贖赎 趕赶 趙赵 趨趋 跡迹 踐践 蹤踪 躊踌 躍跃 軀躯 車车 軋轧 軌轨 軍军
+    軒轩 軟软 軸轴 軾轼 較较 載载 輕轻 輛辆 輝辉 輩辈 輪轮 輯辑 輸输 輿舆 轄辖 轉转 轎轿 轟轰 辦办 辭辞
+    辮辫 農农 迴回 這这 連连 週周 進进 遊游 運运 過过 達达 違违 遙遥 遜逊 遞递 遠远 適适 遲迟 遷迁 選选
+    遺遗 遼辽 邁迈 還还 邊边 邏逻 郵邮 鄉乡 鄒邹 鄧邓 鄭郑 鄰邻 醜丑 醞酝 醫医 醬酱 釀酿 釋释 釘钉 針针
+    釣钓 鈕钮 鈴铃 鉛铅 鉤钩 銀银 銅铜 銘铭 銳锐 銷销 鋒锋 鋪铺 鋸锯 鋼钢 錄录 錘锤 錢钱 錦锦 錫锡 錯错
+    錶表 鍋锅 鍾钟 鎖锁 鎚锤 鎮镇 鏈链 鏟铲 鏡镜 鐘钟 鐵铁 鑄铸 鑑鉴 鑼锣 鑽钻 長长 門门 閃闪 閉闭 開开
+    閑闲 閒闲 間间 閘闸 閣阁 閨闺 閩闽 閱阅 閻阎 闊阔 闕阙 闖闯 關关 闡阐 陝陕 陣阵 陰阴 陳陈 陸陆 陽阳
+    隊队 階阶 際际 隨随 險险 隱隐 隴陇 隸隶 隻只 雋隽 雖虽 雙双 雛雏 雜杂 雞鸡 離离 難难 雲云 電电 霧雾
+    霽霁 靂雳 靈灵 靜静 鞏巩 韁缰 韋韦 韌韧 韓韩 韻韵 響响 頁页 頂顶 項项 順顺 頌颂 預预 頓顿 領领 頭头
+    頸颈 頻频 顆颗 題题 顏颜 願愿 顛颠 類类 顧顾 顫颤 顯显 風风 颱台 颳刮 飄飘 飛飞 飢饥 飯饭 飲饮 飼饲
+    飽饱 飾饰 餃饺 餅饼 養养 餓饿 餘余 館馆 餵喂 饅馒 饒饶 饞馋 馬马 馮冯 駁驳 駐驻 駕驾 駛驶 駝驼 騎骑
+    騙骗 騰腾 騷骚 驅驱 驕骄 驗验 驚惊 驟骤 髏髅 髒脏 體体 髮发 鬆松 鬍胡 鬥斗 鬧闹 鬱郁 魚鱼 魯鲁 鮑鲍
+    鮮鲜 鯉鲤 鯨鲸 鰻鳗 鱗鳞 鳥鸟 鳳凤 鳴鸣 鴉鸦 鴨鸭 鴿鸽 鵑鹃 鵝鹅 鵬鹏 鵲鹊 鶩鹜 鶯莺 鶴鹤 鷹鹰 鷺鹭
+    鹽盐 麗丽 麥麦 麩麸 麵面 麼么 黃黄 點点 黨党 黴霉 齊齐 齋斋 齒齿 齜龇 齡龄 齣出 龍龙 龐庞 龔龚 龜龟
+`;
@@ -0,0 +1,333 @@
+/**
+ * Verse layouts - How VerseRenderer arranges its verses on screen
+ * A layout is attached to a renderer and told which verse is active; it owns a
+ * `layout-<name>` class on the verse container and any scrolling or listeners it needs.
+ * Stones, the golden glow and stone-click seeking are the renderer's and work in every layout.
+ *
+ * Interface: { name, attach(renderer), detach(), showVerse(verseIdx, { instant }),
+ *              reveal(verseIdx, stone) } — reveal brings a keyboard-focused stone into view
+ */
+
+const FOLLOW_PAUSE_MS = 4000; // manual scrolling pauses auto-follow this long
+const SWIPE_MIN_PX = 40;      // horizontal travel that makes a drag a swipe
+const CAROUSEL_REACH = 2;     // stones shown either side of the center one
+
+/**
+ * The stage: one verse at a time (the original presentation)
+ */
+export class StageLayout {
+    constructor() {
+        this.name = 'stage';
+        this.renderer = null;
+    }
+
+    attach(renderer) {
+        this.renderer = renderer;
+        renderer.container.classList.add('layout-stage');
+    }
+
+    detach() {
+        this.renderer?.container.classList.remove('layout-stage');
+        this.renderer = null;
+    }
+
+    showVerse() {
+        // Only `.verse.active` is displayed; nothing else to do
+    }
+
+    /**
+     * A stone in another verse is hidden: show that verse until playback moves on
+     */
+    reveal(verseIdx) {
+        if (verseIdx !== this.renderer.activeVerseIdx) this.renderer.showVerse(verseIdx);
+    }
+}
+
+/**
+ * The whole poem in a scrolling column, the active verse kept centered
+ * Verses already sung are marked `.past`, those still to come `.upcoming`.
+ */
+export class ScrollLayout {
+    constructor({ pauseMs = FOLLOW_PAUSE_MS } = {}) {
+        this.name = 'scroll';
+        this.axis = 'y';     // direction the container scrolls in
+        this.pauseMs = pauseMs;
+        this.renderer = null;
+        this.verseIdx = null;
+        this.resumeTimer = null;
+
+        this.onManualScroll = () => this.pauseFollow();
+        this.onPointerDown = (e) => {
+            // Only the scrollbar itself targets the container
+            if (e.target === this.renderer.container) this.pauseFollow();
+        };
+        // Clicking a stone to seek is a request to follow again
+        this.onStoneClick = () => this.resumeFollow();
+    }
+
+    get isFollowing() {
+        return this.resumeTimer === null;
+    }
+
+    attach(renderer) {
+        this.renderer = renderer;
+        const container = renderer.container;
+        container.classList.add(`layout-${this.name}`);
+        container.addEventListener('wheel', this.onManualScroll, { passive: true });
+        container.addEventListener('touchmove', this.onManualScroll, { passive: true });
+        container.addEventListener('pointerdown', this.onPointerDown);
+        container.addEventListener('stone-click', this.onStoneClick);
+    }
+
+    detach() {
+        if (!this.renderer) return;
+        const container = this.renderer.container;
+        container.classList.remove(`layout-${this.name}`);
+        container.removeEventListener('wheel', this.onManualScroll);
+        container.removeEventListener('touchmove', this.onManualScroll);
+        container.removeEventListener('pointerdown', this.onPointerDown);
+        container.removeEventListener('stone-click', this.onStoneClick);
+        container.scrollTop = 0;
+        container.scrollLeft = 0;
+        this.renderer.renderedVerses.forEach(verse => verse.classList.remove('past', 'upcoming'));
+        clearTimeout(this.resumeTimer);
+        this.resumeTimer = null;
+        this.renderer = null;
+    }
+
+    showVerse(verseIdx, { instant = false } = {}) {
+        this.verseIdx = verseIdx;
+        this.renderer.renderedVerses.forEach((verse, idx) => {
+            verse.classList.toggle('past', idx < verseIdx);
+            verse.classList.toggle('upcoming', idx > verseIdx);
+        });
+        if (this.isFollowing) this.center(instant);
+    }
+
+    /**
+     * Scroll just enough to show the stone; following the song pauses like a manual scroll
+     */
+    reveal(verseIdx, stone) {
+        this.pauseFollow();
+        stone.scrollIntoView?.({ block: 'nearest', inline: 'nearest' });
+    }
+
+    /**
+     * Scroll the active verse to the middle of the container
+     * Measured on screen, so it holds whichever way the container's writing mode runs.
+     */
+    center(instant = false) {
+        const verse = this.renderer?.renderedVerses[this.verseIdx];
+        if (!verse) return;
+        const container = this.renderer.container;
+        const v = verse.getBoundingClientRect();
+        const c = container.getBoundingClientRect();
+        const offset = this.axis === 'y'
+            ? { top: v.top + v.height / 2 - (c.top + c.height / 2) }
+            : { left: v.left + v.width / 2 - (c.left + c.width / 2) };
+        const reduceMotion = window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+        container.scrollBy({ ...offset, behavior: instant || reduceMotion ? 'auto' : 'smooth' });
+    }
+
+    pauseFollow() {
+        clearTimeout(this.resumeTimer);
+        this.resumeTimer = setTimeout(() => this.resumeFollow(), this.pauseMs);
+    }
+
+    resumeFollow() {
+        clearTimeout(this.resumeTimer);
+        this.resumeTimer = null;
+        this.center();
+    }
+}
+
+/**
+ * Classical vertical writing: each verse row (`breakAfter` splits a verse in two) is a
+ * column, read top to bottom, columns right to left. Stones keep their character upright
+ * with the pinyin/English bands turned and set beside it; the poem scrolls sideways.
+ */
+export class VerticalLayout extends ScrollLayout {
+    constructor(options) {
+        super(options);
+        this.name = 'vertical';
+        this.axis = 'x';
+
+        // A plain wheel turns the scroll: down moves on to the columns on the left
+        this.onWheel = (e) => {
+            if (e.shiftKey || Math.abs(e.deltaX) > Math.abs(e.deltaY)) return;
+            this.renderer.container.scrollBy({ left: -e.deltaY });
+        };
+    }
+
+    attach(renderer) {
+        super.attach(renderer);
+        renderer.container.addEventListener('wheel', this.onWheel, { passive: true });
+    }
+
+    detach() {
+        this.renderer?.container.removeEventListener('wheel', this.onWheel);
+        super.detach();
+    }
+}
+
+/**
+ * One character at a time, as in kaixin-viewer-individual.html: the sung stone large in
+ * the middle with two neighbours either side, across verse boundaries. It follows
+ * AudioSyncEngine's character-change; swiping sideways seeks to the next or previous stone.
+ */
+export class CarouselLayout {
+    /**
+     * @param {Object} options - { audioSync } whose characters (in time order) the carousel walks
+     */
+    constructor({ audioSync } = {}) {
+        this.name = 'carousel';
+        this.audioSync = audioSync;
+        this.renderer = null;
+        this.centerIdx = -1;   // index into audioSync.characters
+        this.shown = [];       // stones carrying a position class
+        this.swipeStart = null;
+        this.swiped = false;
+
+        this.onCharacter = (charData) => this.center(this.audioSync.characters.indexOf(charData));
+        this.onPointerDown = (e) => {
+            this.swipeStart = e.isPrimary ? { x: e.clientX, y: e.clientY } : null;
+            this.swiped = false;
+        };
+        this.onPointerUp = (e) => {
+            const start = this.swipeStart;
+            this.swipeStart = null;
+            if (!start) return;
+            const direction = swipeDirection(e.clientX - start.x, e.clientY - start.y);
+            if (direction === 0) return;
+            this.swiped = true;
+            this.step(direction);
+        };
+        // A swipe that ends on a stone must not also click it
+        this.onClick = (e) => {
+            if (!this.swiped) return;
+            this.swiped = false;
+            e.stopPropagation();
+        };
+    }
+
+    attach(renderer) {
+        this.renderer = renderer;
+        const container = renderer.container;
+        container.classList.add('layout-carousel');
+        container.addEventListener('pointerdown', this.onPointerDown);
+        container.addEventListener('pointerup', this.onPointerUp);
+        container.addEventListener('click', this.onClick, true);
+        this.audioSync?.on('character-change', this.onCharacter);
+    }
+
+    detach() {
+        if (!this.renderer) return;
+        const container = this.renderer.container;
+        container.classList.remove('layout-carousel');
+        container.removeEventListener('pointerdown', this.onPointerDown);
+        container.removeEventListener('pointerup', this.onPointerUp);
+        container.removeEventListener('click', this.onClick, true);
+        this.audioSync?.off('character-change', this.onCharacter);
+        this.clearPositions();
+        this.centerIdx = -1;
+        this.renderer = null;
+    }
+
+    /**
+     * Keep the center if it is in the verse (re-renders call this too), else move to the
+     * stone being sung or, before it starts, the verse's first stone
+     */
+    showVerse(verseIdx) {
+        const characters = this.audioSync?.characters || [];
+        const sungIdx = this.audioSync?.currentIndex ?? -1;
+        if (characters[this.centerIdx]?.verseIdx === verseIdx) this.center(this.centerIdx);
+        else if (characters[sungIdx]?.verseIdx === verseIdx) this.center(sungIdx);
+        else this.center(characters.findIndex(c => c.verseIdx === verseIdx));
+    }
+
+    reveal(verseIdx, stone) {
+        const charIdx = Number(stone.dataset.charIdx);
+        this.center(this.audioSync.characters.findIndex(c => c.verseIdx === verseIdx && c.charIdx === charIdx));
+    }
+
+    /**
+     * Swipe: seek to the neighbouring stone, the same as clicking it
+     * @param {number} direction - 1 for the next stone, -1 for the previous
+     */
+    step(direction) {
+        const charData = this.audioSync.characters[this.centerIdx + direction];
+        if (!charData) return;
+        const { verseIdx, charIdx, time } = charData;
+        const stone = this.renderer.getCharacterElement(verseIdx, charIdx);
+        stone?.dispatchEvent(new CustomEvent('stone-click', { detail: { verseIdx, charIdx, time }, bubbles: true }));
+    }
+
+    /**
+     * Give the stones around `idx` their position classes (see carouselPosition)
+     */
+    center(idx) {
+        const characters = this.audioSync?.characters || [];
+        if (!this.renderer || idx < 0 || idx >= characters.length) return;
+        this.clearPositions();
+        this.centerIdx = idx;
+
+        for (let offset = -CAROUSEL_REACH; offset <= CAROUSEL_REACH; offset++) {
+            const charData = characters[idx + offset];
+            const stone = charData && this.renderer.getCharacterElement(charData.verseIdx, charData.charIdx);
+            if (!stone) continue;
+
+            stone.classList.add(`position-${carouselPosition(idx, offset, characters.length)}`);
+            stone.style.order = String(offset); // time order, whatever the verse order in the DOM
+            this.shown.push(stone);
+        }
+    }
+
+    clearPositions() {
+        this.shown.forEach(stone => {
+            stone.classList.remove('position-center', 'position-adjacent', 'position-edge',
+                'position-first', 'position-second', 'position-penultimate', 'position-last');
+            stone.style.order = '';
+        });
+        this.shown = [];
+    }
+}
+
+/**
+ * Carousel position of the stone `offset` places from the center one (at `idx` of `count`):
+ * center, adjacent or edge; the first two and last two stones of the song ease in and out
+ * as first, second, penultimate and last instead of taking the full center
+ */
+export function carouselPosition(idx, offset, count) {
+    if (offset !== 0) return Math.abs(offset) === 1 ? 'adjacent' : 'edge';
+    if (idx === 0) return 'first';
+    if (idx === 1) return 'second';
+    if (idx === count - 2) return 'penultimate';
+    if (idx === count - 1) return 'last';
+    return 'center';
+}
+
+/**
+ * Which way a drag steps the carousel: 1 (next) for a swipe to the left, -1 to the right,
+ * 0 for a drag that is too short or more vertical than sideways
+ */
+export function swipeDirection(dx, dy) {
+    if (Math.abs(dx) < SWIPE_MIN_PX || Math.abs(dx) < Math.abs(dy)) return 0;
+    return dx < 0 ? 1 : -1;
+}
+
+export const LAYOUTS = {
+    stage: StageLayout,
+    scroll: ScrollLayout,
+    vertical: VerticalLayout,
+    carousel: CarouselLayout
+};
+
+/**
+ * Layout by name (the stage for unknown names)
+ * @param {string} name - Key of LAYOUTS
+ * @param {Object} [options] - Passed to the layout ({ audioSync } for the carousel)
+ */
+export function createLayout(name, options) {
+    const Layout = LAYOUTS[name] || StageLayout;
+    return new Layout(options);
+}
@@ -3,18 +3,67 @@
  * Minimal DOM manipulation, stores references for quick access
  */
 
+import { analyzeTones, SANDHI_RULES } from './pinyin.js';
+import { pinyinToZhuyin } from './romanization.js';
+import { renderHanzi, DEFAULT_SCRIPT_MODE } from './hanzi-script.js';
+import { StageLayout } from './verse-layouts.js';
+
+const LONG_PRESS_MS = 500; // hold a stone this long to open its details
+
 export class VerseRenderer {
     constructor(container, songData) {
         this.container = container;
         this.verses = songData.verses;
         this.renderedVerses = [];
         this.characterElements = new Map(); // Map<"verseIdx-charIdx", element>
+        this.toneInfo = new Map(); // Map<verseIdx, analyzeTones() result>
+        this.scriptMode = DEFAULT_SCRIPT_MODE; // traditional | simplified | both
+        this.activeVerseIdx = null;
+        this.focused = null; // stone with the keyboard focus ring
+        this.tabStop = null; // the one stone reachable with Tab (roving tabindex)
+        this.layout = null; // see verse-layouts.js
         // Default display order & visibility
         this.layers = [
             { key: 'hanzi', label: 'Chinese', enabled: true },
             { key: 'pinyin', label: 'Pinyin', enabled: true },
-            { key: 'english', label: 'English', enabled: false }
+            { key: 'zhuyin', label: 'Zhuyin', enabled: false },
+            { key: 'zhuyin-side', label: 'Zhuyin beside characters', enabled: false },
+            { key: 'jyutping', label: 'Jyutping', enabled: false },
+            { key: 'english', label: 'English', enabled: false },
+            { key: 'tones', label: 'Tone colors', enabled: false },
+            { key: 'words', label: 'Word groups', enabled: true }
         ];
+        this.setLayout(new StageLayout());
+    }
+    
+    /**
+     * Switch how verses are arranged (stage, scroll, …) without re-rendering
+     */
+    setLayout(layout) {
+        if (this.layout) this.layout.detach();
+        this.layout = layout;
+        layout.attach(this);
+        if (this.activeVerseIdx !== null) layout.showVerse(this.activeVerseIdx, { instant: true });
+        console.log(`VerseRenderer: Layout ${layout.name}`);
+    }
+    
+    /**
+     * Whether a display layer is currently switched on
+     */
+    isLayerEnabled(key) {
+        return this.layers.some(layer => layer.key === key && layer.enabled);
+    }
+    
+    /**
+     * Tones of a verse's characters, with sandhi (analysed once per verse)
+     */
+    getToneInfo(verseIdx) {
+        if (!this.toneInfo.has(verseIdx)) {
+            const verse = this.verses[verseIdx];
+            const breaks = Number.isInteger(verse.breakAfter) ? [verse.breakAfter] : [];
+            this.toneInfo.set(verseIdx, analyzeTones(verse.characters, { breaks }));
+        }
+        return this.toneInfo.get(verseIdx);
     }
     
     /**
@@ -62,18 +111,33 @@ export class VerseRenderer {
             verse.characters.slice(breakAfter)
         ] : [verse.characters];
 
+        // Multi-character words (from merged glosses) render as grouped tiles
+        const wordsAt = new Map(); // Map<start charIdx, word>
+        if (this.isLayerEnabled('words') && Array.isArray(verse.words)) {
+            verse.words.forEach(word => {
+                if (word.length > 1) wordsAt.set(word.start, word);
+            });
+        }
+
         rows.forEach((rowChars, rowStartIndex) => {
             if (rowChars.length === 0) return;
             const rowEl = document.createElement('div');
             rowEl.className = 'verse-row';
 
-            rowChars.forEach((charData, offset) => {
-                const charIdx = (breakAfter ? (rowStartIndex === 0 ? 0 : breakAfter) : 0) + offset;
-                const stone = this.createStoneElement(charData, verseIdx, charIdx);
-                rowEl.appendChild(stone);
-                const key = `${verseIdx}-${charIdx}`;
-                this.characterElements.set(key, stone);
-            });
+            const rowStart = breakAfter ? (rowStartIndex === 0 ? 0 : breakAfter) : 0;
+            const rowEnd = rowStart + rowChars.length;
+            let charIdx = rowStart;
+            while (charIdx < rowEnd) {
+                const word = wordsAt.get(charIdx);
+                // Words split by the row break fall back to single stones
+                if (word && charIdx + word.length <= rowEnd) {
+                    rowEl.appendChild(this.createWordGroup(verse, verseIdx, word));
+                    charIdx += word.length;
+                } else {
+                    rowEl.appendChild(this.createRegisteredStone(verse.characters[charIdx], verseIdx, charIdx));
+                    charIdx += 1;
+                }
+            }
 
             verseEl.appendChild(rowEl);
         });
@@ -81,6 +145,40 @@ export class VerseRenderer {
         return verseEl;
     }
     
+    /**
+     * Create a stone and register it for lookups by AnimationController
+     */
+    createRegisteredStone(charData, verseIdx, charIdx) {
+        const stone = this.createStoneElement(charData, verseIdx, charIdx);
+        this.characterElements.set(`${verseIdx}-${charIdx}`, stone);
+        return stone;
+    }
+    
+    /**
+     * Create a grouped tile for a multi-character word with its gloss underneath
+     */
+    createWordGroup(verse, verseIdx, word) {
+        const group = document.createElement('div');
+        group.className = 'word-group';
+        if (word.notes) group.title = word.notes;
+        
+        const stones = document.createElement('div');
+        stones.className = 'word-stones';
+        for (let charIdx = word.start; charIdx < word.start + word.length; charIdx++) {
+            stones.appendChild(this.createRegisteredStone(verse.characters[charIdx], verseIdx, charIdx));
+        }
+        group.appendChild(stones);
+        
+        if (word.literal) {
+            const gloss = document.createElement('div');
+            gloss.className = 'word-gloss';
+            gloss.textContent = word.literal;
+            group.appendChild(gloss);
+        }
+        
+        return group;
+    }
+    
     /**
      * Create a single mahjong stone element
      */
@@ -90,6 +188,16 @@ export class VerseRenderer {
         stone.dataset.verseIdx = verseIdx;
         stone.dataset.charIdx = charIdx;
         stone.dataset.time = String(charData.time ?? '');
+        stone.dataset.char = charData.char;
+
+        // The face is the button for assistive tech, so the add button sits beside it rather than
+        // inside; only the tab stop's face is in the Tab order (arrows move between stones)
+        const face = document.createElement('div');
+        face.className = 'stone-face';
+        face.setAttribute('role', 'button');
+        face.tabIndex = -1;
+        face.setAttribute('aria-label', [charData.char, charData.pinyin, charData.meaning].filter(Boolean).join(', '));
+        stone.appendChild(face);
         
         // Build sections based on current layer order:
         // For each layer, create a visual band. The hanzi band uses the larger style; others use compact band.
@@ -100,31 +208,137 @@ export class VerseRenderer {
             if (layer.key === 'hanzi') {
                 const band = document.createElement('div');
                 band.className = 'stone-top';
-                band.appendChild(mk('hanzi', charData.char));
-                stone.appendChild(band);
+                const hanzi = mk('hanzi');
+                renderHanzi(hanzi, charData.char, this.scriptMode);
+                band.appendChild(hanzi);
+                face.appendChild(band);
             } else if (layer.key === 'pinyin') {
                 const band = document.createElement('div');
                 band.className = 'stone-band';
                 band.appendChild(mk('pinyin', charData.pinyin || ''));
-                stone.appendChild(band);
+                face.appendChild(band);
+            } else if (layer.key === 'zhuyin') {
+                const band = document.createElement('div');
+                band.className = 'stone-band';
+                band.appendChild(mk('zhuyin', pinyinToZhuyin(charData.pinyin)));
+                face.appendChild(band);
+            } else if (layer.key === 'jyutping') {
+                const band = document.createElement('div');
+                band.className = 'stone-band';
+                band.appendChild(mk('jyutping', charData.jyutping || ''));
+                face.appendChild(band);
             } else if (layer.key === 'english') {
                 const band = document.createElement('div');
                 band.className = 'stone-band';
                 band.appendChild(mk('english', charData.meaning || ''));
-                stone.appendChild(band);
+                face.appendChild(band);
+            } else if (layer.key === 'tones' && charData.pinyin) {
+                this.applyTone(stone, this.getToneInfo(verseIdx)[charIdx]);
             }
         });
         
+        // Vertical zhuyin sits to the right of the character, as in Taiwanese print
+        const top = stone.querySelector('.stone-top');
+        if (top && charData.pinyin && this.isLayerEnabled('zhuyin-side')) {
+            top.classList.add('with-zhuyin');
+            top.appendChild(mk('zhuyin-side', pinyinToZhuyin(charData.pinyin)));
+        }
+        
+        // "Add to deck": flashcard action, kept from seeking
+        const add = document.createElement('button');
+        add.className = 'stone-add';
+        add.type = 'button';
+        add.textContent = '+';
+        add.title = 'Add to review deck';
+        add.setAttribute('aria-label', `Add ${charData.char} to review deck`);
+        add.tabIndex = -1;
+        add.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const detail = { verseIdx, charIdx, char: charData.char, pinyin: charData.pinyin, meaning: charData.meaning };
+            stone.dispatchEvent(new CustomEvent('stone-add', { detail, bubbles: true }));
+        });
+        stone.appendChild(add);
+        
+        // Long-press or Alt/Ctrl/Cmd-click: ask for the character details popover
+        const inspect = () => {
+            const detail = { verseIdx, charIdx, char: charData.char };
+            stone.dispatchEvent(new CustomEvent('stone-inspect', { detail, bubbles: true }));
+        };
+        let pressTimer = null;
+        let pressed = false; // long-press fired; swallow the click that follows
+        const cancelPress = () => clearTimeout(pressTimer);
+        stone.addEventListener('pointerdown', (e) => {
+            pressed = false;
+            if (e.button !== 0 || e.target.closest('.stone-add')) return;
+            pressTimer = setTimeout(() => {
+                pressed = true;
+                inspect();
+            }, LONG_PRESS_MS);
+        });
+        ['pointerup', 'pointerleave', 'pointercancel'].forEach(type => stone.addEventListener(type, cancelPress));
+        stone.addEventListener('contextmenu', (e) => {
+            if (pressed) e.preventDefault();
+        });
+        
         // Click-to-seek: dispatch an event upward so the main app can handle seeking
-        stone.addEventListener('click', () => {
+        stone.addEventListener('click', (e) => {
+            if (pressed) {
+                pressed = false;
+                return;
+            }
+            if (e.altKey || e.ctrlKey || e.metaKey) {
+                inspect();
+                return;
+            }
             const time = typeof charData.time === 'number' ? charData.time : null;
             const detail = { verseIdx, charIdx, time };
             stone.dispatchEvent(new CustomEvent('stone-click', { detail, bubbles: true }));
         });
+        
+        // Enter seeks like a click, the context-menu key opens the details; Space stays play/pause
+        face.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                stone.click();
+            } else if (e.key === 'ContextMenu' || (e.key === 'F10' && e.shiftKey)) {
+                inspect();
+            } else {
+                return;
+            }
+            e.preventDefault();
+            e.stopPropagation();
+        });
 
         return stone;
     }
     
+    /**
+     * Tone coloring (written tone) plus a badge with the spoken form where sandhi changes it
+     */
+    applyTone(stone, info) {
+        if (!info || info.tone === null) return;
+        stone.classList.add('tone-colored', `tone-${info.tone}`);
+        stone.dataset.tone = String(info.tone);
+        if (!info.rule) return;
+
+        const note = document.createElement('span');
+        note.className = `sandhi-note tone-${info.spokenTone}`;
+        note.textContent = `→ ${info.spoken}`;
+        note.title = SANDHI_RULES[info.rule];
+        stone.dataset.sandhi = info.rule;
+        stone.appendChild(note);
+    }
+    
+    /**
+     * Toggle a class on every stone whose character passes a test (e.g. "in-deck")
+     * @param {string} className - Class to set
+     * @param {Function} test - (char) => boolean
+     */
+    markStones(className, test) {
+        this.characterElements.forEach(stone => {
+            stone.classList.toggle(className, test(stone.dataset.char));
+        });
+    }
+    
     /**
      * Show a specific verse (hide others)
      */
@@ -138,12 +352,45 @@ export class VerseRenderer {
                 verse.classList.remove('active');
             }
         });
+        this.activeVerseIdx = verseIdx;
+        this.layout.showVerse(verseIdx);
+        if (!this.focused) this.setTabStop(this.getCharacterElement(verseIdx, 0));
         
         // Debug: Check if verse is actually active
         const activeVerses = document.querySelectorAll('.verse.active');
         console.log(`VerseRenderer: Active verses count: ${activeVerses.length}`, activeVerses);
     }
     
+    /**
+     * Put the keyboard focus ring on a stone and bring it into view (null removes it)
+     * Focus itself only moves over from another stone or from nowhere, never out of a
+     * control or dialog the listener is using.
+     * @returns {HTMLElement|null} The focused stone
+     */
+    setFocus(verseIdx, charIdx) {
+        this.focused?.classList.remove('key-focus');
+        this.focused = verseIdx === null ? null : this.getCharacterElement(verseIdx, charIdx) || null;
+        if (!this.focused) return null;
+        this.focused.classList.add('key-focus');
+        this.layout.reveal(verseIdx, this.focused);
+        this.setTabStop(this.focused);
+        const active = document.activeElement;
+        if (!active || active === document.body || this.container.contains(active)) {
+            this.focused.querySelector('.stone-face').focus({ preventScroll: true });
+        }
+        return this.focused;
+    }
+    
+    /**
+     * Make a stone the one Tab reaches (its face; the add button is reached with +)
+     */
+    setTabStop(stone) {
+        if (!stone || stone === this.tabStop) return;
+        if (this.tabStop) this.tabStop.querySelector('.stone-face').tabIndex = -1;
+        stone.querySelector('.stone-face').tabIndex = 0;
+        this.tabStop = stone;
+    }
+    
     /**
      * Get a character element by verse and char index
      */
@@ -159,6 +406,18 @@ export class VerseRenderer {
         this.container.innerHTML = '';
         this.renderedVerses = [];
         this.characterElements.clear();
+        this.toneInfo.clear();
+        this.activeVerseIdx = null;
+        this.focused = null;
+        this.tabStop = null;
+    }
+    
+    /**
+     * Clear and give the container back (song switch)
+     */
+    destroy() {
+        this.clear();
+        this.layout.detach();
     }
 }
 
@@ -0,0 +1,113 @@
+/**
+ * Wav - Minimal RIFF/WAVE reading and writing
+ * Decodes PCM (8/16/24/32-bit) and 32-bit float files to mono samples so recordings
+ * can go through the same analysis as the microphone; encodes 16-bit PCM.
+ */
+
+const FORMAT_PCM = 1;
+const FORMAT_FLOAT = 3;
+const FORMAT_EXTENSIBLE = 0xFFFE;
+
+/**
+ * Decode a WAV file, mixing all channels down to one
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {{ sampleRate: number, channels: number, samples: Float32Array }}
+ * @throws {Error} When the file isn't a WAV file this decoder understands
+ */
+export function decodeWav(buffer) {
+    const view = new DataView(buffer);
+    const tag = (offset) => String.fromCharCode(...new Uint8Array(buffer, offset, 4));
+    if (buffer.byteLength < 12 || tag(0) !== 'RIFF' || tag(8) !== 'WAVE') {
+        throw new Error('Wav: Not a RIFF/WAVE file');
+    }
+
+    let format = null;
+    let data = null;
+    for (let offset = 12; offset + 8 <= buffer.byteLength;) {
+        const id = tag(offset);
+        const size = view.getUint32(offset + 4, true);
+        const body = offset + 8;
+        if (id === 'fmt ') {
+            let audioFormat = view.getUint16(body, true);
+            if (audioFormat === FORMAT_EXTENSIBLE) audioFormat = view.getUint16(body + 24, true);
+            format = {
+                audioFormat,
+                channels: view.getUint16(body + 2, true),
+                sampleRate: view.getUint32(body + 4, true),
+                bitsPerSample: view.getUint16(body + 14, true)
+            };
+        } else if (id === 'data') {
+            data = { offset: body, size: Math.min(size, buffer.byteLength - body) };
+        }
+        offset = body + size + (size % 2); // chunks are padded to an even length
+    }
+    if (!format || !data) throw new Error('Wav: Missing fmt or data chunk');
+
+    const { audioFormat, channels, sampleRate, bitsPerSample } = format;
+    const bytes = bitsPerSample / 8;
+    const read = sampleReader(view, audioFormat, bitsPerSample);
+    if (!read || channels < 1) {
+        throw new Error(`Wav: Unsupported format ${audioFormat} (${bitsPerSample}-bit, ${channels} channels)`);
+    }
+
+    const count = Math.floor(data.size / (bytes * channels));
+    const samples = new Float32Array(count);
+    for (let i = 0; i < count; i++) {
+        let sum = 0;
+        for (let ch = 0; ch < channels; ch++) {
+            sum += read(data.offset + (i * channels + ch) * bytes);
+        }
+        samples[i] = sum / channels;
+    }
+    return { sampleRate, channels, samples };
+}
+
+/**
+ * Reader for one sample at a byte offset, scaled to -1…1 (null when unsupported)
+ */
+function sampleReader(view, audioFormat, bits) {
+    if (audioFormat === FORMAT_FLOAT && bits === 32) return (at) => view.getFloat32(at, true);
+    if (audioFormat !== FORMAT_PCM) return null;
+    if (bits === 8) return (at) => (view.getUint8(at) - 128) / 128;
+    if (bits === 16) return (at) => view.getInt16(at, true) / 32768;
+    if (bits === 24) {
+        return (at) => {
+            const value = view.getUint8(at) | (view.getUint8(at + 1) << 8) | (view.getInt8(at + 2) << 16);
+            return value / 8388608;
+        };
+    }
+    if (bits === 32) return (at) => view.getInt32(at, true) / 2147483648;
+    return null;
+}
+
+/**
+ * Encode mono samples as a 16-bit PCM WAV file
+ * @param {Float32Array} samples - Samples in -1…1 (clipped outside)
+ * @param {number} sampleRate - Samples per second
+ * @returns {ArrayBuffer}
+ */
+export function encodeWav(samples, sampleRate) {
+    const buffer = new ArrayBuffer(44 + samples.length * 2);
+    const view = new DataView(buffer);
+    const writeTag = (offset, text) => [...text].forEach((ch, i) => view.setUint8(offset + i, ch.charCodeAt(0)));
+
+    writeTag(0, 'RIFF');
+    view.setUint32(4, 36 + samples.length * 2, true);
+    writeTag(8, 'WAVE');
+    writeTag(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, FORMAT_PCM, true);
+    view.setUint16(22, 1, true);              // mono
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * 2, true); // byte rate
+    view.setUint16(32, 2, true);              // block align
+    view.setUint16(34, 16, true);
+    writeTag(36, 'data');
+    view.setUint32(40, samples.length * 2, true);
+
+    samples.forEach((sample, i) => {
+        const clipped = Math.max(-1, Math.min(1, sample));
+        view.setInt16(44 + i * 2, clipped < 0 ? clipped * 32768 : clipped * 32767, true);
+    });
+    return buffer;
+}
@@ -0,0 +1,111 @@
+/**
+ * Zip - Minimal ZIP archive writer
+ * Stores files uncompressed (WAV barely deflates), which keeps the writer small and
+ * synchronous; enough for exporting practice sessions.
+ */
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL = 0x06054b50;
+const VERSION = 20;        // 2.0: plain stored entries
+const UTF8_NAMES = 0x0800; // general purpose flag: names are UTF-8
+
+let crcTable = null;
+
+/**
+ * CRC-32 (IEEE 802.3) of a byte array
+ * @param {Uint8Array} bytes
+ * @returns {number} Unsigned 32-bit checksum
+ */
+export function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Date and time in MS-DOS format (2-second resolution, local time)
+ */
+function dosDateTime(date) {
+    const year = Math.max(1980, date.getFullYear());
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Bytes of a file's contents
+ */
+function toBytes(data) {
+    if (typeof data === 'string') return new TextEncoder().encode(data);
+    if (data instanceof ArrayBuffer) return new Uint8Array(data);
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+}
+
+/**
+ * Build a ZIP archive
+ * @param {Array<{ name: string, data: string|ArrayBuffer|ArrayBufferView }>} files - Paths use `/`
+ * @param {Date} [modified] - Modification time stamped on every entry
+ * @returns {Uint8Array}
+ */
+export function createZip(files, modified = new Date()) {
+    const { time, date } = dosDateTime(modified);
+    const encoder = new TextEncoder();
+    const entries = files.map(({ name, data }) => {
+        const bytes = toBytes(data);
+        return { name: encoder.encode(name), bytes, crc: crc32(bytes) };
+    });
+
+    const localSize = entries.reduce((sum, e) => sum + 30 + e.name.length + e.bytes.length, 0);
+    const centralSize = entries.reduce((sum, e) => sum + 46 + e.name.length, 0);
+    const out = new Uint8Array(localSize + centralSize + 22);
+    const view = new DataView(out.buffer);
+
+    // Fields shared by the local and central headers, from "version needed" to the name length
+    const writeCommon = (at, entry) => {
+        view.setUint16(at, VERSION, true);
+        view.setUint16(at + 2, UTF8_NAMES, true);
+        view.setUint16(at + 4, 0, true); // method: stored
+        view.setUint16(at + 6, time, true);
+        view.setUint16(at + 8, date, true);
+        view.setUint32(at + 10, entry.crc, true);
+        view.setUint32(at + 14, entry.bytes.length, true); // compressed size
+        view.setUint32(at + 18, entry.bytes.length, true);
+        view.setUint16(at + 22, entry.name.length, true);
+    };
+
+    let offset = 0;
+    entries.forEach(entry => {
+        entry.offset = offset;
+        view.setUint32(offset, LOCAL_HEADER, true);
+        writeCommon(offset + 4, entry);
+        out.set(entry.name, offset + 30);
+        out.set(entry.bytes, offset + 30 + entry.name.length);
+        offset += 30 + entry.name.length + entry.bytes.length;
+    });
+
+    entries.forEach(entry => {
+        view.setUint32(offset, CENTRAL_HEADER, true);
+        view.setUint16(offset + 4, VERSION, true); // version made by
+        writeCommon(offset + 6, entry);
+        out.set(entry.name, offset + 46);          // extra, comment, disk, attributes stay 0
+        view.setUint32(offset + 42, entry.offset, true);
+        offset += 46 + entry.name.length;
+    });
+
+    view.setUint32(offset, END_OF_CENTRAL, true);
+    view.setUint16(offset + 8, entries.length, true);
+    view.setUint16(offset + 10, entries.length, true);
+    view.setUint32(offset + 12, centralSize, true);
+    view.setUint32(offset + 16, localSize, true);
+    return out;
+}
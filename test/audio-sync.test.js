@@ -0,0 +1,162 @@
+import { describe, it, beforeEach, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { AudioSyncEngine } from '../scripts/audio-sync.js';
+import { StateManager } from '../scripts/state-manager.js';
+import { FakeClock, FakeAudio, makeSong, recordEvents } from './helpers/fakes.js';
+
+const EVENTS = ['character-change', 'character-clear', 'verse-change', 'time-update', 'discontinuity'];
+
+describe('AudioSyncEngine', () => {
+    let clock, audio, engine, events;
+
+    // The engine logs every character; keep test output readable
+    let originalLog;
+    before(() => {
+        originalLog = console.log;
+        console.log = () => {};
+    });
+    after(() => {
+        console.log = originalLog;
+    });
+
+    beforeEach(() => {
+        clock = new FakeClock();
+        audio = new FakeAudio({ duration: 10 });
+        engine = new AudioSyncEngine(audio, makeSong(), new StateManager(), { clock });
+        events = recordEvents(engine, EVENTS);
+    });
+
+    /**
+     * Play from the current time for `seconds`, one 16ms frame at a time
+     */
+    function play(seconds) {
+        audio.paused = false;
+        engine.startSync();
+        const frames = Math.round((seconds * 1000) / 16);
+        for (let i = 0; i < frames; i++) {
+            clock.frame(16);
+            audio.currentTime += 0.016;
+        }
+    }
+
+    const named = (name) => events.filter(e => e.event === name);
+    const chars = () => named('character-change').map(e => e.data.char);
+
+    describe('flattenCharacters', () => {
+        it('sorts characters by time across verses', () => {
+            assert.deepEqual(engine.characters.map(c => c.char), ['明', '月', '幾', '有', '時']);
+        });
+
+        it('keeps verse/char positions and reading-order global indexes', () => {
+            const you = engine.characters.find(c => c.char === '有');
+            assert.equal(you.verseIdx, 1);
+            assert.equal(you.charIdx, 1);
+            assert.equal(you.globalIdx, 4);
+        });
+
+        it('ends each character at the next one unless it has its own end', () => {
+            const ends = Object.fromEntries(engine.characters.map(c => [c.char, c.end]));
+            assert.equal(ends['明'], 2);
+            assert.equal(ends['幾'], 3.5);
+            assert.equal(ends['有'], 6);
+            assert.equal(ends['時'], Infinity);
+        });
+    });
+
+    describe('playback', () => {
+        it('lights characters in time order', () => {
+            play(7);
+            assert.deepEqual(chars(), ['明', '月', '幾', '有', '時']);
+        });
+
+        it('emits verse-change once per verse', () => {
+            play(7);
+            assert.deepEqual(named('verse-change').map(e => e.data.verseIdx), [0, 1]);
+        });
+
+        it('clears the highlight in the gap after an explicit end', () => {
+            audio.currentTime = 3.2;
+            engine.seekTo(3.2);
+            events.length = 0;
+            play(1);
+            assert.equal(named('character-clear').length, 1);
+            assert.equal(engine.currentIndex, -1);
+        });
+
+        it('shows the first verse with nothing lit before singing starts', () => {
+            engine.startSync();
+            assert.deepEqual(named('verse-change').map(e => e.data.verseIdx), [0]);
+            assert.equal(named('character-change').length, 0);
+        });
+
+        it('reports media time and duration every frame', () => {
+            play(0.1);
+            const update = named('time-update').at(-1).data;
+            assert.equal(update.duration, 10);
+            assert.ok(update.currentTime > 0);
+        });
+    });
+
+    describe('seeking', () => {
+        it('seeks forwards to the character at the new time', () => {
+            engine.seekTo(5.5);
+            assert.equal(chars().at(-1), '有');
+            assert.equal(named('verse-change').at(-1).data.verseIdx, 1);
+        });
+
+        it('seeks backwards to an earlier verse', () => {
+            engine.seekTo(6.5);
+            engine.seekTo(1.5);
+            assert.equal(chars().at(-1), '明');
+            assert.equal(named('verse-change').at(-1).data.verseIdx, 0);
+        });
+
+        it('follows a backwards jump it was not told about', () => {
+            audio.currentTime = 6.2;
+            play(0.1);
+            audio.currentTime = 2.1;
+            clock.frame(16);
+            assert.equal(named('discontinuity').length, 1);
+            assert.equal(chars().at(-1), '月');
+            assert.equal(named('verse-change').at(-1).data.verseIdx, 0);
+        });
+
+        it('syncs on native seeks while stopped', () => {
+            audio.seek(5.2);
+            assert.equal(chars().at(-1), '有');
+        });
+
+        it('does not treat a told seek as a discontinuity', () => {
+            play(0.1);
+            audio.currentTime = 5;
+            engine.seekTo(5);
+            clock.frame(16);
+            assert.equal(named('discontinuity').length, 0);
+        });
+    });
+
+    describe('end of song', () => {
+        it('keeps the last character lit past its time', () => {
+            audio.currentTime = 9.5;
+            play(0.5);
+            assert.equal(chars().at(-1), '時');
+            assert.equal(engine.currentIndex, engine.characters.length - 1);
+        });
+
+        it('stops scheduling frames after stopSync', () => {
+            play(0.1);
+            engine.stopSync();
+            assert.equal(clock.frames.size, 0);
+            const count = events.length;
+            clock.frame(16);
+            assert.equal(events.length, count);
+        });
+
+        it('drops subscribers and listeners on destroy', () => {
+            engine.destroy();
+            audio.seek(1.5);
+            assert.equal(events.length, 0);
+        });
+    });
+});
@@ -0,0 +1,94 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { CharacterDictionary, findCharacterUses } from '../scripts/character-dictionary.js';
+
+const DATA = JSON.parse(readFileSync(new URL('../data/characters.json', import.meta.url), 'utf8'));
+const SONG = JSON.parse(readFileSync(new URL('../data/dan-yuan-ren-chang-jiu.json', import.meta.url), 'utf8'));
+
+const song = (chars) => ({ verses: [{ characters: chars }] });
+
+describe('character uses across songs', () => {
+    const songs = [
+        { id: 'a', title: 'Moon', song: song([
+            { char: '月', pinyin: 'yuè', meaning: 'moon' },
+            { char: '明', pinyin: 'míng', meaning: 'bright' },
+            { char: '月', pinyin: 'yuè', meaning: 'month' }
+        ]) },
+        { id: 'b', title: 'Rain', song: song([{ char: '雨', pinyin: 'yǔ', meaning: 'rain' }]) },
+        { id: 'c', title: 'Night', song: song([{ char: '月', pinyin: 'yuè' }]) }
+    ];
+
+    it('lists each song the character appears in, with its readings and meanings', () => {
+        assert.deepEqual(findCharacterUses('月', songs), [
+            { songId: 'a', title: 'Moon', count: 2, readings: ['yuè'], meanings: ['moon', 'month'] },
+            { songId: 'c', title: 'Night', count: 1, readings: ['yuè'], meanings: [] }
+        ]);
+    });
+
+    it('returns nothing for a character no song uses', () => {
+        assert.deepEqual(findCharacterUses('天', songs), []);
+    });
+});
+
+describe('character dictionary', () => {
+    const realFetch = globalThis.fetch;
+    afterEach(() => { globalThis.fetch = realFetch; });
+
+    const serve = (data) => {
+        let calls = 0;
+        globalThis.fetch = async () => {
+            calls++;
+            return { ok: true, json: async () => data };
+        };
+        return () => calls;
+    };
+
+    it('resolves the radical and counts strokes from the stroke data', async () => {
+        const calls = serve(DATA);
+        const dictionary = new CharacterDictionary();
+        const [moon, home] = await Promise.all([dictionary.lookup('明'), dictionary.lookup('明')]);
+
+        assert.equal(calls(), 1);
+        assert.deepEqual(moon, home);
+        assert.equal(moon.radical.char, DATA.characters['明'].radical);
+        assert.ok(moon.radical.meaning);
+        assert.equal(moon.strokeCount, 8);
+        assert.equal(await dictionary.lookup('𠀀'), null);
+    });
+
+    it('retries after a failed load', async () => {
+        globalThis.fetch = async () => ({ ok: false, status: 404 });
+        const dictionary = new CharacterDictionary();
+        assert.equal(await dictionary.lookup('人'), null);
+
+        serve(DATA);
+        assert.equal((await dictionary.lookup('人')).strokeCount, 2);
+    });
+
+    it('has stroke order for every character of the bundled song, one stroke per counted stroke', () => {
+        const chars = new Set(SONG.verses.flatMap(verse => verse.characters.map(c => c.char)));
+        assert.equal(chars.size, 80);
+        for (const char of chars) {
+            const entry = DATA.characters[char];
+            assert.ok(entry?.strokes, `${char}: no stroke data`);
+            assert.equal(entry.strokes.length, entry.strokeCount, `${char}: strokes`);
+        }
+        // Traditional counts, where the Simplified standard joins strokes
+        assert.equal(DATA.characters['似'].strokeCount, 7);
+        assert.equal(DATA.characters['陰'].strokeCount, 11);
+        assert.equal(DATA.characters['離'].strokeCount, 19);
+        assert.equal(DATA.characters['瓊'].strokeCount, 19);
+    });
+
+    it('keeps every stroke point on the grid and every radical defined', () => {
+        for (const [char, entry] of Object.entries(DATA.characters)) {
+            assert.ok(DATA.radicals[entry.radical], `${char}: radical ${entry.radical}`);
+            for (const stroke of entry.strokes || []) {
+                assert.ok(stroke.length >= 2, `${char}: stroke needs two points`);
+                assert.ok(stroke.every(([x, y]) => x >= 0 && x <= DATA.grid && y >= 0 && y <= DATA.grid), char);
+            }
+        }
+    });
+});
@@ -0,0 +1,84 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    resampleStroke, strokeDistance, gradeStroke, CharacterTrace, verseHoldTime
+} from '../scripts/handwriting.js';
+import { makeSong } from './helpers/fakes.js';
+
+// 人: a left-falling stroke, then a right-falling one
+const REN = [
+    [[50, 10], [45, 45], [15, 88]],
+    [[50, 45], [70, 70], [90, 88]]
+];
+
+// A hand-drawn version: more points, slightly off the reference
+const wobble = (stroke) => resampleStroke(stroke, 12).map(([x, y], idx) => [x + (idx % 2 ? 3 : -2), y + 2]);
+
+describe('stroke comparison', () => {
+    it('resamples a stroke evenly from its first to its last point', () => {
+        const points = resampleStroke([[0, 0], [10, 0], [10, 10]], 5);
+        assert.deepEqual(points, [[0, 0], [5, 0], [10, 0], [10, 5], [10, 10]]);
+    });
+
+    it('measures a traced stroke as close to its reference', () => {
+        assert.ok(strokeDistance(wobble(REN[0]), REN[0]) < 5);
+        assert.ok(strokeDistance(REN[0], REN[1]) > 20);
+    });
+
+    it('grades shape, direction and order', () => {
+        assert.deepEqual(gradeStroke(wobble(REN[0]), REN, 0), { result: 'ok', strokeIdx: 0 });
+        assert.deepEqual(gradeStroke([...REN[0]].reverse(), REN, 0), { result: 'direction', strokeIdx: 0 });
+        assert.deepEqual(gradeStroke(wobble(REN[1]), REN, 0), { result: 'order', strokeIdx: 1 });
+        assert.deepEqual(gradeStroke([[10, 50], [90, 50]], REN, 0), { result: 'shape', strokeIdx: 0 });
+    });
+});
+
+describe('character trace', () => {
+    it('accepts strokes in order and counts the mistakes', () => {
+        const trace = new CharacterTrace({ strokes: REN, strokeCount: 2 });
+        assert.equal(trace.addStroke(wobble(REN[1])).result, 'order');
+        assert.equal(trace.addStroke(wobble(REN[0])).result, 'ok');
+        assert.equal(trace.done, false);
+        assert.equal(trace.addStroke([...REN[1]].reverse()).result, 'direction');
+        assert.equal(trace.addStroke(wobble(REN[1])).result, 'ok');
+
+        assert.equal(trace.done, true);
+        assert.deepEqual(trace.accepted, REN);
+        assert.deepEqual(trace.mistakes, [1, 1]);
+        assert.equal(trace.drawn, 4);
+        assert.equal(trace.addStroke(wobble(REN[1])), null);
+    });
+
+    it('ignores taps', () => {
+        const trace = new CharacterTrace({ strokes: REN, strokeCount: 2 });
+        assert.equal(trace.addStroke([[50, 50]]), null);
+        assert.equal(trace.addStroke([[50, 50], [50.5, 50.5]]), null);
+        assert.equal(trace.drawn, 0);
+    });
+
+    it('only counts strokes without stroke data', () => {
+        const trace = new CharacterTrace({ strokes: null, strokeCount: 2 });
+        assert.equal(trace.addStroke([[10, 50], [90, 50]]).result, 'unchecked');
+        assert.equal(trace.addStroke([[50, 10], [50, 90]]).result, 'unchecked');
+        assert.equal(trace.done, true);
+
+        const unknown = new CharacterTrace(null);
+        unknown.addStroke([[10, 50], [90, 50]]);
+        assert.equal(unknown.done, false);
+    });
+});
+
+describe('verse hold time', () => {
+    it('stops when the last character ends, or just before the next verse starts', () => {
+        assert.equal(verseHoldTime(makeSong(), 0), 3.5);
+        const song = makeSong();
+        delete song.verses[0].characters[2].end;
+        assert.equal(verseHoldTime(song, 0), 6 - 0.15);
+    });
+
+    it('stops after the last verse ends', () => {
+        // Last verse: latest character at 6s, two seconds of tail
+        assert.equal(verseHoldTime(makeSong(), 1), 8 - 0.15);
+    });
+});
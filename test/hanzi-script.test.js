@@ -0,0 +1,31 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { toSimplified, nextScriptMode, loadScriptMode } from '../scripts/hanzi-script.js';
+import { TRAD_SIMP_PAIRS } from '../scripts/trad-simp-table.js';
+
+describe('traditional / simplified', () => {
+    it('simplifies the song and vocabulary text', () => {
+        assert.equal(toSimplified('明月幾時有，把酒問青天。'), '明月几时有，把酒问青天。');
+        assert.equal(toSimplified('但願人長久，千里共嬋娟。'), '但愿人长久，千里共婵娟。');
+        assert.equal(toSimplified('嘉義街中心 攤販'), '嘉义街中心 摊贩');
+    });
+
+    it('keeps characters that have no simplified form', () => {
+        assert.equal(toSimplified('人有 abc'), '人有 abc');
+        assert.equal(toSimplified(undefined), '');
+    });
+
+    it('lists each traditional character once, as a pair of two different characters', () => {
+        const pairs = TRAD_SIMP_PAIRS.trim().split(/\s+/).map(pair => [...pair]);
+        assert.ok(pairs.every(pair => pair.length === 2 && pair[0] !== pair[1]));
+        assert.equal(new Set(pairs.map(([trad]) => trad)).size, pairs.length);
+    });
+
+    it('cycles through the modes and defaults to traditional', () => {
+        assert.equal(nextScriptMode('traditional'), 'simplified');
+        assert.equal(nextScriptMode('simplified'), 'both');
+        assert.equal(nextScriptMode('both'), 'traditional');
+        assert.equal(loadScriptMode(), 'traditional');
+    });
+});
@@ -0,0 +1,173 @@
+/**
+ * Test doubles for running the sync engine and the verse layouts under Node
+ * FakeClock replaces requestAnimationFrame/performance.now, FakeAudio replaces <audio>,
+ * FakeElement and FakeRenderer stand in for the stones and VerseRenderer
+ */
+
+export class FakeClock {
+    constructor() {
+        this.time = 0;          // wall time in ms
+        this.nextId = 1;
+        this.frames = new Map(); // id -> callback
+    }
+
+    now() {
+        return this.time;
+    }
+
+    requestFrame(callback) {
+        const id = this.nextId++;
+        this.frames.set(id, callback);
+        return id;
+    }
+
+    cancelFrame(id) {
+        this.frames.delete(id);
+    }
+
+    /**
+     * Advance wall time by one frame and run the callbacks queued before it
+     * @param {number} ms - Frame length
+     */
+    frame(ms = 16) {
+        this.time += ms;
+        const due = [...this.frames.values()];
+        this.frames.clear();
+        due.forEach(callback => callback(this.time));
+    }
+}
+
+export class FakeAudio extends EventTarget {
+    constructor({ duration = 60 } = {}) {
+        super();
+        this.currentTime = 0;
+        this.duration = duration;
+        this.paused = true;
+        this.playbackRate = 1;
+    }
+
+    play() {
+        this.paused = false;
+        return Promise.resolve();
+    }
+
+    pause() {
+        this.paused = true;
+    }
+
+    /**
+     * Move the playhead the way a native control would (fires `seeked`)
+     */
+    seek(time) {
+        this.currentTime = time;
+        this.dispatchEvent(new Event('seeked'));
+    }
+}
+
+/**
+ * Just enough of an element for the layouts and panels: classes, style, data, events, children, a box and scrolling
+ */
+export class FakeElement extends EventTarget {
+    constructor({ rect = { top: 0, left: 0, width: 100, height: 100 }, dataset = {} } = {}) {
+        super();
+        this.rect = rect;
+        this.dataset = dataset;
+        this.style = {};
+        this.scrollTop = 0;
+        this.scrollLeft = 0;
+        this.scrolls = []; // scrollBy() calls
+        this.children = [];
+        const classes = new Set();
+        this.classList = {
+            add: (...names) => names.forEach(name => classes.add(name)),
+            remove: (...names) => names.forEach(name => classes.delete(name)),
+            toggle: (name, force = !classes.has(name)) => (force ? classes.add(name) : classes.delete(name), force),
+            contains: (name) => classes.has(name)
+        };
+    }
+
+    getBoundingClientRect() {
+        return this.rect;
+    }
+
+    appendChild(child) {
+        this.children.push(child);
+        return child;
+    }
+
+    // Only clearing is supported (`el.innerHTML = ''`)
+    get innerHTML() {
+        return '';
+    }
+
+    set innerHTML(html) {
+        this.children = [];
+    }
+
+    focus() {}
+
+    scrollBy(options) {
+        this.scrolls.push(options);
+    }
+}
+
+/**
+ * A VerseRenderer's surface as the layouts see it: the container, the verses and the stones
+ * @param {Object} song - Song data (stones are made for every character)
+ */
+export class FakeRenderer {
+    constructor(song) {
+        this.container = new FakeElement();
+        this.renderedVerses = song.verses.map(() => new FakeElement());
+        this.activeVerseIdx = null;
+        this.stones = new Map();
+        song.verses.forEach((verse, verseIdx) => verse.characters.forEach((charData, charIdx) => {
+            const stone = new FakeElement({ dataset: { verseIdx: String(verseIdx), charIdx: String(charIdx) } });
+            // Stone events bubble up to the container, as in the page
+            stone.dispatchEvent = (event) => this.container.dispatchEvent(event);
+            this.stones.set(`${verseIdx}-${charIdx}`, stone);
+        }));
+    }
+
+    getCharacterElement(verseIdx, charIdx) {
+        return this.stones.get(`${verseIdx}-${charIdx}`);
+    }
+
+    showVerse(verseIdx) {
+        this.activeVerseIdx = verseIdx;
+    }
+}
+
+/**
+ * Two-verse song; the second verse is listed out of time order on purpose
+ */
+export function makeSong() {
+    return {
+        metadata: { title: 'Test', audioFile: './test.mp3' },
+        verses: [
+            {
+                characters: [
+                    { char: '明', time: 1 },
+                    { char: '月', time: 2 },
+                    { char: '幾', time: 3, end: 3.5 }
+                ]
+            },
+            {
+                characters: [
+                    { char: '時', time: 6 },
+                    { char: '有', time: 5 }
+                ]
+            }
+        ]
+    };
+}
+
+/**
+ * Record every event an emitter sends
+ * @returns {Array<{ event: string, data: * }>}
+ */
+export function recordEvents(emitter, events) {
+    const log = [];
+    events.forEach(event => emitter.on(event, data => log.push({ event, data })));
+    return log;
+}
@@ -0,0 +1,130 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Keymap, ACTIONS, comboFromEvent, describeCombo, navigate, takesKey } from '../scripts/keymap.js';
+
+const key = (key, mods = {}) => ({ key, ctrlKey: false, metaKey: false, altKey: false, shiftKey: false, ...mods });
+
+describe('key combos', () => {
+    it('names keys the same however they are typed', () => {
+        assert.equal(comboFromEvent(key(' ')), 'Space');
+        assert.equal(comboFromEvent(key('E', { shiftKey: true })), 'e');
+        assert.equal(comboFromEvent(key('?', { shiftKey: true })), '?');
+        assert.equal(comboFromEvent(key('Tab', { shiftKey: true })), 'Shift+Tab');
+        assert.equal(comboFromEvent(key('Home', { metaKey: true })), 'Ctrl+Home');
+        assert.equal(comboFromEvent(key('c', { ctrlKey: true })), 'Ctrl+c');
+        assert.equal(comboFromEvent(key('Shift', { shiftKey: true })), null);
+    });
+
+    it('describes combos for the help overlay', () => {
+        assert.equal(describeCombo('ArrowLeft'), '←');
+        assert.equal(describeCombo('Shift+Tab'), 'Shift+Tab');
+        assert.equal(describeCombo('Shift+ArrowDown'), 'Shift+↓');
+        assert.equal(describeCombo('q'), 'Q');
+        assert.equal(describeCombo('Ctrl++'), 'Ctrl++');
+    });
+});
+
+describe('Keymap', () => {
+    it('resolves the default shortcuts', () => {
+        const keymap = new Keymap();
+        assert.equal(keymap.actionFor('Space'), 'play');
+        assert.equal(keymap.actionFor('ArrowDown'), 'down');
+        assert.equal(keymap.actionFor('Ctrl+Home'), 'first');
+        assert.equal(keymap.actionFor(comboFromEvent(key('+', { shiftKey: true }))), 'add-to-deck');
+        assert.equal(keymap.actionFor('Ctrl+c'), null);
+        assert.deepEqual(keymap.overrides, {});
+        assert.equal(new Set(ACTIONS.flatMap(a => a.keys)).size, ACTIONS.flatMap(a => a.keys).length);
+    });
+
+    it('moves a remapped key away from its old action and saves only the changes', () => {
+        const keymap = new Keymap();
+        keymap.bind('editor', ['t']);
+        keymap.bind('quiz', ['e']);
+        assert.equal(keymap.actionFor('e'), 'quiz');
+        assert.equal(keymap.actionFor('q'), null);
+        assert.deepEqual(keymap.overrides, { editor: ['t'], quiz: ['e'] });
+
+        const restored = new Keymap(JSON.parse(JSON.stringify(keymap.overrides)));
+        assert.equal(restored.actionFor('t'), 'editor');
+        assert.equal(restored.actionFor('e'), 'quiz');
+
+        restored.reset();
+        assert.equal(restored.actionFor('e'), 'editor');
+        assert.throws(() => keymap.bind('fly', ['f']));
+    });
+
+    it('ignores saved bindings for actions that no longer exist', () => {
+        const keymap = new Keymap({ fly: ['f'], play: ['p'] });
+        assert.equal(keymap.actionFor('f'), null);
+        assert.equal(keymap.actionFor('p'), 'play');
+    });
+});
+
+describe('stone navigation', () => {
+    const lengths = [4, 2, 5, 3, 6];
+    const at = (verseIdx, charIdx) => ({ verseIdx, charIdx });
+
+    it('wraps left and right across verses, stopping at the ends', () => {
+        assert.deepEqual(navigate(lengths, at(0, 3), 'right'), at(1, 0));
+        assert.deepEqual(navigate(lengths, at(1, 0), 'left'), at(0, 3));
+        assert.deepEqual(navigate(lengths, at(0, 0), 'left'), at(0, 0));
+        assert.deepEqual(navigate(lengths, at(4, 5), 'right'), at(4, 5));
+    });
+
+    it('keeps the column moving up and down, clamped to shorter verses', () => {
+        assert.deepEqual(navigate(lengths, at(0, 3), 'down'), at(1, 1));
+        assert.deepEqual(navigate(lengths, at(2, 4), 'up'), at(1, 1));
+        assert.deepEqual(navigate(lengths, at(4, 2), 'down'), at(4, 2));
+        // Paging steps through each verse, so the short one on the way narrows the column
+        assert.deepEqual(navigate(lengths, at(0, 3), 'page-down'), at(3, 1));
+        assert.deepEqual(navigate(lengths, at(1, 1), 'page-up'), at(0, 1));
+    });
+
+    it('jumps to verse and song boundaries', () => {
+        assert.deepEqual(navigate(lengths, at(2, 2), 'line-start'), at(2, 0));
+        assert.deepEqual(navigate(lengths, at(2, 2), 'line-end'), at(2, 4));
+        assert.deepEqual(navigate(lengths, at(2, 2), 'first'), at(0, 0));
+        assert.deepEqual(navigate(lengths, at(2, 2), 'last'), at(4, 5));
+        assert.deepEqual(navigate(lengths, at(2, 2), 'next-line'), at(3, 0));
+        assert.deepEqual(navigate(lengths, at(2, 2), 'prev-line'), at(1, 0));
+        assert.deepEqual(navigate(lengths, at(4, 2), 'next-line'), at(4, 2));
+    });
+});
+
+describe('which key presses the player takes', () => {
+    // Just enough of an element for closest(): the selectors it sits inside
+    const element = (...within) => ({ closest: (selector) => (within.some(s => selector.includes(s)) ? {} : null) });
+    const body = { closest: () => null };
+    body.ownerDocument = { body };
+    const stone = element('.stone');
+    const dialogButton = element('[aria-modal="true"]', 'button');
+    const keymap = new Keymap();
+    const actionFor = (e) => keymap.actionFor(comboFromEvent(e));
+
+    it('leaves Tab to the browser, so focus leaves the stones even at the last verse', () => {
+        assert.equal(actionFor(key('Tab')), null);
+        assert.equal(actionFor(key('Tab', { shiftKey: true })), null);
+        assert.equal(takesKey(actionFor(key('Tab')), stone), false);
+        assert.equal(actionFor(key('ArrowDown', { shiftKey: true })), 'next-line');
+        assert.equal(takesKey('next-line', stone), true);
+    });
+
+    it('takes nothing while a dialog is open', () => {
+        assert.equal(takesKey('next-line', dialogButton), false);
+        assert.equal(takesKey('right', dialogButton), false);
+        assert.equal(takesKey('play', dialogButton), false);
+        assert.equal(takesKey('stop', dialogButton), false);
+    });
+
+    it('moves the stones only from a stone or with nothing focused', () => {
+        assert.equal(takesKey('right', body), true);
+        assert.equal(takesKey('right', element('button')), false);
+        assert.equal(takesKey('play', element('button')), true);
+        assert.equal(takesKey('seek-focused', element('button')), false);
+        assert.equal(takesKey('seek-focused', stone), true);
+        assert.equal(takesKey('play', element('input')), false);
+        assert.equal(takesKey('stop', element('input')), true);
+        assert.equal(takesKey(null, stone), false);
+    });
+});
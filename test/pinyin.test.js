@@ -0,0 +1,74 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { splitSyllables, toneOf, normalizePinyin, pinyinMatches, markTone, analyzeTones } from '../scripts/pinyin.js';
+
+describe('pinyin', () => {
+    it('reads tones from tone marks, with no mark as neutral', () => {
+        assert.deepEqual(['guī', 'míng', 'zhuǎn', 'yuè', 'de'].map(toneOf), [1, 2, 3, 4, 5]);
+    });
+
+    it('normalizes tone marks and tone numbers to the same form', () => {
+        assert.equal(normalizePinyin('Míng yuè'), 'ming2 yue4');
+        assert.equal(normalizePinyin('ming2 yue4'), 'ming2 yue4');
+        assert.equal(normalizePinyin('tān fàn'), normalizePinyin('tan1fan4'));
+    });
+
+    it('spells ü as v whether typed as ü, u: or v', () => {
+        assert.equal(normalizePinyin('lǜ'), 'lv4');
+        assert.equal(normalizePinyin('lu:4'), 'lv4');
+        assert.equal(normalizePinyin('lv4'), 'lv4');
+    });
+
+    it('splits syllables at spaces, apostrophes and after tone numbers', () => {
+        assert.deepEqual(splitSyllables("xi'an"), ['xi', 'an']);
+        assert.deepEqual(splitSyllables('ming2yue4'), ['ming2', 'yue4']);
+    });
+
+    it('matches typed answers against the expected reading', () => {
+        assert.equal(pinyinMatches('ming2', 'míng'), true);
+        assert.equal(pinyinMatches('MÍNG', 'míng'), true);
+        assert.equal(pinyinMatches('ming3', 'míng'), false);
+        assert.equal(pinyinMatches('ming', 'míng'), false);
+        assert.equal(pinyinMatches('ming', 'míng', { requireTones: false }), true);
+        assert.equal(pinyinMatches('tan1', 'tān fàn'), false);
+    });
+
+    it('accepts 0 or 5 for the neutral tone', () => {
+        assert.equal(pinyinMatches('de5', 'de'), true);
+        assert.equal(pinyinMatches('de0', 'de'), true);
+    });
+});
+
+describe('tone sandhi', () => {
+    const chars = (text, pinyin) => [...text].map((char, idx) => ({ char, pinyin: pinyin.split(' ')[idx] }));
+    const spoken = (text, pinyin, options) => analyzeTones(chars(text, pinyin), options).map(info => info.spoken);
+
+    it('places tone marks on the right vowel', () => {
+        assert.deepEqual(
+            [['wǒ', 2], ['hao3', 2], ['liù', 2], ['guī', 3], ['lǜ', 2], ['zhōu', 4]].map(([s, t]) => markTone(s, t)),
+            ['wó', 'háo', 'liú', 'guǐ', 'lǘ', 'zhòu']
+        );
+    });
+
+    it('says the first of two third tones as a second tone', () => {
+        assert.deepEqual(spoken('把酒', 'bǎ jiǔ'), ['bá', null]);
+        assert.equal(analyzeTones(chars('把酒', 'bǎ jiǔ'))[0].rule, 'third-tone');
+    });
+
+    it('changes 一 by the following tone', () => {
+        assert.deepEqual(spoken('一個', 'yī gè'), ['yí', null]);
+        assert.deepEqual(spoken('一天', 'yī tiān'), ['yì', null]);
+        assert.deepEqual(spoken('第一', 'dì yī'), [null, null]);
+    });
+
+    it('changes 不 only before a fourth tone', () => {
+        assert.deepEqual(spoken('不是', 'bù shì'), ['bú', null]);
+        assert.deepEqual(spoken('不知', 'bù zhī'), [null, null]);
+    });
+
+    it('keeps the written tone across a phrase break', () => {
+        assert.deepEqual(spoken('有把', 'yǒu bǎ', { breaks: [1] }), [null, null]);
+        assert.deepEqual(analyzeTones(chars('有把', 'yǒu bǎ'), { breaks: [1] }).map(info => info.tone), [3, 3]);
+    });
+});
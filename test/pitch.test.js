@@ -0,0 +1,102 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    detectPitch, frequencyToMidi, midiToNoteName, analyzeSamples, scoreOnsets, OnsetDetector
+} from '../scripts/pitch.js';
+import { encodeWav, decodeWav } from '../scripts/wav.js';
+
+const SAMPLE_RATE = 44100;
+
+/**
+ * A sung-like test signal: notes [start, end, Hz] with a fundamental and one overtone
+ */
+function synthesize(notes, seconds) {
+    const samples = new Float32Array(Math.round(SAMPLE_RATE * seconds));
+    notes.forEach(([start, end, frequency]) => {
+        for (let i = Math.floor(start * SAMPLE_RATE); i < end * SAMPLE_RATE; i++) {
+            const t = i / SAMPLE_RATE;
+            const envelope = Math.min(1, (t - start) / 0.01, (end - t) / 0.01);
+            samples[i] = 0.3 * envelope * (Math.sin(2 * Math.PI * frequency * t) + 0.5 * Math.sin(4 * Math.PI * frequency * t));
+        }
+    });
+    return samples;
+}
+
+describe('pitch detection', () => {
+    it('finds the fundamental of a tone with overtones', () => {
+        const frame = synthesize([[0, 0.1, 220]], 0.1).subarray(1000, 3048);
+        const { frequency, clarity } = detectPitch(frame, SAMPLE_RATE);
+        assert.ok(Math.abs(frequency - 220) < 1, `got ${frequency}`);
+        assert.ok(clarity > 0.9);
+    });
+
+    it('reports nothing for noise-free silence or an unpitched frame', () => {
+        assert.equal(detectPitch(new Float32Array(2048), SAMPLE_RATE), null);
+        let seed = 1;
+        const noise = Float32Array.from({ length: 2048 }, () => {
+            seed = (seed * 16807) % 2147483647;
+            return seed / 2147483647 - 0.5;
+        });
+        assert.equal(detectPitch(noise, SAMPLE_RATE), null);
+    });
+
+    it('names notes', () => {
+        assert.equal(frequencyToMidi(440), 69);
+        assert.equal(midiToNoteName(60), 'C4');
+        assert.equal(midiToNoteName(frequencyToMidi(233)), 'A♯3');
+    });
+
+    it('starts a syllable on voicing, a level jump or a new note', () => {
+        const detector = new OnsetDetector();
+        const frame = (time, level, midi) => ({ time, level, midi, frequency: midi === null ? null : 1 });
+        assert.equal(detector.push(frame(0, 0.001, null)), null);
+        assert.equal(detector.push(frame(0.1, 0.1, 60)), 0.1);
+        assert.equal(detector.push(frame(0.2, 0.1, 60.3)), null);
+        assert.equal(detector.push(frame(0.3, 0.1, 62)), 0.3);
+        assert.equal(detector.push(frame(0.4, 0.02, 62)), null);
+        assert.equal(detector.push(frame(0.5, 0.1, 62)), 0.5);
+    });
+});
+
+describe('recorded WAV through the analysis pipeline', () => {
+    // Three syllables, the last two sung legato (no silence, a new note)
+    const notes = [[0.5, 0.9, 220], [1.2, 1.6, 330], [1.6, 2.0, 392]];
+    const wav = encodeWav(synthesize(notes, 2.4), SAMPLE_RATE);
+
+    it('round-trips 16-bit PCM', () => {
+        const { sampleRate, channels, samples } = decodeWav(wav);
+        assert.equal(sampleRate, SAMPLE_RATE);
+        assert.equal(channels, 1);
+        assert.equal(samples.length, Math.round(SAMPLE_RATE * 2.4));
+    });
+
+    it('rejects files that are not WAV', () => {
+        assert.throws(() => decodeWav(new ArrayBuffer(16)), /Not a RIFF\/WAVE file/);
+    });
+
+    it('finds each sung onset and its pitch', () => {
+        const { samples, sampleRate } = decodeWav(wav);
+        const { frames, onsets } = analyzeSamples(samples, sampleRate);
+
+        assert.equal(onsets.length, 3);
+        onsets.forEach((onset, idx) => assert.ok(Math.abs(onset - notes[idx][0]) < 0.05, `onset ${onset}`));
+        const at = (time) => frames.find(f => f.time >= time);
+        assert.equal(midiToNoteName(at(0.7).midi), 'A3');
+        assert.equal(midiToNoteName(at(1.8).midi), 'G4');
+        assert.equal(at(1.05).midi, null);
+    });
+
+    it('scores onsets against character times', () => {
+        const { samples, sampleRate } = decodeWav(wav);
+        const { onsets } = analyzeSamples(samples, sampleRate);
+        const characters = [{ time: 0.5 }, { time: 1.0 }, { time: 1.6 }, { time: 2.3 }];
+        const results = scoreOnsets(characters, onsets);
+
+        assert.equal(results[0].accuracy, 1);
+        // 1.0 has no onset of its own: 1.2 is nearer to it than to anything else, but 0.2 s late
+        assert.ok(results[1].accuracy > 0 && results[1].accuracy < 1);
+        assert.equal(results[2].accuracy, 1);
+        assert.deepEqual(results[3], { onset: null, error: null, accuracy: 0 });
+    });
+});
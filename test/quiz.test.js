@@ -0,0 +1,212 @@
+import { describe, it, beforeEach, afterEach, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { QuizController } from '../scripts/quiz.js';
+import { StateManager } from '../scripts/state-manager.js';
+import { FakeElement, FakeRenderer, makeSong } from './helpers/fakes.js';
+
+const PINYIN = { 明: 'míng', 月: 'yuè', 幾: 'jǐ', 時: 'shí', 有: 'yǒu' };
+
+function makeQuizSong() {
+    const song = makeSong();
+    song.verses.forEach(verse => verse.characters.forEach(charData => { charData.pinyin = PINYIN[charData.char]; }));
+    return song;
+}
+
+/**
+ * #quiz-panel with the parts QuizController looks up
+ */
+function makePanel() {
+    const panel = new FakeElement();
+    const parts = {
+        '.quiz-prompt': new FakeElement(),
+        '.quiz-choices': new FakeElement(),
+        '.quiz-input': new FakeElement(),
+        '.quiz-feedback': new FakeElement(),
+        '.quiz-summary': new FakeElement()
+    };
+    panel.querySelector = selector => parts[selector];
+    return panel;
+}
+
+describe('QuizController', () => {
+    let renderer, state, panel, quiz, realRandom, originalLog;
+
+    // The quiz logs mode changes and results; keep test output readable
+    before(() => {
+        originalLog = console.log;
+        console.log = () => {};
+        globalThis.document = {
+            body: new FakeElement(),
+            createElement: () => new FakeElement(),
+            createTextNode: text => ({ textContent: text }),
+            addEventListener() {},
+            removeEventListener() {}
+        };
+    });
+    after(() => {
+        console.log = originalLog;
+        delete globalThis.document;
+    });
+
+    beforeEach(() => {
+        // Questions and choices are drawn at random; always take the first candidate
+        realRandom = Math.random;
+        Math.random = () => 0;
+
+        const song = makeQuizSong();
+        renderer = new FakeRenderer(song);
+        renderer.container.querySelectorAll = () => [...renderer.stones.values()];
+        state = new StateManager();
+        panel = makePanel();
+        quiz = new QuizController(song, { on() {}, off() {} }, renderer, state, panel);
+    });
+
+    afterEach(() => {
+        quiz.destroy();
+        Math.random = realRandom;
+    });
+
+    const stone = (verseIdx, charIdx) => renderer.getCharacterElement(verseIdx, charIdx);
+
+    /**
+     * Turn a mode on and ask the first verse (its question is 明 míng)
+     */
+    function startQuiz(mode) {
+        quiz.setMode(mode);
+        quiz.startVerse(0);
+        assert.equal(quiz.current.charData.char, '明');
+    }
+
+    describe('cloze', () => {
+        it('blanks the question stone and offers the answer among the choices', () => {
+            startQuiz('cloze');
+            assert.ok(stone(0, 0).classList.contains('quiz-blank'));
+            assert.ok(stone(0, 0).classList.contains('quiz-target'));
+            const answers = quiz.choices.children.map(btn => btn.dataset.answer);
+            assert.equal(answers.length, 4);
+            assert.ok(answers.includes('明'));
+            assert.equal(new Set(answers).size, 4);
+        });
+
+        it('accepts the missing character', () => {
+            startQuiz('cloze');
+            quiz.answer('明');
+            assert.ok(stone(0, 0).classList.contains('quiz-correct'));
+            assert.ok(!stone(0, 0).classList.contains('quiz-blank'));
+            assert.equal(quiz.feedback.textContent, '✓ 明 míng');
+        });
+
+        it('rejects another character', () => {
+            startQuiz('cloze');
+            quiz.answer('月');
+            assert.ok(stone(0, 0).classList.contains('quiz-wrong'));
+            assert.equal(quiz.feedback.textContent, '✗ 明 is míng');
+        });
+    });
+
+    describe('pinyin typing', () => {
+        it('accepts tone marks', () => {
+            startQuiz('typing');
+            quiz.answer('míng');
+            assert.equal(quiz.questions[0].result, 'correct');
+        });
+
+        it('accepts tone numbers for the same reading', () => {
+            startQuiz('typing');
+            quiz.answer('ming2');
+            assert.equal(quiz.questions[0].result, 'correct');
+        });
+
+        it('rejects the wrong tone, whichever way it is written', () => {
+            startQuiz('typing');
+            quiz.answer('ming4');
+            assert.equal(quiz.questions[0].result, 'wrong');
+
+            quiz.startVerse(0);
+            quiz.answer('mìng');
+            assert.equal(quiz.questions[0].result, 'wrong');
+        });
+
+        it('ignores an empty answer', () => {
+            startQuiz('typing');
+            quiz.answer('  ');
+            assert.equal(quiz.questions[0].result, null);
+            assert.equal(quiz.current, quiz.questions[0]);
+        });
+    });
+
+    describe('tone drill', () => {
+        it('offers the five tones and accepts the right one', () => {
+            startQuiz('tone');
+            assert.deepEqual(quiz.choices.children.map(btn => btn.dataset.answer), ['1', '2', '3', '4', '5']);
+            quiz.answer('2');
+            assert.equal(quiz.questions[0].result, 'correct');
+        });
+
+        it('names the right tone after a wrong answer', () => {
+            startQuiz('tone');
+            quiz.answer('3');
+            assert.equal(quiz.questions[0].result, 'wrong');
+            assert.equal(quiz.feedback.textContent, '✗ 明 is míng (tone 2)');
+        });
+    });
+
+    describe('scores', () => {
+        it('records each verse in quizScores as it is answered', () => {
+            startQuiz('cloze');
+            assert.deepEqual(state.state.quizScores[0], {
+                verseIdx: 0, text: '明月幾', total: 1, correct: 0, wrong: 0, missed: 1
+            });
+            quiz.answer('明');
+            assert.deepEqual(state.state.quizScores[0], {
+                verseIdx: 0, text: '明月幾', total: 1, correct: 1, wrong: 0, missed: 0
+            });
+        });
+
+        it('counts unanswered questions as missed when the verse moves on', () => {
+            startQuiz('tone');
+            quiz.onVerseChange({ verseIdx: 1 });
+            assert.equal(state.state.quizScores[0].missed, 1);
+            assert.ok(!stone(0, 0).classList.contains('quiz-blank-pinyin'));
+            assert.equal(quiz.current.charData.char, '時');
+        });
+
+        it('starts over when the mode changes', () => {
+            startQuiz('cloze');
+            quiz.answer('明');
+            quiz.setMode('tone');
+            assert.deepEqual(state.state.quizScores, {});
+            assert.equal(state.state.quizMode, 'tone');
+        });
+    });
+
+    describe('summary', () => {
+        it('totals the verses and lists each with its misses', () => {
+            startQuiz('cloze');
+            quiz.answer('明');
+            quiz.onVerseChange({ verseIdx: 1 });
+            quiz.showSummary();
+
+            assert.equal(quiz.summary.hidden, false);
+            const [heading, list] = quiz.summary.children;
+            assert.equal(heading.textContent, 'Cloze: 1 / 2 correct');
+            const rows = list.children.map(li => [li.value, li.children.map(node => node.textContent).join('')]);
+            assert.deepEqual(rows, [
+                [1, '明月幾 1/1'],
+                [2, '時有 0/1 · 1 missed']
+            ]);
+            assert.equal(quiz.prompt.textContent, 'Song finished');
+        });
+
+        it('clears the scores when the next run starts', () => {
+            startQuiz('cloze');
+            quiz.answer('明');
+            quiz.showSummary();
+            quiz.startVerse(0);
+            assert.equal(quiz.summary.hidden, true);
+            assert.deepEqual(Object.keys(state.state.quizScores), ['0']);
+            assert.equal(state.state.quizScores[0].correct, 0);
+        });
+    });
+});
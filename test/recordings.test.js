@@ -0,0 +1,137 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { crc32, createZip } from '../scripts/zip.js';
+import {
+    verseSegment, cutSegment, waveformPeaks, buildSessionArchive, RecordingStore
+} from '../scripts/recordings.js';
+import { decodeWav } from '../scripts/wav.js';
+import { makeSong } from './helpers/fakes.js';
+
+const NOW = Date.UTC(2024, 0, 1, 12);
+
+/**
+ * Read a zip back through its central directory
+ * @returns {Map<string, Uint8Array>} Stored file contents by name
+ */
+function readZip(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const end = bytes.length - 22;
+    assert.equal(view.getUint32(end, true), 0x06054b50);
+    const count = view.getUint16(end + 10, true);
+    let at = view.getUint32(end + 16, true);
+    const files = new Map();
+    for (let i = 0; i < count; i++) {
+        assert.equal(view.getUint32(at, true), 0x02014b50);
+        const size = view.getUint32(at + 24, true);
+        const nameLength = view.getUint16(at + 28, true);
+        const local = view.getUint32(at + 42, true);
+        const name = new TextDecoder().decode(bytes.subarray(at + 46, at + 46 + nameLength));
+        const start = local + 30 + view.getUint16(local + 26, true);
+        const data = bytes.subarray(start, start + size);
+        assert.equal(crc32(data), view.getUint32(at + 16, true));
+        files.set(name, data);
+        at += 46 + nameLength;
+    }
+    return files;
+}
+
+describe('zip', () => {
+    it('computes the standard CRC-32', () => {
+        assert.equal(crc32(new TextEncoder().encode('123456789')), 0xCBF43926);
+        assert.equal(crc32(new Uint8Array(0)), 0);
+    });
+
+    it('stores files that read back intact, with UTF-8 names', () => {
+        const zip = createZip([
+            { name: 'manifest.json', data: '{"ok":true}' },
+            { name: 'takes/明月.wav', data: new Uint8Array([1, 2, 3]).buffer }
+        ], new Date(NOW));
+        const files = readZip(zip);
+        assert.deepEqual([...files.keys()], ['manifest.json', 'takes/明月.wav']);
+        assert.equal(new TextDecoder().decode(files.get('manifest.json')), '{"ok":true}');
+        assert.deepEqual([...files.get('takes/明月.wav')], [1, 2, 3]);
+    });
+});
+
+describe('verse audio', () => {
+    it('cuts a verse from its first character to the end of its last', () => {
+        const song = makeSong();
+        assert.deepEqual(verseSegment(song, 0), { start: 1, end: 3.5 });
+        // Characters out of order; no end and no verse after it
+        assert.deepEqual(verseSegment(song, 1), { start: 5, end: 7.5 });
+        // Without an explicit end the last syllable stops at the next verse
+        song.verses[0].characters[2] = { char: '幾', time: 5.5 };
+        assert.deepEqual(verseSegment(song, 0), { start: 1, end: 6 });
+    });
+
+    it('mixes channels down when cutting samples', () => {
+        const left = Float32Array.from([0, 1, 1, 1, 0]);
+        const right = Float32Array.from([0, 0, 1, -1, 0]);
+        assert.deepEqual([...cutSegment([left, right], 2, 0.5, 2)], [0.5, 1, 0]);
+        assert.equal(cutSegment([left], 2, 3, 4).length, 0);
+    });
+
+    it('finds the peaks of each waveform bucket', () => {
+        const samples = Float32Array.from([0.25, -0.5, 0.125, 0.75, -0.125, 0]);
+        assert.deepEqual(waveformPeaks(samples, 2), [{ min: -0.5, max: 0.25 }, { min: -0.125, max: 0.75 }]);
+    });
+});
+
+describe('recordings', () => {
+    const tone = (seconds, sampleRate = 8000) =>
+        Float32Array.from({ length: seconds * sampleRate }, (_, i) => 0.5 * Math.sin(i / 10));
+
+    it('keeps takes per song and verse as WAV', async () => {
+        const store = new RecordingStore();
+        await store.add({ songId: 'a', verseIdx: 0, samples: tone(1), sampleRate: 8000 }, NOW);
+        await store.add({ songId: 'a', verseIdx: 1, samples: tone(2), sampleRate: 8000 }, NOW + 1000);
+        const take = await store.add({ songId: 'a', verseIdx: 0, samples: tone(1), sampleRate: 8000 }, NOW + 2000);
+        await store.add({ songId: 'b', verseIdx: 0, samples: tone(1), sampleRate: 8000 }, NOW);
+
+        assert.equal((await store.list('a')).length, 3);
+        assert.deepEqual((await store.list('a', 0)).map(t => t.createdAt), [NOW, NOW + 2000]);
+        assert.equal(decodeWav(take.wav).samples.length, 8000);
+
+        await store.delete(take.id);
+        assert.equal((await store.list('a', 0)).length, 1);
+    });
+
+    it('exports a session as takes, original verse segments and a manifest', async () => {
+        const store = new RecordingStore();
+        await store.add({ songId: 'test', verseIdx: 1, samples: tone(1), sampleRate: 8000 }, NOW + 1000);
+        await store.add({ songId: 'test', verseIdx: 0, samples: tone(2), sampleRate: 8000 }, NOW + 2000);
+        await store.add({ songId: 'test', verseIdx: 0, samples: tone(1), sampleRate: 8000 }, NOW);
+        const original = { channels: [tone(10, 1000)], sampleRate: 1000 };
+
+        const { manifest, zip } = buildSessionArchive(makeSong(), 'test', await store.list('test'), original, new Date(NOW));
+        const files = readZip(zip);
+
+        assert.deepEqual([...files.keys()], [
+            'manifest.json',
+            'original/verse-01.wav', 'takes/verse-01-take-01.wav', 'takes/verse-01-take-02.wav',
+            'original/verse-02.wav', 'takes/verse-02-take-01.wav'
+        ]);
+        assert.deepEqual(JSON.parse(new TextDecoder().decode(files.get('manifest.json'))), manifest);
+        assert.equal(manifest.song.title, 'Test');
+        assert.deepEqual(manifest.verses[0], {
+            verse: 1,
+            text: '明月幾',
+            start: 1,
+            end: 3.5,
+            original: 'original/verse-01.wav',
+            takes: [
+                { file: 'takes/verse-01-take-01.wav', recordedAt: '2024-01-01T12:00:00.000Z', duration: 1 },
+                { file: 'takes/verse-01-take-02.wav', recordedAt: '2024-01-01T12:00:02.000Z', duration: 2 }
+            ]
+        });
+        const segment = decodeWav(files.get('original/verse-01.wav').slice().buffer);
+        assert.equal(segment.samples.length, 2500);
+    });
+
+    it('leaves the originals out when the song audio is unavailable', () => {
+        const { manifest, files } = buildSessionArchive(makeSong(), 'test', [], null, new Date(NOW));
+        assert.deepEqual(manifest.verses, []);
+        assert.deepEqual(files.map(f => f.name), ['manifest.json']);
+    });
+});
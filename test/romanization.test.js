@@ -0,0 +1,35 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { pinyinToZhuyin, zhuyinSyllable } from '../scripts/romanization.js';
+
+describe('pinyin to zhuyin', () => {
+    it('converts initials, finals and tone marks', () => {
+        assert.equal(pinyinToZhuyin('míng yuè jǐ shí yǒu'), 'ㄇㄧㄥˊ ㄩㄝˋ ㄐㄧˇ ㄕˊ ㄧㄡˇ');
+        assert.equal(pinyinToZhuyin('ming2 yue4'), 'ㄇㄧㄥˊ ㄩㄝˋ');
+    });
+
+    it('leaves first tone unmarked and puts the neutral dot first', () => {
+        assert.equal(pinyinToZhuyin('tiān'), 'ㄊㄧㄢ');
+        assert.equal(pinyinToZhuyin('de'), '˙ㄉㄜ');
+    });
+
+    it('expands contracted finals', () => {
+        assert.equal(pinyinToZhuyin('guī liù dūn'), 'ㄍㄨㄟ ㄌㄧㄡˋ ㄉㄨㄣ');
+    });
+
+    it('reads u after j, q and x as ü', () => {
+        assert.equal(pinyinToZhuyin('qù jūn xuě quán'), 'ㄑㄩˋ ㄐㄩㄣ ㄒㄩㄝˇ ㄑㄩㄢˊ');
+        assert.equal(pinyinToZhuyin('lǜ nüè'), 'ㄌㄩˋ ㄋㄩㄝˋ');
+    });
+
+    it('drops the silent i after zh, ch, sh, r, z, c, s', () => {
+        assert.equal(pinyinToZhuyin('zhī cǐ rì'), 'ㄓ ㄘˇ ㄖˋ');
+        assert.equal(pinyinToZhuyin('qiǎ'), 'ㄑㄧㄚˇ');
+    });
+
+    it('keeps text that is not pinyin', () => {
+        assert.equal(zhuyinSyllable('hello'), null);
+        assert.equal(pinyinToZhuyin('ér hello'), 'ㄦˊ hello');
+    });
+});
@@ -0,0 +1,81 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { newCard, schedule, dueCards, itemsFromSong, itemsFromVocab, FlashcardStore } from '../scripts/srs.js';
+import { makeSong } from './helpers/fakes.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2024, 0, 1);
+
+describe('SM-2 scheduling', () => {
+    it('steps through 1 and 6 days before multiplying by the ease', () => {
+        let card = newCard({ chinese: '月' }, NOW);
+        card = schedule(card, 4, NOW);
+        assert.equal(card.interval, 1);
+        card = schedule(card, 4, card.due);
+        assert.equal(card.interval, 6);
+        card = schedule(card, 4, card.due);
+        assert.equal(card.interval, Math.round(6 * card.ease));
+        assert.equal(card.repetitions, 3);
+    });
+
+    it('makes a card due after its interval', () => {
+        const card = schedule(newCard({ chinese: '月' }, NOW), 5, NOW);
+        assert.equal(card.due, NOW + DAY);
+    });
+
+    it('restarts a lapsed card and keeps it due today', () => {
+        let card = schedule(newCard({ chinese: '月' }, NOW), 4, NOW);
+        card = schedule(card, 1, NOW + DAY);
+        assert.equal(card.repetitions, 0);
+        assert.equal(card.interval, 0);
+        assert.equal(card.lapses, 1);
+        assert.equal(card.due, NOW + DAY);
+    });
+
+    it('lowers the ease on hard answers but never below 1.3', () => {
+        let card = newCard({ chinese: '月' }, NOW);
+        for (let i = 0; i < 20; i++) card = schedule(card, 3, NOW);
+        assert.equal(card.ease, 1.3);
+        assert.ok(schedule(newCard({ chinese: '月' }), 5).ease > 2.5);
+    });
+
+    it('does not modify the card it is given', () => {
+        const card = newCard({ chinese: '月' }, NOW);
+        schedule(card, 5, NOW);
+        assert.equal(card.repetitions, 0);
+    });
+});
+
+describe('decks', () => {
+    it('builds one item per distinct song character', () => {
+        const song = makeSong();
+        song.verses[1].characters.push({ char: '明', pinyin: 'míng', time: 7 });
+        assert.deepEqual(itemsFromSong(song).map(item => item.chinese), ['明', '月', '幾', '時', '有']);
+    });
+
+    it('builds items from vocabulary lessons', () => {
+        const vocab = { lessons: [{ items: [{ chinese: '攤販', pinyin: 'tān fàn', english: 'vendor' }] }] };
+        assert.deepEqual(itemsFromVocab(vocab), [{ chinese: '攤販', pinyin: 'tān fàn', meaning: 'vendor' }]);
+    });
+
+    it('lists due cards of a deck, most overdue first', () => {
+        const a = { ...newCard({ chinese: 'a' }, NOW), decks: ['x'], due: NOW - 2 * DAY };
+        const b = { ...newCard({ chinese: 'b' }, NOW), decks: ['x'], due: NOW - DAY };
+        const c = { ...newCard({ chinese: 'c' }, NOW), decks: ['y'], due: NOW - 3 * DAY };
+        const d = { ...newCard({ chinese: 'd' }, NOW), decks: ['x'], due: NOW + DAY };
+        assert.deepEqual(dueCards([b, c, d, a], 'x', NOW).map(card => card.id), ['a', 'b']);
+    });
+
+    it('shares a card between decks and keeps its history', async () => {
+        const store = new FlashcardStore();
+        await store.addToDeck('song:test', [{ chinese: '月', pinyin: 'yuè' }], NOW);
+        await store.review('月', 5, NOW);
+        const added = await store.addToDeck('mine', [{ chinese: '月' }], NOW);
+        const [card] = await store.getCards();
+        assert.equal(added, 1);
+        assert.deepEqual(card.decks, ['song:test', 'mine']);
+        assert.equal(card.repetitions, 1);
+        assert.equal(card.pinyin, 'yuè');
+    });
+});
@@ -0,0 +1,42 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { StateManager } from '../scripts/state-manager.js';
+
+describe('StateManager', () => {
+    it('notifies subscribers of a changed key with new and old values', () => {
+        const state = new StateManager();
+        const calls = [];
+        state.subscribe('currentVerseIndex', (value, previous) => calls.push([value, previous]));
+        state.setState({ currentVerseIndex: 3 });
+        assert.deepEqual(calls, [[3, -1]]);
+    });
+
+    it('only notifies subscribers of keys in the update', () => {
+        const state = new StateManager();
+        let called = false;
+        state.subscribe('isPlaying', () => { called = true; });
+        state.setState({ audioTime: 12 });
+        assert.equal(called, false);
+    });
+
+    it('stops notifying after unsubscribe', () => {
+        const state = new StateManager();
+        let count = 0;
+        const unsubscribe = state.subscribe('audioTime', () => { count++; });
+        state.setState({ audioTime: 1 });
+        unsubscribe();
+        state.setState({ audioTime: 2 });
+        assert.equal(count, 1);
+    });
+
+    it('notifies playback subscribers on reset', () => {
+        const state = new StateManager();
+        state.setState({ isPlaying: true, currentCharIndex: 7 });
+        const seen = {};
+        state.subscribe('isPlaying', value => { seen.isPlaying = value; });
+        state.subscribe('currentCharIndex', value => { seen.currentCharIndex = value; });
+        state.reset();
+        assert.deepEqual(seen, { isPlaying: false, currentCharIndex: -1 });
+    });
+});
@@ -0,0 +1,301 @@
+import { describe, it, beforeEach, afterEach, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    ScrollLayout, VerticalLayout, CarouselLayout, createLayout, carouselPosition, swipeDirection
+} from '../scripts/verse-layouts.js';
+import { AudioSyncEngine } from '../scripts/audio-sync.js';
+import { StateManager } from '../scripts/state-manager.js';
+import { FakeClock, FakeAudio, FakeRenderer, makeSong } from './helpers/fakes.js';
+
+// center() asks window.matchMedia about reduced motion; Node has no window
+before(() => { globalThis.window = {}; });
+after(() => { delete globalThis.window; });
+
+const PAUSE_MS = 1000;
+
+const wheel = (deltaY, deltaX = 0, shiftKey = false) => Object.assign(new Event('wheel'), { deltaY, deltaX, shiftKey });
+
+/**
+ * Verses stacked 100px apart in a 100px-high container; verse i is centered by scrolling i * 100
+ */
+function stackVerses(renderer) {
+    renderer.container.rect = { top: 0, left: 0, width: 300, height: 100 };
+    renderer.renderedVerses.forEach((verse, idx) => {
+        verse.rect = { top: idx * 100 + 25, left: 0, width: 300, height: 50 };
+    });
+}
+
+describe('ScrollLayout', () => {
+    let renderer, layout;
+
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['setTimeout'] });
+        renderer = new FakeRenderer(makeSong());
+        stackVerses(renderer);
+        layout = new ScrollLayout({ pauseMs: PAUSE_MS });
+        layout.attach(renderer);
+    });
+
+    afterEach(() => {
+        layout.detach();
+        mock.timers.reset();
+    });
+
+    it('marks the verses around the active one and scrolls it to the middle', () => {
+        assert.ok(renderer.container.classList.contains('layout-scroll'));
+        layout.showVerse(1, { instant: true });
+
+        const [first, second] = renderer.renderedVerses;
+        assert.ok(first.classList.contains('past'));
+        assert.ok(!second.classList.contains('past') && !second.classList.contains('upcoming'));
+        assert.deepEqual(renderer.container.scrolls.at(-1), { top: 100, behavior: 'auto' });
+
+        layout.showVerse(0);
+        assert.ok(second.classList.contains('upcoming'));
+        assert.deepEqual(renderer.container.scrolls.at(-1), { top: 0, behavior: 'smooth' });
+    });
+
+    it('pauses following after a manual scroll and picks it up again later', () => {
+        layout.showVerse(0);
+        renderer.container.dispatchEvent(new Event('wheel'));
+        assert.equal(layout.isFollowing, false);
+
+        const scrolls = renderer.container.scrolls.length;
+        layout.showVerse(1);
+        assert.equal(renderer.container.scrolls.length, scrolls, 'no scroll while paused');
+
+        // Another scroll restarts the pause
+        mock.timers.tick(PAUSE_MS - 1);
+        renderer.container.dispatchEvent(new Event('touchmove'));
+        mock.timers.tick(PAUSE_MS - 1);
+        assert.equal(layout.isFollowing, false);
+
+        mock.timers.tick(1);
+        assert.equal(layout.isFollowing, true);
+        assert.deepEqual(renderer.container.scrolls.at(-1), { top: 100, behavior: 'smooth' });
+    });
+
+    it('follows again at once when a stone is clicked', () => {
+        renderer.container.dispatchEvent(new Event('wheel'));
+        renderer.getCharacterElement(1, 0).dispatchEvent(new CustomEvent('stone-click', { bubbles: true }));
+        assert.equal(layout.isFollowing, true);
+    });
+
+    it('scrolls a keyboard-focused stone into view without following', () => {
+        const stone = renderer.getCharacterElement(1, 1);
+        let revealed = null;
+        stone.scrollIntoView = (options) => { revealed = options; };
+        layout.reveal(1, stone);
+        assert.deepEqual(revealed, { block: 'nearest', inline: 'nearest' });
+        assert.equal(layout.isFollowing, false);
+    });
+
+    it('leaves the container as it found it', () => {
+        layout.showVerse(1);
+        renderer.container.dispatchEvent(new Event('wheel'));
+        layout.detach();
+
+        assert.ok(!renderer.container.classList.contains('layout-scroll'));
+        assert.ok(renderer.renderedVerses.every(verse => !verse.classList.contains('past')));
+        assert.equal(layout.isFollowing, true);
+        renderer.container.dispatchEvent(new Event('wheel'));
+        assert.equal(layout.isFollowing, true, 'listeners removed');
+    });
+
+    it('is made by name, with the stage for unknown names', () => {
+        assert.ok(createLayout('scroll') instanceof ScrollLayout);
+        assert.equal(createLayout('nope').name, 'stage');
+    });
+});
+
+describe('VerticalLayout', () => {
+    let renderer, layout;
+
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['setTimeout'] });
+        renderer = new FakeRenderer(makeSong());
+        // Columns right to left: verse i sits 100px further left
+        renderer.container.rect = { top: 0, left: 0, width: 100, height: 300 };
+        renderer.renderedVerses.forEach((verse, idx) => {
+            verse.rect = { top: 0, left: 25 - idx * 100, width: 50, height: 300 };
+        });
+        layout = new VerticalLayout({ pauseMs: PAUSE_MS });
+        layout.attach(renderer);
+    });
+
+    afterEach(() => {
+        layout.detach();
+        mock.timers.reset();
+    });
+
+    it('centers the active column sideways', () => {
+        assert.ok(renderer.container.classList.contains('layout-vertical'));
+        layout.showVerse(1, { instant: true });
+        assert.deepEqual(renderer.container.scrolls.at(-1), { left: -100, behavior: 'auto' });
+    });
+
+    it('turns a plain wheel into a sideways scroll toward the later columns', () => {
+        renderer.container.dispatchEvent(wheel(120));
+        assert.deepEqual(renderer.container.scrolls.at(-1), { left: -120 });
+        assert.equal(layout.isFollowing, false);
+
+        // Shift+wheel and trackpad swipes already scroll sideways
+        renderer.container.dispatchEvent(wheel(120, 0, true));
+        renderer.container.dispatchEvent(wheel(10, 80));
+        assert.equal(renderer.container.scrolls.length, 1);
+    });
+
+    it('stops turning the wheel once detached', () => {
+        layout.detach();
+        renderer.container.dispatchEvent(wheel(120));
+        assert.equal(renderer.container.scrolls.length, 0);
+        assert.ok(!renderer.container.classList.contains('layout-vertical'));
+    });
+});
+
+describe('carousel positions', () => {
+    it('grows the stone in the middle and shrinks its neighbours', () => {
+        assert.deepEqual([-2, -1, 0, 1, 2].map(offset => carouselPosition(5, offset, 20)),
+            ['edge', 'adjacent', 'center', 'adjacent', 'edge']);
+    });
+
+    it('eases the first two and last two stones of the song in and out', () => {
+        assert.equal(carouselPosition(0, 0, 20), 'first');
+        assert.equal(carouselPosition(1, 0, 20), 'second');
+        assert.equal(carouselPosition(18, 0, 20), 'penultimate');
+        assert.equal(carouselPosition(19, 0, 20), 'last');
+        assert.equal(carouselPosition(19, -1, 20), 'adjacent');
+    });
+
+    it('counts only long, mostly sideways drags as swipes', () => {
+        assert.equal(swipeDirection(-40, 0), 1);
+        assert.equal(swipeDirection(60, -20), -1);
+        assert.equal(swipeDirection(-39, 0), 0);
+        assert.equal(swipeDirection(-50, 60), 0);
+    });
+});
+
+describe('CarouselLayout', () => {
+    let audioSync, renderer, layout;
+    // Song order by time: 明 月 幾 有 時 (the second verse is listed out of order)
+    const stoneAt = (idx) => {
+        const { verseIdx, charIdx } = audioSync.characters[idx];
+        return renderer.getCharacterElement(verseIdx, charIdx);
+    };
+    const positionOf = (stone) => ['center', 'adjacent', 'edge', 'first', 'second', 'penultimate', 'last']
+        .find(name => stone.classList.contains(`position-${name}`)) || null;
+    const pointer = (type, clientX, clientY = 0, isPrimary = true) =>
+        Object.assign(new Event(type), { clientX, clientY, isPrimary });
+
+    let originalLog;
+    before(() => {
+        originalLog = console.log;
+        console.log = () => {};
+    });
+    after(() => {
+        console.log = originalLog;
+    });
+
+    beforeEach(() => {
+        const song = makeSong();
+        audioSync = new AudioSyncEngine(new FakeAudio({ duration: 10 }), song, new StateManager(), { clock: new FakeClock() });
+        renderer = new FakeRenderer(song);
+        layout = new CarouselLayout({ audioSync });
+        layout.attach(renderer);
+    });
+
+    afterEach(() => {
+        layout.detach();
+    });
+
+    it('lays the stones out in time order around the sung one, across verses', () => {
+        audioSync.emit('character-change', audioSync.characters[2]);
+        assert.deepEqual([0, 1, 2, 3, 4].map(idx => positionOf(stoneAt(idx))),
+            ['edge', 'adjacent', 'center', 'adjacent', 'edge']);
+        assert.deepEqual([0, 1, 2, 3, 4].map(idx => stoneAt(idx).style.order), ['-2', '-1', '0', '1', '2']);
+
+        audioSync.emit('character-change', audioSync.characters[4]);
+        assert.deepEqual([0, 1, 2, 3, 4].map(idx => positionOf(stoneAt(idx))),
+            [null, null, 'edge', 'adjacent', 'last']);
+        assert.equal(stoneAt(0).style.order, '');
+    });
+
+    it('keeps its center when the verse is shown again, as after a re-render', () => {
+        layout.center(4);
+        layout.showVerse(1);
+        assert.equal(layout.centerIdx, 4);
+
+        // Another verse: the stone being sung there, else the verse's first stone
+        audioSync.currentIndex = 1;
+        layout.showVerse(0);
+        assert.equal(layout.centerIdx, 1);
+        audioSync.currentIndex = -1;
+        layout.showVerse(1);
+        assert.equal(layout.centerIdx, 3);
+    });
+
+    it('centers a keyboard-focused stone', () => {
+        layout.reveal(1, renderer.getCharacterElement(1, 0));
+        assert.equal(layout.centerIdx, 4);
+        assert.equal(positionOf(renderer.getCharacterElement(1, 0)), 'last');
+    });
+
+    it('seeks to the next stone on a swipe left and the previous on a swipe right', () => {
+        const clicks = [];
+        renderer.container.addEventListener('stone-click', (e) => clicks.push(e.detail));
+        layout.center(2);
+
+        renderer.container.dispatchEvent(pointer('pointerdown', 200));
+        renderer.container.dispatchEvent(pointer('pointerup', 120));
+        renderer.container.dispatchEvent(pointer('pointerdown', 100));
+        renderer.container.dispatchEvent(pointer('pointerup', 180, 10));
+        assert.deepEqual(clicks, [{ verseIdx: 1, charIdx: 1, time: 5 }, { verseIdx: 0, charIdx: 1, time: 2 }]);
+    });
+
+    it('ignores taps, vertical drags and a second finger', () => {
+        const clicks = [];
+        renderer.container.addEventListener('stone-click', (e) => clicks.push(e.detail));
+        layout.center(2);
+
+        renderer.container.dispatchEvent(pointer('pointerdown', 200));
+        renderer.container.dispatchEvent(pointer('pointerup', 170));
+        renderer.container.dispatchEvent(pointer('pointerdown', 200, 0));
+        renderer.container.dispatchEvent(pointer('pointerup', 140, 100));
+        renderer.container.dispatchEvent(pointer('pointerdown', 200, 0, false));
+        renderer.container.dispatchEvent(pointer('pointerup', 100));
+        assert.deepEqual(clicks, []);
+    });
+
+    it('swallows the click that ends a swipe, but not the next tap', () => {
+        layout.center(2);
+        renderer.container.dispatchEvent(pointer('pointerdown', 200));
+        renderer.container.dispatchEvent(pointer('pointerup', 100));
+        const swipeClick = new Event('click');
+        renderer.container.dispatchEvent(swipeClick);
+        assert.equal(swipeClick.cancelBubble, true);
+
+        renderer.container.dispatchEvent(pointer('pointerdown', 100));
+        const tap = new Event('click');
+        renderer.container.dispatchEvent(tap);
+        assert.equal(tap.cancelBubble, false);
+    });
+
+    it('stops at the ends of the song', () => {
+        const clicks = [];
+        renderer.container.addEventListener('stone-click', (e) => clicks.push(e.detail));
+        layout.center(4);
+        layout.step(1);
+        layout.center(0);
+        layout.step(-1);
+        assert.deepEqual(clicks, []);
+    });
+
+    it('clears the positions when detached', () => {
+        layout.center(2);
+        layout.detach();
+        assert.ok([0, 1, 2, 3, 4].every(idx => positionOf(stoneAt(idx)) === null));
+        audioSync.emit('character-change', audioSync.characters[1]);
+        assert.equal(positionOf(stoneAt(1)), null);
+    });
+});